@@ -5,6 +5,7 @@
 const { Server } = require('ws');
 const gameHandler = require('../lib/game-handler');
 const logger = require('../lib/logger');
+const persistence = require('../lib/persistence');
 
 const CONTEXT = 'WebSocketHandler';
 
@@ -15,8 +16,12 @@ module.exports = (req, res) => {
     wss = new Server({ noServer: true });
     logger.info(CONTEXT, 'Initializing WebSocket server');
     
-    // Reset state for serverless cold starts
+    // Reset state for serverless cold starts, then recover persisted games
     gameHandler.resetState();
+    persistence.init();
+    gameHandler.restoreRooms(persistence.loadRooms());
+    gameHandler.restoreTournaments(persistence.loadTournaments());
+    persistence.startSnapshots(gameHandler);
     
     wss.on('connection', (ws) => {
       gameHandler.handleConnection(ws);
@@ -0,0 +1,196 @@
+/**
+ * Registered player accounts for CardArena
+ * Optional: guests keep their random p_xxxxxx id, registered players get a
+ * stable u_<username> id so their profile and stats follow them anywhere.
+ *
+ * Accounts live in the persistence store ('accounts' collection), or in
+ * memory when persistence is disabled.
+ */
+
+const auth = require('./auth');
+const config = require('./config');
+const logger = require('./logger');
+const persistence = require('./persistence');
+const rating = require('./rating');
+
+const CONTEXT = 'Accounts';
+const ACCOUNTS = 'accounts';
+const ACCOUNT_ID_PREFIX = 'u_';
+
+// Fallback when no store is open (lost on restart)
+const memoryAccounts = new Map(); // playerId -> account
+
+function emptyStats() {
+  return { gamesPlayed: 0, wins: 0, bluffsCaught: 0, wrongChecks: 0, cardsTaken: 0 };
+}
+
+// Accounts created before ratings existed start at the default
+function getRating(account) {
+  return typeof account.rating === 'number' ? account.rating : config.RATING_INITIAL;
+}
+
+function accountId(username) {
+  return ACCOUNT_ID_PREFIX + username.toLowerCase();
+}
+
+/**
+ * Player ids in the u_ namespace belong to registered accounts
+ */
+function isAccountId(playerId) {
+  return typeof playerId === 'string' && playerId.startsWith(ACCOUNT_ID_PREFIX);
+}
+
+function load(playerId) {
+  const store = persistence.getStore();
+  if (!store) return memoryAccounts.get(playerId) || null;
+  try {
+    return store.get(ACCOUNTS, playerId);
+  } catch (e) {
+    logger.error(CONTEXT, 'Failed to load account', { playerId, error: e.message });
+    return null;
+  }
+}
+
+function save(account) {
+  const store = persistence.getStore();
+  if (!store) {
+    memoryAccounts.set(account.playerId, account);
+    return;
+  }
+  try {
+    store.put(ACCOUNTS, account.playerId, account);
+  } catch (e) {
+    logger.error(CONTEXT, 'Failed to save account', { playerId: account.playerId, error: e.message });
+  }
+}
+
+/**
+ * Public profile (never includes the password hash)
+ */
+function getProfile(account) {
+  return {
+    playerId: account.playerId,
+    username: account.username,
+    displayName: account.displayName,
+    avatar: account.avatar,
+    stats: account.stats,
+    rating: getRating(account),
+    tier: rating.getTier(getRating(account)),
+    ratedGames: account.ratedGames || 0,
+    createdAt: account.createdAt
+  };
+}
+
+/**
+ * Create an account
+ * Resolves to { account } or { error }
+ */
+async function register(username, password, displayName, avatar) {
+  const playerId = accountId(username);
+  if (load(playerId)) return { error: 'username_taken' };
+
+  const passwordHash = await auth.hashPassword(password);
+  // The name may have been taken while the password was hashing
+  if (load(playerId)) return { error: 'username_taken' };
+
+  const account = {
+    playerId,
+    username,
+    passwordHash,
+    displayName: displayName || username,
+    avatar: avatar || 0,
+    stats: emptyStats(),
+    rating: config.RATING_INITIAL,
+    ratedGames: 0,
+    createdAt: Date.now()
+  };
+  save(account);
+  logger.info(CONTEXT, 'Account registered', { playerId });
+  return { account };
+}
+
+/**
+ * Check a username/password pair
+ * Resolves to { account } or { error }
+ */
+async function login(username, password) {
+  const account = load(accountId(username));
+  if (!account || !(await auth.verifyPassword(password, account.passwordHash))) {
+    return { error: 'invalid_credentials' };
+  }
+  return { account };
+}
+
+function getAccount(playerId) {
+  return isAccountId(playerId) ? load(playerId) : null;
+}
+
+/**
+ * Update display name and/or avatar
+ */
+function updateProfile(playerId, changes) {
+  const account = getAccount(playerId);
+  if (!account) return null;
+  if (changes.displayName) account.displayName = changes.displayName;
+  if (changes.avatar !== undefined) account.avatar = changes.avatar;
+  save(account);
+  return account;
+}
+
+/**
+ * Fold a finished match log into the stats of every registered player in it,
+ * and their ratings if it was a ranked game
+ * Returns the updated accounts
+ */
+function recordMatch(match) {
+  const seated = match.players
+    .map(p => ({ playerId: p.id, account: getAccount(p.id) }))
+    .filter(e => e.account);
+
+  let ratingChanges = {};
+  if (match.ranked && seated.length > 1) {
+    const placements = rating.getPlacements(match);
+    ratingChanges = rating.computeRatingChanges(seated.map(e => ({
+      playerId: e.playerId,
+      rating: getRating(e.account),
+      place: placements[e.playerId]
+    })));
+    logger.info(CONTEXT, 'Ranked match rated', { matchId: match.id, changes: ratingChanges });
+  }
+
+  const updated = [];
+  seated.forEach(({ playerId, account }) => {
+    if (ratingChanges[playerId] !== undefined) {
+      account.rating = getRating(account) + ratingChanges[playerId];
+      account.ratedGames = (account.ratedGames || 0) + 1;
+    }
+
+    const stats = { ...emptyStats(), ...account.stats };
+    stats.gamesPlayed++;
+    if (match.winner === playerId) stats.wins++;
+    match.events.forEach(ev => {
+      if (ev.type !== 'check') return;
+      if (ev.playerId === playerId) {
+        if (ev.wasLie) stats.bluffsCaught++;
+        else stats.wrongChecks++;
+      }
+      if (ev.takerId === playerId) stats.cardsTaken += ev.takenCount || 0;
+    });
+
+    account.stats = stats;
+    save(account);
+    updated.push(account);
+  });
+  return updated;
+}
+
+module.exports = {
+  isAccountId,
+  getProfile,
+  register,
+  login,
+  getAccount,
+  getRating,
+  updateProfile,
+  recordMatch
+};
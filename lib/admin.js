@@ -0,0 +1,196 @@
+/**
+ * Admin API for CardArena
+ * Moderation endpoints under /admin/api, all requiring
+ * `Authorization: Bearer <ADMIN_SECRET>`. Disabled when no secret is set.
+ * The admin page (public/admin.html) is a thin client over these.
+ */
+
+const net = require('net');
+const express = require('express');
+const auth = require('./auth');
+const bans = require('./bans');
+const cluster = require('./cluster');
+const config = require('./config');
+const logger = require('./logger');
+const maintenance = require('./maintenance');
+const reports = require('./reports');
+const { isValidId } = require('./validators');
+
+const CONTEXT = 'Admin';
+
+/**
+ * Client address of a request or WebSocket upgrade
+ */
+function getClientIp(req) {
+  let ip = req.socket ? req.socket.remoteAddress : null;
+  if (config.TRUST_PROXY) {
+    const forwarded = req.headers['x-forwarded-for'];
+    if (typeof forwarded === 'string' && forwarded) ip = forwarded.split(',')[0].trim();
+  }
+  // IPv4 clients of a dual-stack server show up as ::ffff:a.b.c.d
+  return ip && ip.startsWith('::ffff:') ? ip.slice(7) : ip;
+}
+
+function requireAdmin(req, res, next) {
+  if (!config.ADMIN_SECRET) {
+    res.status(503).json({ error: 'admin_disabled' });
+    return;
+  }
+  const header = req.headers.authorization || '';
+  const secret = header.startsWith('Bearer ') ? header.slice(7) : null;
+  if (!auth.verifyAdminSecret(secret)) {
+    logger.warn(CONTEXT, 'Rejected admin request', { path: req.path, ip: getClientIp(req) });
+    res.status(401).json({ error: 'unauthorized' });
+    return;
+  }
+  next();
+}
+
+/**
+ * A ban/kick target from a request body: { playerId } or { ip }
+ */
+function parseTarget(body) {
+  if (body && isValidId(body.playerId)) return { playerId: body.playerId };
+  if (body && typeof body.ip === 'string' && net.isIP(body.ip)) return { ip: body.ip };
+  return null;
+}
+
+function parseReason(body) {
+  return body && typeof body.reason === 'string' ? body.reason.trim().slice(0, config.MAX_NOTICE_LENGTH) || null : null;
+}
+
+function createAdminRouter(gameHandler) {
+  const router = express.Router();
+  router.use(express.json({ limit: '10kb' }));
+  router.use(requireAdmin);
+
+  // Server health plus every live session
+  router.get('/overview', (req, res) => {
+    res.json({
+      instanceId: cluster.getInstanceId(),
+      peers: cluster.getPeers(),
+      ...maintenance.getStats(gameHandler),
+      activeSessions: auth.getActiveSessions()
+    });
+  });
+
+  // Every room in the cluster, private ones included
+  router.get('/rooms', (req, res) => {
+    const local = gameHandler.getRoomSummaries()
+      .map(r => ({ ...r, instanceId: cluster.getInstanceId() }));
+    res.json({ rooms: [...local, ...cluster.getRemoteRooms()] });
+  });
+
+  // Room actions only apply on the instance that holds the room
+  function withRoom(handler) {
+    return (req, res) => {
+      const roomId = req.params.id;
+      if (!isValidId(roomId) || !gameHandler.getRooms()[roomId]) {
+        const owner = isValidId(roomId) ? cluster.findRoomOwner(roomId) : null;
+        if (owner) {
+          res.status(409).json({ error: 'room_on_other_instance', instanceId: owner });
+        } else {
+          res.status(404).json({ error: 'room_not_found' });
+        }
+        return;
+      }
+      handler(roomId, req, res);
+    };
+  }
+
+  router.get('/rooms/:id', withRoom((roomId, req, res) => {
+    res.json(gameHandler.getRoomDetails(roomId));
+  }));
+
+  router.post('/rooms/:id/end', withRoom((roomId, req, res) => {
+    if (!gameHandler.forceEndGame(roomId)) {
+      res.status(409).json({ error: 'game_not_started' });
+      return;
+    }
+    logger.info(CONTEXT, 'Force-ended game', { roomId });
+    res.json({ ok: true });
+  }));
+
+  router.post('/rooms/:id/close', withRoom((roomId, req, res) => {
+    gameHandler.closeRoom(roomId);
+    logger.info(CONTEXT, 'Closed room', { roomId });
+    res.json({ ok: true });
+  }));
+
+  // Disconnect a player id or address (they may come back unless banned)
+  router.post('/kick', (req, res) => {
+    const target = parseTarget(req.body);
+    if (!target) {
+      res.status(400).json({ error: 'invalid_target' });
+      return;
+    }
+    const disconnected = gameHandler.kickPlayer(target, 'kicked_by_admin');
+    res.json({ ok: true, disconnected });
+  });
+
+  router.get('/bans', (req, res) => {
+    res.json({ bans: bans.listBans() });
+  });
+
+  // Ban and disconnect
+  router.post('/bans', (req, res) => {
+    const target = parseTarget(req.body);
+    if (!target) {
+      res.status(400).json({ error: 'invalid_target' });
+      return;
+    }
+    const kind = target.playerId ? 'player' : 'ip';
+    const ban = bans.addBan(kind, target.playerId || target.ip, parseReason(req.body));
+    const disconnected = gameHandler.kickPlayer(target, 'banned');
+    res.json({ ban, disconnected });
+  });
+
+  router.delete('/bans/:kind/:value', (req, res) => {
+    const { kind, value } = req.params;
+    if (!bans.isValidKind(kind) || !bans.removeBan(kind, value)) {
+      res.status(404).json({ error: 'ban_not_found' });
+      return;
+    }
+    res.json({ ok: true });
+  });
+
+  // Player reports, newest first; ?status=open|resolved filters
+  router.get('/reports', (req, res) => {
+    const { status } = req.query;
+    res.json({ reports: reports.listReports().filter(r => !status || r.status === status) });
+  });
+
+  router.post('/reports/:id/resolve', (req, res) => {
+    const report = isValidId(req.params.id) ? reports.resolveReport(req.params.id) : null;
+    if (!report) {
+      res.status(404).json({ error: 'report_not_found' });
+      return;
+    }
+    res.json({ report });
+  });
+
+  // Notice shown to every connected player
+  router.post('/notice', (req, res) => {
+    const text = req.body && typeof req.body.text === 'string'
+      ? req.body.text.trim().slice(0, config.MAX_NOTICE_LENGTH)
+      : '';
+    if (!text) {
+      res.status(400).json({ error: 'invalid_notice' });
+      return;
+    }
+    gameHandler.broadcastNotice(text);
+    res.json({ ok: true });
+  });
+
+  router.post('/cleanup', (req, res) => {
+    const stats = maintenance.cleanupNow(gameHandler);
+    res.json({ message: 'Cleanup triggered', stats });
+  });
+
+  return router;
+}
+
+module.exports = {
+  createAdminRouter,
+  getClientIp
+};
@@ -3,7 +3,15 @@
  * Prevents ID spoofing and manages player sessions
  */
 
+const crypto = require('crypto');
+const util = require('util');
 const config = require('./config');
+const logger = require('./logger');
+const persistence = require('./persistence');
+
+const CONTEXT = 'Auth';
+const SECRETS = 'secrets';
+const SESSION_SECRET_ID = 'session';
 
 /**
  * Session store: playerId -> {
@@ -21,6 +29,9 @@ const sessions = new Map();
  */
 const connectionMap = new Map();
 
+// Signing secret when SESSION_SECRET is not configured (kept in the store)
+let generatedSecret = null;
+
 /**
  * Generate a unique connection ID
  */
@@ -28,6 +39,185 @@ function generateConnectionId() {
   return 'conn_' + Date.now() + '_' + Math.random().toString(36).slice(2, 10);
 }
 
+// ============================================================
+// SIGNED SESSION TOKENS
+// Format: base64url(JSON {pid, iat, exp}) + '.' + base64url(HMAC-SHA256)
+// ============================================================
+
+function getSecret() {
+  if (config.SESSION_SECRET) return config.SESSION_SECRET;
+  if (!generatedSecret) generatedSecret = loadGeneratedSecret();
+  return generatedSecret;
+}
+
+/**
+ * Without SESSION_SECRET, generate a secret once and keep it in the store,
+ * so tokens still verify after a restart (and on instances sharing the store)
+ */
+function loadGeneratedSecret() {
+  const secret = crypto.randomBytes(32).toString('hex');
+  const store = persistence.getStore();
+  if (!store) {
+    logger.warn(CONTEXT, 'SESSION_SECRET not set and persistence disabled; using a random secret, tokens will not survive a restart');
+    return secret;
+  }
+
+  try {
+    const saved = store.get(SECRETS, SESSION_SECRET_ID);
+    if (saved && typeof saved.secret === 'string') return saved.secret;
+    store.put(SECRETS, SESSION_SECRET_ID, { secret, createdAt: Date.now() });
+    logger.info(CONTEXT, 'SESSION_SECRET not set; generated one and saved it to the store');
+  } catch (e) {
+    logger.error(CONTEXT, 'Failed to load or save the session secret; tokens will not survive a restart', { error: e.message });
+  }
+  return secret;
+}
+
+function sign(data) {
+  return crypto.createHmac('sha256', getSecret()).update(data).digest('base64url');
+}
+
+/**
+ * Issue a signed, expiring token for a player id
+ */
+function issueToken(playerId) {
+  const now = Date.now();
+  const payload = Buffer.from(JSON.stringify({
+    pid: playerId,
+    iat: now,
+    exp: now + config.SESSION_TOKEN_TTL
+  })).toString('base64url');
+  return payload + '.' + sign(payload);
+}
+
+/**
+ * Verify a session token
+ * Returns the player id it was issued to, or null if forged, malformed or expired
+ */
+function verifyToken(token) {
+  if (typeof token !== 'string') return null;
+  const parts = token.split('.');
+  if (parts.length !== 2) return null;
+
+  const [payload, signature] = parts;
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return null;
+  }
+
+  try {
+    const data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (typeof data.pid !== 'string' || !(data.exp > Date.now())) return null;
+    return data.pid;
+  } catch (e) {
+    return null;
+  }
+}
+
+// ============================================================
+// PASSWORD HASHING (registered accounts)
+// Format: 'scrypt$' + salt (hex) + '$' + derived key (hex)
+// ============================================================
+
+const PASSWORD_KEY_LENGTH = 64;
+
+// scrypt is deliberately slow, so it runs on the thread pool, not the event loop
+const scrypt = util.promisify(crypto.scrypt);
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const key = (await scrypt(password, salt, PASSWORD_KEY_LENGTH)).toString('hex');
+  return 'scrypt$' + salt + '$' + key;
+}
+
+async function verifyPassword(password, stored) {
+  if (typeof password !== 'string' || typeof stored !== 'string') return false;
+  const [scheme, salt, key] = stored.split('$');
+  if (scheme !== 'scrypt' || !salt || !key) return false;
+
+  const expected = Buffer.from(key, 'hex');
+  const actual = await scrypt(password, salt, expected.length);
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+// ============================================================
+// FAILED LOGIN LIMITS
+// Failed logins are counted per username and per address; past the limit,
+// logins for that username or from that address wait out the window.
+// ============================================================
+
+const loginFailures = new Map(); // 'user:<username>' or 'ip:<address>' -> {count, resetTime}
+
+function loginFailureKeys(username, ip) {
+  const keys = [['user:' + username.toLowerCase(), config.LOGIN_FAILURE_MAX]];
+  if (ip) keys.push(['ip:' + ip, config.LOGIN_FAILURE_MAX_PER_IP]);
+  return keys;
+}
+
+/**
+ * Whether logins for this username or from this address are on hold
+ */
+function isLoginLimited(username, ip) {
+  const now = Date.now();
+  return loginFailureKeys(username, ip).some(([key, max]) => {
+    const entry = loginFailures.get(key);
+    return entry && now <= entry.resetTime && entry.count >= max;
+  });
+}
+
+/**
+ * Count a failed login against the username and the address
+ */
+function recordLoginFailure(username, ip) {
+  const now = Date.now();
+  loginFailureKeys(username, ip).forEach(([key]) => {
+    const entry = loginFailures.get(key);
+    if (!entry || now > entry.resetTime) {
+      loginFailures.set(key, { count: 1, resetTime: now + config.LOGIN_FAILURE_WINDOW });
+    } else {
+      entry.count++;
+    }
+  });
+}
+
+/**
+ * A successful login clears the username's failures (not the address's)
+ */
+function clearLoginFailures(username) {
+  loginFailures.delete('user:' + username.toLowerCase());
+}
+
+/**
+ * Drop failure counts whose window has passed
+ */
+function cleanupLoginFailures() {
+  const now = Date.now();
+  let cleared = 0;
+  for (const [key, entry] of loginFailures) {
+    if (now > entry.resetTime) {
+      loginFailures.delete(key);
+      cleared++;
+    }
+  }
+  return cleared;
+}
+
+// ============================================================
+// ADMIN SECRET
+// ============================================================
+
+/**
+ * Check a secret against ADMIN_SECRET (always false when none is configured)
+ */
+function verifyAdminSecret(provided) {
+  if (!config.ADMIN_SECRET || typeof provided !== 'string') return false;
+  // Compare digests so the check takes the same time whatever the length
+  const expected = crypto.createHash('sha256').update(config.ADMIN_SECRET).digest();
+  const actual = crypto.createHash('sha256').update(provided).digest();
+  return crypto.timingSafeEqual(actual, expected);
+}
+
 /**
  * Create a new session for a player
  * Returns: { playerId, connectionId, token } if created
@@ -57,7 +247,7 @@ function createSession(playerId, playerName, playerAvatar) {
   return {
     playerId,
     connectionId,
-    token: Buffer.from(`${playerId}:${connectionId}`).toString('base64')
+    token: issueToken(playerId)
   };
 }
 
@@ -161,5 +351,14 @@ module.exports = {
   isAuthorized,
   cleanupExpiredSessions,
   getActiveSessions,
-  generateConnectionId
+  generateConnectionId,
+  issueToken,
+  verifyToken,
+  hashPassword,
+  verifyPassword,
+  isLoginLimited,
+  recordLoginFailure,
+  clearLoginFailures,
+  cleanupLoginFailures,
+  verifyAdminSecret
 };
@@ -0,0 +1,108 @@
+/**
+ * Player and IP bans for CardArena
+ * Set from the admin API. Banned player ids can't identify or log in, and
+ * banned addresses are disconnected as soon as they connect.
+ *
+ * Bans live in the persistence store ('bans' collection, shared by every
+ * instance using the same store), or in memory when persistence is disabled.
+ */
+
+const logger = require('./logger');
+const persistence = require('./persistence');
+
+const CONTEXT = 'Bans';
+const BANS = 'bans';
+const VALID_KINDS = ['player', 'ip'];
+
+// Fallback when no store is open (lost on restart)
+const memoryBans = new Map(); // key -> ban
+
+function banKey(kind, value) {
+  return kind + ':' + value;
+}
+
+function load(key) {
+  const store = persistence.getStore();
+  if (!store) return memoryBans.get(key) || null;
+  try {
+    return store.get(BANS, key);
+  } catch (e) {
+    logger.error(CONTEXT, 'Failed to load ban', { key, error: e.message });
+    return null;
+  }
+}
+
+function isValidKind(kind) {
+  return VALID_KINDS.includes(kind);
+}
+
+/**
+ * Ban a player id or IP address
+ * Returns the ban record
+ */
+function addBan(kind, value, reason) {
+  const ban = { kind, value, reason: reason || null, createdAt: Date.now() };
+  const key = banKey(kind, value);
+  const store = persistence.getStore();
+  if (!store) {
+    memoryBans.set(key, ban);
+  } else {
+    try {
+      store.put(BANS, key, ban);
+    } catch (e) {
+      logger.error(CONTEXT, 'Failed to save ban', { key, error: e.message });
+    }
+  }
+  logger.info(CONTEXT, 'Ban added', { kind, value, reason: ban.reason });
+  return ban;
+}
+
+/**
+ * Lift a ban; returns whether one existed
+ */
+function removeBan(kind, value) {
+  const key = banKey(kind, value);
+  if (!load(key)) return false;
+
+  const store = persistence.getStore();
+  if (!store) {
+    memoryBans.delete(key);
+  } else {
+    try {
+      store.remove(BANS, key);
+    } catch (e) {
+      logger.error(CONTEXT, 'Failed to remove ban', { key, error: e.message });
+      return false;
+    }
+  }
+  logger.info(CONTEXT, 'Ban lifted', { kind, value });
+  return true;
+}
+
+function isPlayerBanned(playerId) {
+  return !!playerId && !!load(banKey('player', playerId));
+}
+
+function isIpBanned(ip) {
+  return !!ip && !!load(banKey('ip', ip));
+}
+
+function listBans() {
+  const store = persistence.getStore();
+  if (!store) return [...memoryBans.values()];
+  try {
+    return store.list(BANS);
+  } catch (e) {
+    logger.error(CONTEXT, 'Failed to list bans', { error: e.message });
+    return [];
+  }
+}
+
+module.exports = {
+  isValidKind,
+  addBan,
+  removeBan,
+  isPlayerBanned,
+  isIpBanned,
+  listBans
+};
@@ -0,0 +1,242 @@
+/**
+ * Server-side bots for CardArena
+ * Bots are driven by strategies registered by name in config.BOT_STRATEGIES
+ * (built-ins in lib/strategies). A strategy module exports:
+ *
+ *   decide(view, memory)          -> { type: 'play', cardIds, claimedRank }
+ *                                  | { type: 'pass' } | { type: 'check' }
+ *   label                         optional display name
+ *   createMemory()                optional: private notes kept for the game
+ *   observe(memory, event, botId) optional: called after every play, pile
+ *                                 discard and check
+ *
+ * Bots only see what a seated player could: the view and the events are
+ * frozen copies holding their own hand and cards, the public claims and
+ * counts, and what checks revealed to them.
+ *
+ * view.random() is the game's seeded generator (lib/rng.js); strategies use
+ * it instead of Math.random so a game's seed replays its bots' choices too.
+ */
+
+const path = require('path');
+const config = require('./config');
+const logger = require('./logger');
+const rng = require('./rng');
+const rules = require('./rules');
+
+const CONTEXT = 'Bots';
+const FALLBACK_STRATEGY = 'medium';
+const ACTIONS = ['play', 'pass', 'check'];
+
+const strategies = new Map(); // name -> loaded module
+const unavailable = new Set(); // registered names that failed to load
+
+function copyFrozen(value) {
+  if (value === null || typeof value !== 'object') return value;
+  const copy = Array.isArray(value) ? value.map(copyFrozen) : {};
+  if (!Array.isArray(value)) {
+    Object.keys(value).forEach(key => { copy[key] = copyFrozen(value[key]); });
+  }
+  return Object.freeze(copy);
+}
+
+// ============================================================
+// STRATEGY REGISTRY
+// ============================================================
+
+/**
+ * Load a registered strategy; unknown or broken ones fall back to medium
+ */
+function getStrategy(name) {
+  if (strategies.has(name)) return strategies.get(name);
+
+  let strategy = null;
+  const modulePath = config.BOT_STRATEGIES[name];
+  if (modulePath) {
+    try {
+      strategy = require(path.isAbsolute(modulePath) ? modulePath : path.join(__dirname, modulePath));
+      if (typeof strategy.decide !== 'function') throw new Error('strategy has no decide()');
+    } catch (e) {
+      logger.error(CONTEXT, 'Failed to load bot strategy', { name, modulePath, error: e.message });
+      unavailable.add(name);
+      strategy = null;
+    }
+  }
+  if (!strategy) {
+    if (name === FALLBACK_STRATEGY) throw new Error('Built-in bot strategy missing: ' + FALLBACK_STRATEGY);
+    strategy = getStrategy(FALLBACK_STRATEGY);
+  }
+  strategies.set(name, strategy);
+  return strategy;
+}
+
+/**
+ * Registered strategies that loaded, for clients: [{ name, label }]
+ */
+function listStrategies() {
+  return Object.keys(config.BOT_STRATEGIES)
+    .map(name => ({ name, label: getStrategy(name).label || name }))
+    .filter(s => !unavailable.has(s.name));
+}
+
+// ============================================================
+// VIEWS & MEMORY
+// Each bot's memory lives on state.botMemory so it is snapshotted with the
+// game and starts fresh with every deal:
+// { strategy, revealed: [check events as this bot saw them], notes }
+// ============================================================
+
+/**
+ * What a bot is allowed to see of the game state
+ */
+function getBotView(state, botId) {
+  const handCounts = {};
+  state.order.forEach(id => {
+    if (id !== botId) handCounts[id] = (state.hands[id] || []).length;
+  });
+  const memory = state.botMemory && state.botMemory[botId];
+  return copyFrozen({
+    playerId: botId,
+    order: state.order,
+    hand: state.hands[botId] || [],
+    handCounts, // opponents only
+    roundRank: state.currentRank,
+    allowedRanks: rules.getAllowedRanks(state),
+    maxCards: state.rules.maxCardsPerPlay,
+    rankCount: 4 * state.rules.decks, // copies of each rank in play
+    deckSize: 52 * state.rules.decks, // cards in play
+    wrongCheckPenalty: state.rules.wrongCheckPenalty,
+    // The bot's own face-down cards still on the pile
+    ownPile: state.pile.filter(e => e.playerId === botId).flatMap(e => e.cards),
+    claims: state.pile.map(e => ({ playerId: e.playerId, claimedRank: e.claimedRank, count: e.cards.length })),
+    lastPlay: state.lastPlay
+      ? { playerId: state.lastPlay.playerId, claimedRank: state.lastPlay.claimedRank, count: state.lastPlay.cards.length }
+      : null,
+    // Ranks the last play could have claimed
+    lastPlayRanks: rules.getAllowedRanks({
+      currentRank: state.pile.length > 1 ? state.pile[state.pile.length - 2].claimedRank : null,
+      rules: state.rules
+    }),
+    // Every check this game, with the piles this bot picked up
+    revealed: memory ? memory.revealed : [],
+    random: rng.randomFor(state.rng)
+  });
+}
+
+function createMemory(strategyName) {
+  const strategy = getStrategy(strategyName);
+  return {
+    strategy: strategyName,
+    revealed: [],
+    notes: strategy.createMemory ? strategy.createMemory() : null
+  };
+}
+
+/**
+ * Give the seated bots a memory for the game just dealt
+ * players: [{ id, diff }]
+ */
+function initMemory(state, players) {
+  state.botMemory = {};
+  players.forEach(p => { state.botMemory[p.id] = createMemory(p.diff); });
+}
+
+/**
+ * A table event as one bot may see it
+ */
+function eventFor(event, botId) {
+  if (event.type === 'play') {
+    return { type: 'play', playerId: event.playerId, claimedRank: event.claimedRank, count: event.count };
+  }
+  const ownCards = event.pile.filter(e => e.playerId === botId).flatMap(e => e.cards);
+  const count = event.pile.reduce((a, e) => a + e.cards.length, 0);
+  if (event.type === 'discard') {
+    return { type: 'discard', count, ownCards };
+  }
+  return {
+    type: 'check',
+    checkerId: event.playerId,
+    checkedPlayerId: event.checkedPlayerId,
+    claimedRank: event.claimedRank,
+    cards: event.cards,
+    wasLie: event.wasLie,
+    takerId: event.takerId,
+    pileCount: count,
+    penaltyCards: event.penaltyCards,
+    ownCards,
+    // Picking the pile up shows every card in it
+    pile: event.takerId === botId
+      ? event.pile.map(e => ({ playerId: e.playerId, claimedRank: e.claimedRank, cards: e.cards }))
+      : null
+  };
+}
+
+/**
+ * Feed a table event to every bot's memory
+ * event: { type: 'play', playerId, claimedRank, count }
+ *      | { type: 'discard', pile }            the pile before it was discarded
+ *      | { type: 'check', pile, ...outcome }  the pile before it was taken
+ */
+function observe(state, event) {
+  if (!state.botMemory) return;
+  Object.entries(state.botMemory).forEach(([botId, memory]) => {
+    const seen = eventFor(event, botId);
+    if (seen.type === 'check') memory.revealed.push(seen);
+
+    const strategy = getStrategy(memory.strategy);
+    if (!strategy.observe) return;
+    try {
+      strategy.observe(memory.notes, copyFrozen(seen), botId);
+    } catch (e) {
+      logger.error(CONTEXT, 'Bot strategy failed to observe', { strategy: memory.strategy, botId, error: e.message });
+    }
+  });
+}
+
+// ============================================================
+// TURNS
+// ============================================================
+
+/**
+ * Decide a bot's move for its turn
+ * Returns: { type: 'play', cardIds, claimedRank } | { type: 'pass' } | { type: 'check' }
+ * A strategy that throws or answers nonsense passes; the game handler
+ * replaces illegal moves.
+ */
+function decideAction(state, botId, diff) {
+  state.botMemory = state.botMemory || {};
+  if (!state.botMemory[botId]) state.botMemory[botId] = createMemory(diff);
+  const memory = state.botMemory[botId];
+
+  let action;
+  try {
+    action = getStrategy(memory.strategy).decide(getBotView(state, botId), memory.notes);
+  } catch (e) {
+    logger.error(CONTEXT, 'Bot strategy failed to decide', { strategy: memory.strategy, botId, error: e.message });
+    return { type: 'pass' };
+  }
+  if (!action || !ACTIONS.includes(action.type)) {
+    logger.warn(CONTEXT, 'Bot strategy returned no action', { strategy: memory.strategy, botId });
+    return { type: 'pass' };
+  }
+  return action;
+}
+
+/**
+ * Randomized "thinking" delay before a bot moves
+ */
+function getTurnDelay() {
+  const min = config.BOT_TURN_DELAY_MIN;
+  const max = Math.max(min, config.BOT_TURN_DELAY_MAX);
+  return min + Math.random() * (max - min);
+}
+
+module.exports = {
+  getStrategy,
+  listStrategies,
+  getBotView,
+  initMemory,
+  observe,
+  decideAction,
+  getTurnDelay
+};
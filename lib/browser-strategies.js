@@ -0,0 +1,50 @@
+/**
+ * The built-in bot strategies as one browser script
+ * Offline games run lib/strategies in the page instead of a copy of them:
+ * each module is wrapped with the module, exports and require it expects,
+ * and the script defines window.CardArenaBots = { strategies, helpers }.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DIR = path.join(__dirname, 'strategies');
+// Built-ins that only require './helpers'; strategies registered through
+// BOT_STRATEGIES stay on the server
+const BROWSER_STRATEGIES = ['easy', 'medium', 'hard', 'expert'];
+
+let script = null;
+
+function wrapModule(name) {
+  const source = fs.readFileSync(path.join(DIR, name + '.js'), 'utf8');
+  return `  './${name}': function (module, exports, require) {\n${source}\n  }`;
+}
+
+/**
+ * The script, built from the files on disk the first time it is asked for
+ */
+function getScript() {
+  if (script) return script;
+  script = `// Built from lib/strategies by lib/browser-strategies.js
+(function () {
+var factories = {
+${['helpers', ...BROWSER_STRATEGIES].map(wrapModule).join(',\n')}
+};
+var cache = {};
+function load(id) {
+  if (!cache[id]) {
+    var module = { exports: {} };
+    cache[id] = module;
+    factories[id](module, module.exports, load);
+  }
+  return cache[id].exports;
+}
+var strategies = {};
+${JSON.stringify(BROWSER_STRATEGIES)}.forEach(function (name) { strategies[name] = load('./' + name); });
+window.CardArenaBots = { strategies: strategies, helpers: load('./helpers') };
+})();
+`;
+  return script;
+}
+
+module.exports = { getScript };
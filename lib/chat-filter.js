@@ -0,0 +1,53 @@
+/**
+ * Chat word filter for CardArena
+ * Masks blocked words with asterisks. The list comes from CHAT_FILTER_WORDS
+ * (comma separated); a trailing * on an entry also blocks longer words that
+ * start with it ('damn*' masks 'damned').
+ */
+
+const config = require('./config');
+
+let pattern = null;
+let patternSource = null;
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * One case-insensitive regex for the whole list, rebuilt if the list changes
+ */
+function getPattern(words) {
+  const source = words.join(',');
+  if (source === patternSource) return pattern;
+  patternSource = source;
+
+  const alternatives = words
+    .map(w => w.trim().toLowerCase())
+    .filter(Boolean)
+    .map(w => w.endsWith('*') ? escapeRegExp(w.slice(0, -1)) + '[a-z]*' : escapeRegExp(w));
+  pattern = alternatives.length
+    ? new RegExp('\\b(?:' + alternatives.join('|') + ')\\b', 'gi')
+    : null;
+  return pattern;
+}
+
+/**
+ * Mask blocked words in a message
+ * Returns { text, filtered } where filtered tells whether anything was masked
+ */
+function filterText(text, words = config.CHAT_FILTER_WORDS) {
+  const re = config.CHAT_FILTER_ENABLED ? getPattern(words) : null;
+  if (!re || typeof text !== 'string') return { text, filtered: false };
+
+  let filtered = false;
+  const masked = text.replace(re, match => {
+    filtered = true;
+    return '*'.repeat(match.length);
+  });
+  return { text: masked, filtered };
+}
+
+module.exports = {
+  filterText
+};
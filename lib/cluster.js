@@ -0,0 +1,274 @@
+/**
+ * Clustering for CardArena
+ * Lets several server instances run behind one load balancer. Every room is
+ * pinned to the instance that created it, which holds its state and runs its
+ * game. Instances talk over a pub/sub adapter:
+ *
+ *  - each instance announces its rooms and tournaments, so all of them serve
+ *    the same lists
+ *  - messages for a room or tournament owned elsewhere are forwarded to the owner
+ *  - the owner's replies and room broadcasts are routed back to the instance
+ *    holding the player's socket
+ *
+ * Adapters: 'memory' (in-process, single instance) or 'redis'
+ */
+
+const config = require('./config');
+const logger = require('./logger');
+const { createMemoryPubSub } = require('./pubsub/memory-pubsub');
+const { createRedisPubSub } = require('./pubsub/redis-pubsub');
+
+const CONTEXT = 'Cluster';
+
+let adapter = null;
+let instanceId = null;
+let handler = null;
+let heartbeatTimer = null;
+let lastAnnounced = null;
+
+// Other live instances: instanceId -> { rooms: [summary], tournaments: [summary], seenAt }
+let peers = new Map();
+
+function channel(name) {
+  return config.CLUSTER_CHANNEL_PREFIX + ':' + name;
+}
+
+function getInstanceId() {
+  if (!instanceId) {
+    instanceId = config.INSTANCE_ID || 'inst_' + Math.random().toString(36).slice(2, 10);
+  }
+  return instanceId;
+}
+
+/**
+ * Open the configured pub/sub adapter
+ * Returns the adapter, or null if it could not be created
+ */
+function init(driver = config.PUBSUB_DRIVER, url = config.PUBSUB_URL) {
+  if (adapter) return adapter;
+
+  try {
+    if (driver === 'redis') {
+      adapter = createRedisPubSub(url);
+    } else {
+      adapter = createMemoryPubSub();
+    }
+  } catch (e) {
+    logger.error(CONTEXT, 'Failed to open pub/sub, running as a single instance', { driver, error: e.message });
+    adapter = null;
+    return null;
+  }
+
+  logger.info(CONTEXT, 'Pub/sub opened', { driver: adapter.driver, instanceId: getInstanceId() });
+  // Seats are resumed on other instances with session tokens, so they all need the same secret
+  if (adapter.driver !== 'memory' && !config.SESSION_SECRET && config.STORAGE_DRIVER === 'none') {
+    logger.warn(CONTEXT, 'SESSION_SECRET not set and no shared store; players cannot resume seats held on another instance');
+  }
+  return adapter;
+}
+
+/**
+ * Does a persisted room (or tournament) belong to this instance?
+ * Records saved before clustering existed belong to whoever loads them.
+ */
+function ownsRoom(room) {
+  return !room.instanceId || room.instanceId === getInstanceId();
+}
+
+// ============================================================
+// MESSAGING
+// Wire format: { kind, from, ...data }
+// ============================================================
+
+/**
+ * Send to every other instance
+ */
+function publish(kind, data = {}) {
+  if (!adapter) return;
+  adapter.publish(channel('all'), { kind, from: getInstanceId(), ...data });
+}
+
+/**
+ * Send to one instance
+ */
+function sendTo(targetId, kind, data = {}) {
+  if (!adapter) return;
+  adapter.publish(channel('instance:' + targetId), { kind, from: getInstanceId(), ...data });
+}
+
+function onMessage(message) {
+  if (!message || !message.from || message.from === getInstanceId()) return;
+
+  switch (message.kind) {
+    case 'rooms':
+      updatePeer(message.from, message.rooms, message.tournaments);
+      break;
+    case 'leave':
+      dropPeer(message.from);
+      break;
+    default:
+      if (!peers.has(message.from)) updatePeer(message.from, []);
+      if (handler) handler.handleClusterMessage(message);
+  }
+}
+
+// ============================================================
+// PEERS & THE GLOBAL ROOMS LIST
+// ============================================================
+
+function updatePeer(peerId, rooms, tournaments) {
+  const previous = peers.get(peerId);
+  const summaries = Array.isArray(rooms) ? rooms : [];
+  peers.set(peerId, {
+    rooms: summaries,
+    // Pings without an announcement keep the tournaments last announced
+    tournaments: Array.isArray(tournaments) ? tournaments : (previous ? previous.tournaments : []),
+    seenAt: Date.now()
+  });
+
+  if (!previous) logger.info(CONTEXT, 'Peer joined', { peerId });
+  if (!previous || JSON.stringify(previous.rooms) !== JSON.stringify(summaries)) {
+    if (handler) handler.sendRoomsList();
+  }
+}
+
+function dropPeer(peerId) {
+  if (!peers.delete(peerId)) return;
+  logger.info(CONTEXT, 'Peer left', { peerId });
+  if (handler) {
+    handler.dropInstance(peerId);
+    handler.sendRoomsList();
+  }
+}
+
+/**
+ * Tell the other instances about this instance's rooms and tournaments
+ * (skipped if unchanged)
+ */
+function announceRooms(summaries, tournaments, force = false) {
+  const serialized = JSON.stringify([summaries, tournaments]);
+  if (!force && serialized === lastAnnounced) return;
+  lastAnnounced = serialized;
+  publish('rooms', { rooms: summaries, tournaments });
+}
+
+/**
+ * Room summaries announced by other instances, tagged with their owner
+ */
+function getRemoteRooms() {
+  const list = [];
+  for (const [peerId, peer] of peers) {
+    peer.rooms.forEach(room => list.push({ ...room, instanceId: peerId }));
+  }
+  return list;
+}
+
+/**
+ * Instance owning a room that isn't held here, or null
+ */
+function findRoomOwner(roomId) {
+  for (const [peerId, peer] of peers) {
+    if (peer.rooms.some(r => r.id === roomId)) return peerId;
+  }
+  return null;
+}
+
+function findRoomOwnerByCode(code) {
+  for (const [peerId, peer] of peers) {
+    if (peer.rooms.some(r => r.code === code)) return peerId;
+  }
+  return null;
+}
+
+/**
+ * Tournament summaries announced by other instances, tagged with their owner
+ */
+function getRemoteTournaments() {
+  const list = [];
+  for (const [peerId, peer] of peers) {
+    peer.tournaments.forEach(t => list.push({ ...t, instanceId: peerId }));
+  }
+  return list;
+}
+
+/**
+ * Instance owning a tournament that isn't held here, or null
+ */
+function findTournamentOwner(tournamentId) {
+  for (const [peerId, peer] of peers) {
+    if (peer.tournaments.some(t => t.id === tournamentId)) return peerId;
+  }
+  return null;
+}
+
+function getPeers() {
+  return [...peers.keys()];
+}
+
+// ============================================================
+// LIFECYCLE
+// ============================================================
+
+/**
+ * Join the cluster: subscribe, announce our rooms and start the heartbeat
+ * gameHandler provides getRoomSummaries, getTournamentSummaries,
+ * handleClusterMessage, sendRoomsList and dropInstance
+ */
+function start(gameHandler) {
+  if (!adapter || heartbeatTimer) return;
+  handler = gameHandler;
+
+  adapter.subscribe(channel('all'), onMessage);
+  adapter.subscribe(channel('instance:' + getInstanceId()), onMessage);
+  announceRooms(handler.getRoomSummaries(), handler.getTournamentSummaries(), true);
+
+  heartbeatTimer = setInterval(() => {
+    announceRooms(handler.getRoomSummaries(), handler.getTournamentSummaries(), true);
+
+    const cutoff = Date.now() - config.CLUSTER_PEER_TIMEOUT;
+    for (const [peerId, peer] of peers) {
+      if (peer.seenAt < cutoff) {
+        logger.warn(CONTEXT, 'Peer timed out', { peerId });
+        dropPeer(peerId);
+      }
+    }
+  }, config.CLUSTER_HEARTBEAT_INTERVAL);
+
+  logger.info(CONTEXT, 'Joined cluster', { instanceId: getInstanceId(), heartbeatMs: config.CLUSTER_HEARTBEAT_INTERVAL });
+}
+
+/**
+ * Leave the cluster and close the adapter
+ */
+function stop() {
+  if (heartbeatTimer) {
+    clearInterval(heartbeatTimer);
+    heartbeatTimer = null;
+  }
+  if (adapter) {
+    // Peers drop our rooms now instead of waiting for the timeout
+    publish('leave');
+    adapter.close();
+    adapter = null;
+  }
+  handler = null;
+  peers = new Map();
+  lastAnnounced = null;
+}
+
+module.exports = {
+  init,
+  start,
+  stop,
+  getInstanceId,
+  ownsRoom,
+  publish,
+  sendTo,
+  announceRooms,
+  getRemoteRooms,
+  findRoomOwner,
+  findRoomOwnerByCode,
+  getRemoteTournaments,
+  findTournamentOwner,
+  getPeers
+};
@@ -3,6 +3,24 @@
  * Environment variables override defaults
  */
 
+const path = require('path');
+
+/**
+ * Bot strategies by name -> module path. Built-ins live in lib/strategies;
+ * BOT_STRATEGIES adds more as comma-separated name=path pairs, with paths
+ * taken from the working directory (e.g. "shark=./bots/shark.js").
+ */
+const BOT_STRATEGIES = {
+  easy: './strategies/easy',
+  medium: './strategies/medium',
+  hard: './strategies/hard',
+  expert: './strategies/expert'
+};
+(process.env.BOT_STRATEGIES || '').split(',').forEach(pair => {
+  const [name, modulePath] = pair.split('=').map(s => s && s.trim());
+  if (name && modulePath) BOT_STRATEGIES[name] = path.resolve(modulePath);
+});
+
 module.exports = {
   // Logging
   LOG_LEVEL: process.env.LOG_LEVEL || 'info',
@@ -12,14 +30,65 @@ module.exports = {
   MAX_ROOM_NAME_LENGTH: parseInt(process.env.MAX_ROOM_NAME_LENGTH) || 30,
   MAX_CHAT_LENGTH: parseInt(process.env.MAX_CHAT_LENGTH) || 200,
   MAX_PASSWORD_LENGTH: parseInt(process.env.MAX_PASSWORD_LENGTH) || 50,
+  MAX_SEED_LENGTH: parseInt(process.env.MAX_SEED_LENGTH) || 64,
+  MIN_ACCOUNT_PASSWORD_LENGTH: parseInt(process.env.MIN_ACCOUNT_PASSWORD_LENGTH) || 8,
+  MAX_ACCOUNT_PASSWORD_LENGTH: parseInt(process.env.MAX_ACCOUNT_PASSWORD_LENGTH) || 128,
 
-  // Game difficulty levels
-  VALID_DIFFICULTIES: ['easy', 'medium', 'hard'],
+  // Bot difficulty levels: one per registered strategy
+  BOT_STRATEGIES,
+  VALID_DIFFICULTIES: Object.keys(BOT_STRATEGIES),
   VALID_RANKS: ['A', '2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K'],
 
+  // Room rule variants
+  MAX_DECKS: parseInt(process.env.MAX_DECKS) || 3,
+  VALID_RANK_MODES: ['locked', 'sequential', 'updown'],
+  MAX_WRONG_CHECK_PENALTY: parseInt(process.env.MAX_WRONG_CHECK_PENALTY) || 3,
+
+  // Best-of-N series (1 = single games)
+  VALID_SERIES_LENGTHS: [1, 3, 5, 7],
+  // Points per game: this many, less one per card still held
+  SERIES_BASE_POINTS: parseInt(process.env.SERIES_BASE_POINTS) || 10,
+
+  // Chat moderation
+  CHAT_FILTER_ENABLED: process.env.CHAT_FILTER_ENABLED !== 'false',
+  // Comma separated; a trailing * also matches longer words
+  CHAT_FILTER_WORDS: (process.env.CHAT_FILTER_WORDS || 'fuck*,shit*,cunt*,bitch*,asshole*,bastard*,motherfuck*,dickhead*,slut*,whore*').split(','),
+  // Separate from RATE_LIMIT_MAX: messages per CHAT_RATE_LIMIT_WINDOW
+  CHAT_RATE_LIMIT_WINDOW: parseInt(process.env.CHAT_RATE_LIMIT_WINDOW) || 10000,
+  CHAT_RATE_LIMIT_MAX: parseInt(process.env.CHAT_RATE_LIMIT_MAX) || 5,
+  // Recent messages kept per room: replayed to players who join or
+  // reconnect, and attached to reports
+  CHAT_CONTEXT_SIZE: parseInt(process.env.CHAT_CONTEXT_SIZE) || 20,
+  MAX_REPORT_REASON_LENGTH: parseInt(process.env.MAX_REPORT_REASON_LENGTH) || 200,
+  // Quick emotes (emote id -> text); fixed so they never need filtering
+  EMOTES: {
+    nice_bluff: 'Nice bluff!',
+    thinking: '🤔',
+    liar: 'Liar!',
+    well_played: 'Well played',
+    oops: '😅',
+    laugh: '😂',
+    wow: '😮',
+    gg: 'GG'
+  },
+
   // Heartbeat settings (milliseconds)
   HEARTBEAT_INTERVAL: parseInt(process.env.HEARTBEAT_INTERVAL) || 30000,
 
+  // Session tokens - HMAC secret (set in production so tokens survive restarts)
+  SESSION_SECRET: process.env.SESSION_SECRET || null,
+  SESSION_TOKEN_TTL: parseInt(process.env.SESSION_TOKEN_TTL) || 86400000, // 24 hours
+  // Failed logins before a username (or an address) has to wait out the window
+  LOGIN_FAILURE_WINDOW: parseInt(process.env.LOGIN_FAILURE_WINDOW) || 900000, // 15 minutes
+  LOGIN_FAILURE_MAX: parseInt(process.env.LOGIN_FAILURE_MAX) || 5,
+  LOGIN_FAILURE_MAX_PER_IP: parseInt(process.env.LOGIN_FAILURE_MAX_PER_IP) || 20,
+
+  // Admin API - disabled unless a secret is set
+  ADMIN_SECRET: process.env.ADMIN_SECRET || null,
+  MAX_NOTICE_LENGTH: parseInt(process.env.MAX_NOTICE_LENGTH) || 300,
+  // Behind a load balancer: take the client address from X-Forwarded-For
+  TRUST_PROXY: process.env.TRUST_PROXY === 'true',
+
   // Connection settings
   RECONNECT_GRACE_PERIOD: parseInt(process.env.RECONNECT_GRACE_PERIOD) || 60000,
 
@@ -27,10 +96,61 @@ module.exports = {
   RATE_LIMIT_WINDOW: parseInt(process.env.RATE_LIMIT_WINDOW) || 1000,
   RATE_LIMIT_MAX: parseInt(process.env.RATE_LIMIT_MAX) || 20,
 
+  // Bots - randomized thinking delay (milliseconds)
+  BOT_TURN_DELAY_MIN: parseInt(process.env.BOT_TURN_DELAY_MIN) || 1000,
+  BOT_TURN_DELAY_MAX: parseInt(process.env.BOT_TURN_DELAY_MAX) || 3500,
+
+  // Turn timer (milliseconds) - rooms may pick a duration within the bounds
+  TURN_DURATION: parseInt(process.env.TURN_DURATION) || 30000,
+  MIN_TURN_DURATION: parseInt(process.env.MIN_TURN_DURATION) || 10000,
+  MAX_TURN_DURATION: parseInt(process.env.MAX_TURN_DURATION) || 120000,
+  // Extra pause after a check so clients can show the reveal
+  CHECK_REVEAL_PAUSE: parseInt(process.env.CHECK_REVEAL_PAUSE) || 2000,
+
+  // Spectators
+  MAX_SPECTATORS: parseInt(process.env.MAX_SPECTATORS) || 20,
+  // How far behind spectators see hands when a host enables reveal (milliseconds)
+  SPECTATOR_REVEAL_DELAY: parseInt(process.env.SPECTATOR_REVEAL_DELAY) || 30000,
+
   // Game rules
   MAX_PLAYERS: parseInt(process.env.MAX_PLAYERS) || 8,
   MIN_PLAYERS: parseInt(process.env.MIN_PLAYERS) || 2,
 
+  // Ranked play - Elo ratings and the matchmaking queue
+  RATING_INITIAL: parseInt(process.env.RATING_INITIAL) || 1200,
+  RATING_K: parseInt(process.env.RATING_K) || 32,
+  // Largest rating gap allowed at one table, widened the longer players wait
+  RANKED_BASE_SPREAD: parseInt(process.env.RANKED_BASE_SPREAD) || 100,
+  RANKED_SPREAD_GROWTH: parseInt(process.env.RANKED_SPREAD_GROWTH) || 50, // per RANKED_SPREAD_INTERVAL waited
+  RANKED_SPREAD_INTERVAL: parseInt(process.env.RANKED_SPREAD_INTERVAL) || 10000,
+  MATCHMAKING_INTERVAL: parseInt(process.env.MATCHMAKING_INTERVAL) || 2000,
+
+  // Tournaments - rounds of server-seated tables, bots filling empty seats
+  TOURNAMENT_FORMATS: ['knockout', 'swiss'],
+  MIN_TOURNAMENT_SIZE: parseInt(process.env.MIN_TOURNAMENT_SIZE) || 8,
+  MAX_TOURNAMENT_SIZE: parseInt(process.env.MAX_TOURNAMENT_SIZE) || 64,
+  TOURNAMENT_SWISS_ROUNDS: parseInt(process.env.TOURNAMENT_SWISS_ROUNDS) || 4,
+  MAX_TOURNAMENT_ROUNDS: parseInt(process.env.MAX_TOURNAMENT_ROUNDS) || 10,
+  // Pause between rounds so players can see the results (milliseconds)
+  TOURNAMENT_ROUND_DELAY: parseInt(process.env.TOURNAMENT_ROUND_DELAY) || 15000,
+  MAX_TOURNAMENTS: parseInt(process.env.MAX_TOURNAMENTS) || 20,
+
+  // Persistence - 'json', 'sqlite' or 'none'
+  STORAGE_DRIVER: process.env.STORAGE_DRIVER || 'json',
+  STORAGE_PATH: process.env.STORAGE_PATH || path.join(__dirname, '..', 'data'),
+  SNAPSHOT_INTERVAL: parseInt(process.env.SNAPSHOT_INTERVAL) || 2000,
+  // Finished matches kept in memory for replays
+  MATCH_CACHE_SIZE: parseInt(process.env.MATCH_CACHE_SIZE) || 50,
+
+  // Clustering - pub/sub 'memory' (single instance) or 'redis'
+  PUBSUB_DRIVER: process.env.PUBSUB_DRIVER || 'memory',
+  PUBSUB_URL: process.env.PUBSUB_URL || process.env.REDIS_URL || 'redis://127.0.0.1:6379',
+  // Set per instance so restarted instances reclaim their persisted rooms
+  INSTANCE_ID: process.env.INSTANCE_ID || null,
+  CLUSTER_CHANNEL_PREFIX: process.env.CLUSTER_CHANNEL_PREFIX || 'cardarena',
+  CLUSTER_HEARTBEAT_INTERVAL: parseInt(process.env.CLUSTER_HEARTBEAT_INTERVAL) || 5000,
+  CLUSTER_PEER_TIMEOUT: parseInt(process.env.CLUSTER_PEER_TIMEOUT) || 15000,
+
   // Room cleanup
   MAX_ROOMS: parseInt(process.env.MAX_ROOMS) || 100,
   IDLE_ROOM_TIMEOUT: parseInt(process.env.IDLE_ROOM_TIMEOUT) || 3600000 // 1 hour
@@ -9,7 +9,20 @@ const config = require('./config');
 const logger = require('./logger');
 const validators = require('./validators');
 const auth = require('./auth');
-const { sanitizeString, sanitizePlayer, isValidId, isValidAvatar, isValidMaxPlayers, isValidDifficulty, isValidRank } = validators;
+const rules = require('./rules');
+const rng = require('./rng');
+const rating = require('./rating');
+const bots = require('./bots');
+const matchLog = require('./match-log');
+const accounts = require('./accounts');
+const cluster = require('./cluster');
+const bans = require('./bans');
+const reports = require('./reports');
+const series = require('./series');
+const tournament = require('./tournament');
+const { filterText } = require('./chat-filter');
+const { getPublicView, getPrivateView, getSpectatorView } = require('./game-view');
+const { sanitizeString, sanitizePlayer, isValidId, isValidAvatar, isValidMaxPlayers, isValidTurnDuration, isValidDifficulty, isValidRank, validateRoomRules, isValidSeed, isValidSeriesLength, validateTournamentOptions, isValidUsername, isValidAccountPassword } = validators;
 
 const CONTEXT = 'GameHandler';
 
@@ -18,13 +31,30 @@ const CONTEXT = 'GameHandler';
 // ============================================================
 
 let rooms = {};
-let clients = new Map();           // ws -> {playerId, name, isAlive}
+let clients = new Map();           // ws -> {playerId, name, ip, isAlive}
 let clientsByPlayerId = new Map(); // playerId -> ws (for O(1) lookup)
 let heartbeatTimer = null;
 let disconnectedPlayers = new Map(); // playerId -> {roomId, disconnectedAt, playerData}
 
 // Rate limiting: track messages per player
 let messageRateLimits = new Map(); // playerId -> {count, resetTime}
+// Chat has its own, tighter limit
+let chatRateLimits = new Map(); // playerId -> {count, resetTime}
+
+// Pending bot moves: roomId -> timeout
+let botTimers = new Map();
+
+// Turn deadlines: roomId -> timeout
+let turnTimers = new Map();
+
+// Ranked matchmaking: playerId -> {playerId, rating, tableSize, joinedAt}
+let rankedQueue = new Map();
+let matchmakingTimer = null;
+
+// Tournaments on this instance: tournamentId -> tournament (see lib/tournament.js)
+let tournaments = new Map();
+// Next round or final cleanup: tournamentId -> timeout
+let tournamentTimers = new Map();
 
 // ============================================================
 // UTILITY FUNCTIONS
@@ -51,6 +81,15 @@ function getSocketByPlayerId(playerId) {
   return clientsByPlayerId.get(playerId);
 }
 
+/**
+ * Open sockets of a room's spectators
+ */
+function getSpectatorSockets(room) {
+  return (room.spectators || [])
+    .map(id => getSocketByPlayerId(id))
+    .filter(ws => ws && ws.readyState === 1);
+}
+
 function broadcastToRoom(roomId, msg) {
   const room = rooms[roomId];
   if (!room) return;
@@ -62,19 +101,117 @@ function broadcastToRoom(roomId, msg) {
       send(ws, msg);
     }
   });
+  getSpectatorSockets(room).forEach(ws => send(ws, msg));
 }
 
-function broadcastRoomsList() {
-  const publicRooms = Object.values(rooms)
+/**
+ * Broadcast a game event, attaching each recipient's private view of the game
+ * Spectators get the public view (no hands, unless delayed reveal is on)
+ */
+function broadcastGameEvent(room, msg) {
+  room.players.forEach(p => {
+    if (p.isBot) return;
+    const ws = getSocketByPlayerId(p.id);
+    if (ws && ws.readyState === 1) {
+      send(ws, { ...msg, view: getPrivateView(room, p.id) });
+    }
+  });
+
+  const spectatorSockets = getSpectatorSockets(room);
+  if (spectatorSockets.length > 0) {
+    const view = getSpectatorView(room);
+    spectatorSockets.forEach(ws => send(ws, { ...msg, view }));
+  }
+}
+
+/**
+ * The room's recent chat, in the shape of live 'chat' messages
+ */
+function getChatHistory(room) {
+  return (room.recentChat || []).map(m => ({ from: m.name, text: m.text, playerId: m.playerId, at: m.at }));
+}
+
+/**
+ * Send a (re)connecting player or a new spectator the in-progress game
+ * view: what the recipient may see (private or spectator view)
+ */
+function sendGameStateRestore(ws, room, view) {
+  send(ws, {
+    type: 'game_state_restore',
+    roomId: room.id,
+    chat: getChatHistory(room),
+    commitment: room.gameState && room.gameState.fairness ? room.gameState.fairness.commitment : null,
+    seeded: !!(room.gameState && room.gameState.seeded),
+    gameState: {
+      ...view,
+      players: room.players.map(p => ({
+        id: p.id,
+        name: p.name,
+        avatar: p.avatar,
+        isBot: !!p.isBot
+      })).concat(getDisconnectedSeats(room))
+    }
+  });
+}
+
+/**
+ * Seats held for players still inside their reconnection grace period
+ * (they are out of room.players until they come back)
+ */
+function getDisconnectedSeats(room) {
+  const seats = [];
+  disconnectedPlayers.forEach((info, playerId) => {
+    // A player mid-reconnect is already seated again
+    if (info.roomId !== room.id || room.players.some(p => p.id === playerId)) return;
+    seats.push({
+      id: playerId,
+      name: info.playerData.name,
+      avatar: info.playerData.avatar,
+      isBot: false,
+      disconnected: true,
+      reconnectRemaining: Math.max(0, info.disconnectedAt + config.RECONNECT_GRACE_PERIOD - Date.now())
+    });
+  });
+  return seats;
+}
+
+/**
+ * Summaries of every room held here, private ones included (for the cluster)
+ */
+function getRoomSummaries() {
+  return Object.values(rooms).map(safeRoomForBroadcast);
+}
+
+/**
+ * Public rooms across the cluster, keyed by id
+ */
+function getPublicRooms() {
+  const publicRooms = {};
+  cluster.getRemoteRooms()
     .filter(r => !r.private)
-    .reduce((acc, r) => { acc[r.id] = safeRoomForBroadcast(r); return acc; }, {});
-  const msg = { type: 'rooms_list', rooms: publicRooms };
-  
+    .forEach(r => { publicRooms[r.id] = r; });
+  Object.values(rooms)
+    .filter(r => !r.private)
+    .forEach(r => { publicRooms[r.id] = safeRoomForBroadcast(r); });
+  return publicRooms;
+}
+
+/**
+ * Send the rooms list to every socket connected to this instance
+ * (players on other instances get it from their own)
+ */
+function sendRoomsList() {
+  const msg = { type: 'rooms_list', rooms: getPublicRooms() };
   for (const [ws] of clients) {
-    if (ws.readyState === 1) send(ws, msg);
+    if (!ws.remote && ws.readyState === 1) send(ws, msg);
   }
 }
 
+function broadcastRoomsList() {
+  cluster.announceRooms(getRoomSummaries(), getTournamentSummaries());
+  sendRoomsList();
+}
+
 function safeRoomForBroadcast(room) {
   return {
     id: room.id,
@@ -85,6 +222,16 @@ function safeRoomForBroadcast(room) {
     status: room.status,
     private: room.private,
     hasPassword: !!room.password, // Don't expose actual password
+    turnDuration: room.turnDuration,
+    rules: room.rules,
+    ranked: !!room.ranked,
+    spectatorCount: (room.spectators || []).length,
+    spectatorReveal: !!room.spectatorReveal,
+    // The next deal comes from a preset seed (never the seed itself)
+    seeded: !!room.seed,
+    muted: room.muted || [],
+    series: series.getSummary(room.series),
+    tournamentId: room.tournamentId || null,
     players: (room.players || []).map(p => ({
       id: p.id,
       name: p.name,
@@ -112,36 +259,352 @@ function createBot(diff = 'medium') {
 // GAME LOGIC
 // ============================================================
 
-function createDeck() {
-  const deck = [];
-  const SUITS = ['♠', '♥', '♦', '♣'];
-  const RANKS = ['A', '2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K'];
-  for (const s of SUITS) {
-    for (const r of RANKS) {
-      deck.push({ rank: r, suit: s, id: r + s });
+/**
+ * Who leads: the host in a room's first game, then the seat after the
+ * previous starter
+ */
+function getStarterId(room) {
+  const prevIdx = room.players.findIndex(p => p.id === room.lastStarterId);
+  if (prevIdx === -1) return room.host;
+  return room.players[(prevIdx + 1) % room.players.length].id;
+}
+
+/**
+ * Deal and start a room's game
+ */
+function startGame(room) {
+  // Server-side authoritative deck and dealing, from the host's seed if one
+  // was set for this deal, otherwise a fresh strong one
+  const seeded = !!room.seed;
+  const gameRng = rng.createRng(room.seed || rng.createSeed());
+  room.seed = null;
+  const deck = rules.shuffleDeck(rules.createDeck(room.rules.decks), rng.randomFor(gameRng));
+  const hands = rules.dealCards(deck, room.players);
+  const starterId = getStarterId(room);
+  
+  room.status = 'playing';
+  room.gameStartedAt = Date.now();
+  room.lastStarterId = starterId;
+  room.rematch = null;
+  
+  // Server-authoritative game state (also used for reconnection)
+  room.gameState = rules.createGameState(room.players, hands, starterId, room.rules, gameRng);
+  // Whoever set the seed can work out every hand, so every player is told
+  room.gameState.seeded = seeded;
+  // Provably fair: commit to the seed now, reveal it at game_over
+  room.gameState.fairness = rng.commitSeed(gameRng.seed);
+  bots.initMemory(room.gameState, room.players.filter(p => p.isBot));
+  matchLog.startMatch(room);
+  startTurnClock(room);
+  
+  logger.info(CONTEXT, 'Game started', { roomId: room.id, playerCount: room.players.length, host: room.host, ranked: !!room.ranked });
+  // Deal privately: each client only receives its own hand
+  broadcastGameEvent(room, {
+    type: 'start_game',
+    roomId: room.id,
+    players: room.players.map(p => ({
+      id: p.id,
+      name: p.name,
+      avatar: p.avatar,
+      isBot: !!p.isBot
+    })),
+    starterId,
+    commitment: room.gameState.fairness.commitment,
+    seeded
+  });
+  broadcastRoomsList();
+}
+
+/**
+ * What a finished game reveals so players can check the commitment they got
+ * in start_game, and re-deal the game from its seed
+ */
+function getFairnessReveal(room) {
+  const state = room.gameState;
+  if (!state || !state.rng || !state.fairness) return null;
+  // A preset seed matches its commitment but was chosen by the host, so it proves nothing about fairness
+  return { seed: state.rng.seed, salt: state.fairness.salt, commitment: state.fairness.commitment, seeded: !!state.seeded };
+}
+
+/**
+ * Finish a room's game and announce the winner
+ */
+function endGame(room, winnerId) {
+  clearBotTimer(room.id);
+  clearTurnTimer(room.id);
+  room.status = 'finished';
+  room.gameEndedAt = Date.now();
+  const match = matchLog.finishMatch(room, winnerId);
+  if (match) {
+    // Push refreshed lifetime stats to registered players
+    accounts.recordMatch(match).forEach(account => {
+      const sock = getSocketByPlayerId(account.playerId);
+      if (sock) send(sock, { type: 'account', profile: accounts.getProfile(account) });
+    });
+  }
+  if (room.series) {
+    series.recordGame(room.series, {
+      players: room.players,
+      hands: room.gameState ? room.gameState.hands : {},
+      winnerId,
+      matchId: match ? match.id : null
+    });
+    if (room.series.winner) {
+      logger.info(CONTEXT, 'Series finished', { roomId: room.id, winner: room.series.winner, games: room.series.games.length });
     }
   }
-  return deck;
+  logger.info(CONTEXT, 'Game finished', { roomId: room.id, winner: winnerId });
+  broadcastGameEvent(room, {
+    type: 'game_over',
+    roomId: room.id,
+    winner: winnerId,
+    matchId: match ? match.id : null,
+    series: series.getSummary(room.series),
+    fairness: getFairnessReveal(room)
+  });
+  if (room.tournamentId) finishTournamentTable(room, winnerId);
+  broadcastRoomsList();
+}
+
+// ============================================================
+// REMATCH
+// After a game, the seated players agree to play again at the same table.
+// Bots never need to accept.
+// ============================================================
+
+/**
+ * Seated players who haven't accepted the pending rematch
+ */
+function getRematchWaitingFor(room) {
+  const accepted = room.rematch ? room.rematch.accepted : [];
+  return room.players.filter(p => !p.isBot && !accepted.includes(p.id)).map(p => p.id);
+}
+
+/**
+ * Once everyone still seated has accepted, put the room back to waiting with
+ * the same seats and bots; the host then redeals with start_game.
+ * Also called when a player leaves, which may complete the set.
+ */
+function checkRematch(room) {
+  if (!room.rematch || room.status !== 'finished') return;
+  room.rematch.accepted = room.rematch.accepted.filter(id => room.players.some(p => p.id === id));
+  if (getRematchWaitingFor(room).length > 0) return;
+
+  room.status = 'waiting';
+  room.gameState = null;
+  room.rematch = null;
+  room.players.forEach(p => { if (!p.isBot) p.ready = false; });
+  // The scoreboard carries over; a decided series starts again from zero
+  if (room.series && room.series.winner) room.series = series.createSeries(room.series.length);
+  logger.info(CONTEXT, 'Rematch agreed', { roomId: room.id, players: room.players.length });
+  broadcastToRoom(room.id, { type: 'rematch_ready', room: safeRoomForBroadcast(room) });
+  broadcastRoomsList();
 }
 
-function shuffleDeck(deck) {
-  for (let i = deck.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [deck[i], deck[j]] = [deck[j], deck[i]];
+// ============================================================
+// GAME ACTIONS
+// Shared by player messages and the bot runner.
+// Each returns an error code, or null once the action is applied and broadcast.
+// ============================================================
+
+function performPlay(room, playerId, cardIds, claimedRank) {
+  if (room.status !== 'playing' || !room.gameState) return 'game_not_started';
+
+  const playError = rules.validatePlay(room.gameState, playerId, cardIds, claimedRank);
+  if (playError) return playError;
+
+  // Apply the play server-side; the outcome is authoritative
+  const played = rules.playCards(room.gameState, playerId, cardIds, claimedRank);
+  // The log keeps the true cards; they are only revealed once the match is over
+  matchLog.recordEvent(room, 'play', { playerId, cards: room.gameState.lastPlay.cards.map(c => c.id), claimedRank });
+  bots.observe(room.gameState, { type: 'play', playerId, claimedRank, count: played.count });
+  if (!played.winner) {
+    startTurnClock(room);
+  }
+
+  // Played cards stay face-down: only the count and claim are public
+  broadcastGameEvent(room, { type: 'player_played', roomId: room.id, ...played });
+
+  if (played.winner) {
+    endGame(room, played.winner);
   }
-  return deck;
+  return null;
 }
 
-function dealCards(deck, players) {
-  const n = players.length;
-  const hands = {};
-  for (let i = 0; i < n; i++) {
-    hands[players[i].id] = [];
+function performPass(room, playerId) {
+  if (room.status !== 'playing' || !room.gameState) return 'game_not_started';
+
+  const passError = rules.validatePass(room.gameState, playerId);
+  if (passError) return passError;
+
+  // Kept for the bots: a discard resets the round's pile
+  const pile = room.gameState.pile;
+  const passed = rules.pass(room.gameState, playerId);
+  matchLog.recordEvent(room, 'pass', { playerId, pileDiscarded: passed.pileDiscarded });
+  if (passed.pileDiscarded) {
+    bots.observe(room.gameState, { type: 'discard', pile });
+    logger.debug(CONTEXT, 'All players passed, pile discarded', { roomId: room.id, discardedCount: passed.discardedCount });
   }
-  deck.forEach((c, i) => {
-    hands[players[i % n].id].push(c);
+  startTurnClock(room);
+  broadcastGameEvent(room, { type: 'player_passed', roomId: room.id, ...passed });
+  return null;
+}
+
+function performCheck(room, playerId) {
+  if (room.status !== 'playing' || !room.gameState) return 'game_not_started';
+
+  const checkError = rules.validateCheck(room.gameState, playerId);
+  if (checkError) return checkError;
+
+  // The pile as it was, for the bots (rules.check resets the round)
+  const pile = room.gameState.pile;
+  const checked = rules.check(room.gameState, playerId);
+  bots.observe(room.gameState, { type: 'check', pile, ...checked });
+  matchLog.recordEvent(room, 'check', {
+    playerId,
+    checkedPlayerId: checked.checkedPlayerId,
+    cards: checked.cards.map(c => c.id),
+    claimedRank: checked.claimedRank,
+    wasLie: checked.wasLie,
+    takerId: checked.takerId,
+    takenCount: checked.pileCount,
+    penaltyCards: checked.penaltyCards
   });
-  return hands;
+  logger.debug(CONTEXT, 'Check resolved', { roomId: room.id, checker: playerId, checked: checked.checkedPlayerId, wasLie: checked.wasLie });
+
+  // Give clients time to show the reveal before the next turn starts
+  startTurnClock(room, config.CHECK_REVEAL_PAUSE);
+  broadcastGameEvent(room, { type: 'player_checked', roomId: room.id, ...checked });
+  return null;
+}
+
+// ============================================================
+// TURN TIMER
+// ============================================================
+
+function clearTurnTimer(roomId) {
+  const timer = turnTimers.get(roomId);
+  if (timer) {
+    clearTimeout(timer);
+    turnTimers.delete(roomId);
+  }
+}
+
+/**
+ * Start the current player's turn deadline (and their move, if a bot)
+ * pause: extra time before the turn starts (e.g. check reveal)
+ */
+function startTurnClock(room, pause = 0) {
+  clearTurnTimer(room.id);
+  const state = room.gameState;
+  if (room.status !== 'playing' || !state || !state.currentTurn) return;
+
+  const duration = room.turnDuration || config.TURN_DURATION;
+  const playerId = state.currentTurn;
+  state.turnDeadline = Date.now() + pause + duration;
+
+  turnTimers.set(room.id, setTimeout(() => {
+    turnTimers.delete(room.id);
+    expireTurn(room.id, playerId);
+  }, pause + duration));
+
+  scheduleBotTurn(room, pause);
+}
+
+/**
+ * Turn deadline passed: pass for the player, or play one card at round start
+ */
+function expireTurn(roomId, playerId) {
+  const room = rooms[roomId];
+  if (!room || room.status !== 'playing' || !room.gameState) return;
+  const state = room.gameState;
+  if (state.currentTurn !== playerId) return;
+
+  logger.info(CONTEXT, 'Turn timed out', { roomId, playerId });
+  broadcastToRoom(roomId, { type: 'turn_expired', roomId, playerId });
+  matchLog.recordEvent(room, 'turn_expired', { playerId });
+
+  const error = performFallbackMove(room, playerId);
+  if (error) {
+    // Keep the clock running so the table is not left without a deadline
+    logger.error(CONTEXT, 'Could not move for a timed-out player', { roomId, playerId, error });
+    startTurnClock(room);
+  }
+}
+
+/**
+ * A move that is legal for whoever holds the turn: pass while the round has
+ * a pile, otherwise play one card claiming a rank the rules allow
+ * Returns an error code like the perform* actions
+ */
+function performFallbackMove(room, playerId) {
+  const state = room.gameState;
+  if (state.pile.length > 0 && !performPass(room, playerId)) return null;
+
+  const card = (state.hands[playerId] || [])[0];
+  if (!card) return 'no_cards';
+  const allowed = rules.getAllowedRanks(state);
+  return performPlay(room, playerId, [card.id], allowed.includes(card.rank) ? card.rank : allowed[0]);
+}
+
+// ============================================================
+// BOT RUNNER
+// ============================================================
+
+function clearBotTimer(roomId) {
+  const timer = botTimers.get(roomId);
+  if (timer) {
+    clearTimeout(timer);
+    botTimers.delete(roomId);
+  }
+}
+
+/**
+ * Schedule a move if it is a bot's turn
+ */
+function scheduleBotTurn(room, extraDelay = 0) {
+  clearBotTimer(room.id);
+  if (room.status !== 'playing' || !room.gameState) return;
+
+  const bot = room.players.find(p => p.isBot && p.id === room.gameState.currentTurn);
+  if (!bot) return;
+
+  botTimers.set(room.id, setTimeout(() => {
+    botTimers.delete(room.id);
+    runBotTurn(room.id, bot.id);
+  }, bots.getTurnDelay() + extraDelay));
+}
+
+/**
+ * Take a bot's turn using the same actions as human players
+ */
+function runBotTurn(roomId, botId) {
+  const room = rooms[roomId];
+  if (!room || room.status !== 'playing' || !room.gameState) return;
+  if (room.gameState.currentTurn !== botId) return;
+
+  const bot = room.players.find(p => p.id === botId);
+  if (!bot) return;
+
+  const action = bots.decideAction(room.gameState, botId, bot.diff);
+  let error;
+  if (action.type === 'check') {
+    error = performCheck(room, botId);
+  } else if (action.type === 'pass') {
+    error = performPass(room, botId);
+  } else {
+    error = performPlay(room, botId, action.cardIds, action.claimedRank);
+  }
+
+  if (error) {
+    // Should not happen; fall back to a legal move so the table never stalls
+    logger.warn(CONTEXT, 'Bot chose an illegal move', { roomId, botId, action: action.type, error });
+    const fallbackError = performFallbackMove(room, botId);
+    if (fallbackError) {
+      logger.error(CONTEXT, 'Bot could not make a legal move', { roomId, botId, error: fallbackError });
+      startTurnClock(room);
+    }
+  }
 }
 
 // ============================================================
@@ -184,6 +647,46 @@ function isPlayerAuthorized(ws, resourceOwnerId = null) {
   );
 }
 
+/**
+ * Is this player id already live or holding a seat?
+ * Such ids can only be resumed with the session token issued to them.
+ */
+function isPlayerIdInUse(playerId) {
+  const existingWs = clientsByPlayerId.get(playerId);
+  if (existingWs && existingWs.readyState === 1) return true;
+  if (disconnectedPlayers.has(playerId)) return true;
+  return isSeated(playerId);
+}
+
+/**
+ * Whether a player holds a seat in a room on another instance
+ */
+function isSeatedElsewhere(playerId) {
+  return cluster.getRemoteRooms().some(r => (r.players || []).some(p => p.id === playerId));
+}
+
+/**
+ * Whether a player holds a seat in any room
+ */
+function isSeated(playerId) {
+  return Object.values(rooms).some(r => r.players.some(p => p.id === playerId));
+}
+
+/**
+ * Count a chat message against the player's chat limit
+ * Returns true if they are over it
+ */
+function isChatRateLimited(playerId) {
+  const now = Date.now();
+  const limit = chatRateLimits.get(playerId);
+  if (!limit || now > limit.resetTime) {
+    chatRateLimits.set(playerId, { count: 1, resetTime: now + config.CHAT_RATE_LIMIT_WINDOW });
+    return false;
+  }
+  limit.count++;
+  return limit.count > config.CHAT_RATE_LIMIT_MAX;
+}
+
 /**
  * Validate payload contains required fields
  */
@@ -193,192 +696,1040 @@ function validatePayload(payload, requiredFields) {
 }
 
 // ============================================================
-// MESSAGE HANDLER
+// RANKED MATCHMAKING
+// Queued players are grouped by table size and seated with the players
+// closest to their rating; the allowed rating gap widens as they wait.
 // ============================================================
 
-function handleMessage(ws, msg) {
-  if (!msg || typeof msg !== 'object') return;
-  const { type, payload } = msg;
-  if (!payload || typeof payload !== 'object') {
-    // Some messages like list_rooms don't need payload
-    if (type !== 'list_rooms') return;
+function startMatchmaking() {
+  if (matchmakingTimer || rankedQueue.size === 0) return;
+  matchmakingTimer = setInterval(runMatchmaking, config.MATCHMAKING_INTERVAL);
+}
+
+function stopMatchmaking() {
+  if (matchmakingTimer) {
+    clearInterval(matchmakingTimer);
+    matchmakingTimer = null;
   }
+}
 
-  // Get and validate player session
-  const playerId = validateAndGetPlayerId(ws);
-  
-  // Rate limiting check
-  if (playerId) {
-    const now = Date.now();
-    let limit = messageRateLimits.get(playerId);
-    
-    if (!limit) {
-      limit = { count: 1, resetTime: now + config.RATE_LIMIT_WINDOW };
-      messageRateLimits.set(playerId, limit);
-    } else if (now > limit.resetTime) {
-      limit.count = 1;
-      limit.resetTime = now + config.RATE_LIMIT_WINDOW;
-    } else {
-      limit.count++;
-      if (limit.count > config.RATE_LIMIT_MAX) {
-        send(ws, { type: 'error', error: 'rate_limit_exceeded' });
-        logger.warn(CONTEXT, 'Rate limit exceeded', { playerId });
-        return;
-      }
+function runMatchmaking() {
+  const now = Date.now();
+  const bySize = new Map();
+
+  for (const entry of rankedQueue.values()) {
+    // Drop players who went offline or took a seat elsewhere
+    const sock = getSocketByPlayerId(entry.playerId);
+    if (!sock || sock.readyState !== 1 || isSeated(entry.playerId)) {
+      rankedQueue.delete(entry.playerId);
+      continue;
     }
+    if (!bySize.has(entry.tableSize)) bySize.set(entry.tableSize, []);
+    bySize.get(entry.tableSize).push(entry);
   }
 
-  switch (type) {
-    case 'identify': {
-      const playerId = payload && payload.playerId;
-      const playerName = sanitizeString(payload && payload.name, config.MAX_NAME_LENGTH);
-      const playerAvatar = payload && payload.avatar;
-      
-      if (!isValidId(playerId)) {
-        send(ws, { type: 'error', error: 'invalid_player_id' });
-        logger.warn(CONTEXT, 'Invalid player ID', { playerId });
-        break;
-      }
-      
-      // Create session - this assigns a unique connectionId to prevent spoofing
-      const session = auth.createSession(playerId, playerName, playerAvatar);
-      if (!session) {
-        send(ws, { type: 'error', error: 'session_creation_failed' });
-        logger.error(CONTEXT, 'Failed to create session', { playerId });
-        break;
-      }
-      
-      // Remove old mapping if this playerId was connected elsewhere
-      const oldWs = clientsByPlayerId.get(playerId);
-      if (oldWs && oldWs !== ws) {
-        clients.delete(oldWs);
-        logger.info(CONTEXT, 'Replaced old connection', { playerId });
-      }
-      
-      clients.set(ws, { playerId, connectionId: session.connectionId, name: playerName, isAlive: true });
-      clientsByPlayerId.set(playerId, ws);
-      logger.info(CONTEXT, 'Player identified', { playerId, name: playerName, connectionId: session.connectionId, totalClients: clients.size });
-      
-      // Send session token to client so they can authenticate future messages
-      send(ws, { type: 'session_created', sessionToken: session.token, playerId, connectionId: session.connectionId });
-      
-      // Check if player was disconnected and trying to reconnect
-      const disconnectInfo = disconnectedPlayers.get(playerId);
-      if (disconnectInfo) {
-        const room = rooms[disconnectInfo.roomId];
-        if (room) {
-          // Restore player to room
-          disconnectInfo.playerData.disconnected = false;
-          room.players.push(disconnectInfo.playerData);
-          logger.info(CONTEXT, 'Player reconnected', { playerId, roomId: room.id });
-          
-          // Send reconnection data
-          send(ws, { type: 'joined_room', room: safeRoomForBroadcast(room) });
-          
-          // If game is in progress, send game state
-          if (room.status === 'playing' && room.gameState) {
-            send(ws, {
-              type: 'game_state_restore',
-              roomId: room.id,
-              gameState: {
-                hands: { [playerId]: room.gameState.hands[playerId] || [] },
-                pile: room.gameState.pile,
-                currentTurn: room.gameState.currentTurn,
-                currentRank: room.gameState.currentRank,
-                players: room.players.map(p => ({
-                  id: p.id,
-                  name: p.name,
-                  avatar: p.avatar,
-                  isBot: !!p.isBot,
-                  cardCount: (room.gameState.hands[p.id] || []).length
-                }))
-              }
-            });
-          }
-          
-          broadcastToRoom(room.id, {
-            type: 'player_reconnected',
-            room: safeRoomForBroadcast(room),
-            playerId
-          });
-        }
-        disconnectedPlayers.delete(playerId);
+  for (const [tableSize, entries] of bySize) {
+    entries.sort((a, b) => a.rating - b.rating);
+    let i = 0;
+    while (i + tableSize <= entries.length) {
+      const table = entries.slice(i, i + tableSize);
+      const gap = table[table.length - 1].rating - table[0].rating;
+      const longestWait = now - Math.min(...table.map(e => e.joinedAt));
+      const allowedGap = config.RANKED_BASE_SPREAD +
+        config.RANKED_SPREAD_GROWTH * Math.floor(longestWait / config.RANKED_SPREAD_INTERVAL);
+
+      if (gap <= allowedGap) {
+        if (!createRankedRoom(table)) return;
+        i += tableSize;
       } else {
-        // Normal reconnect to existing rooms (page refresh scenario)
-        for (const r of Object.values(rooms)) {
-          const existing = r.players.find(p => p.id === playerId);
-          if (existing) {
-            send(ws, { type: 'joined_room', room: safeRoomForBroadcast(r) });
-            
-            // If game is in progress, send game state
-            if (r.status === 'playing' && r.gameState) {
-              send(ws, {
-                type: 'game_state_restore',
-                roomId: r.id,
-                gameState: {
-                  hands: { [playerId]: r.gameState.hands[playerId] || [] },
-                  pile: r.gameState.pile,
-                  currentTurn: r.gameState.currentTurn,
-                  currentRank: r.gameState.currentRank,
-                  players: r.players.map(p => ({
-                    id: p.id,
-                    name: p.name,
-                    avatar: p.avatar,
-                    isBot: !!p.isBot,
-                    cardCount: (r.gameState.hands[p.id] || []).length
-                  }))
-                }
-              });
-            }
-            
-            broadcastToRoom(r.id, { type: 'room_updated', room: safeRoomForBroadcast(r) });
-          }
-        }
+        i++;
       }
-      
-      // Send current rooms list
-      const publicRooms = Object.values(rooms)
-        .filter(r => !r.private)
-        .reduce((a, r) => { a[r.id] = safeRoomForBroadcast(r); return a; }, {});
-      send(ws, { type: 'rooms_list', rooms: publicRooms });
-      break;
     }
+  }
 
-    case 'list_rooms': {
-      const publicRooms = Object.values(rooms)
-        .filter(r => !r.private)
-        .reduce((a, r) => { a[r.id] = safeRoomForBroadcast(r); return a; }, {});
-      send(ws, { type: 'rooms_list', rooms: publicRooms });
-      break;
-    }
+  if (rankedQueue.size === 0) stopMatchmaking();
+}
 
-    case 'create_room': {
-      // Validate session and authorization
-      if (!isPlayerAuthorized(ws)) {
-        send(ws, { type: 'error', error: 'not_authorized' });
-        logger.warn(CONTEXT, 'Unauthorized room creation attempt', { playerId });
-        break;
-      }
-      
-      // Validate required payload fields
-      if (!validatePayload(payload, ['ownerName'])) {
-        send(ws, { type: 'error', error: 'invalid_payload' });
-        logger.debug(CONTEXT, 'Invalid payload for create_room');
-        break;
-      }
-      
-      const ownerName = sanitizeString(payload.ownerName, config.MAX_NAME_LENGTH).trim();
+/**
+ * Seat a matched table in a new ranked room and deal
+ * Returns false if the server has no room to spare
+ */
+function createRankedRoom(entries) {
+  if (Object.keys(rooms).length >= config.MAX_ROOMS) {
+    logger.warn(CONTEXT, 'Max rooms reached, ranked table waits', { maxRooms: config.MAX_ROOMS });
+    return false;
+  }
+
+  const players = entries.map(e => {
+    rankedQueue.delete(e.playerId);
+    const account = accounts.getAccount(e.playerId);
+    return {
+      id: e.playerId,
+      name: account ? account.displayName : e.playerId,
+      avatar: account ? account.avatar : 0,
+      isBot: false,
+      ready: true
+    };
+  });
+
+  const id = 'room_' + Date.now() + Math.random().toString(36).slice(2, 6);
+  const room = {
+    id,
+    code: genRoomCode(),
+    name: `Ranked ${entries.length}P`,
+    // The host only decides who takes the first turn
+    host: players[Math.floor(Math.random() * players.length)].id,
+    maxPlayers: entries.length,
+    players,
+    status: 'waiting',
+    private: true,
+    password: null,
+    bots: [],
+    turnDuration: config.TURN_DURATION,
+    rules: rules.resolveRules(),
+    spectators: [],
+    spectatorReveal: false,
+    muted: [],
+    recentChat: [],
+    ranked: true,
+    instanceId: cluster.getInstanceId(),
+    createdAt: Date.now()
+  };
+  rooms[id] = room;
+  logger.info(CONTEXT, 'Ranked table matched', { roomId: id, players: entries.map(e => ({ id: e.playerId, rating: e.rating })) });
+
+  players.forEach(p => {
+    const sock = getSocketByPlayerId(p.id);
+    send(sock, { type: 'match_found', roomId: id, tableSize: entries.length });
+    send(sock, { type: 'joined_room', room: safeRoomForBroadcast(room), chat: getChatHistory(room) });
+  });
+  startGame(room);
+  return true;
+}
+
+/**
+ * Ranked and tournament tables are seated and dealt by the server
+ * Returns the error code for player attempts to manage them, or null
+ */
+function getManagedRoomError(room) {
+  if (room.ranked) return 'ranked_room';
+  if (room.tournamentId) return 'tournament_room';
+  return null;
+}
+
+// ============================================================
+// TOURNAMENTS
+// The server seats each round in new rooms, filling empty seats with bots,
+// and starts the next round once every table has finished.
+// ============================================================
+
+/**
+ * Send to every entrant and the organizer
+ */
+function sendToTournament(t, msg) {
+  const ids = new Set([t.organizerId, ...t.entrants.map(e => e.id)]);
+  ids.forEach(id => send(getSocketByPlayerId(id), msg));
+}
+
+function broadcastTournament(t) {
+  sendToTournament(t, { type: 'tournament_updated', tournament: tournament.getSummary(t) });
+  cluster.announceRooms(getRoomSummaries(), getTournamentSummaries());
+}
+
+/**
+ * Lobby entries for the tournaments held here
+ */
+function getTournamentSummaries() {
+  return [...tournaments.values()].map(t => ({
+    id: t.id,
+    name: t.name,
+    format: t.format,
+    status: t.status,
+    capacity: t.capacity,
+    tableSize: t.tableSize,
+    entrantCount: t.entrants.length,
+    round: t.round
+  }));
+}
+
+/**
+ * Remove the finished rooms of the tournament's current round
+ */
+function closeTournamentRooms(t) {
+  const current = t.history[t.history.length - 1];
+  if (!current) return;
+  current.tables.forEach(table => {
+    const room = rooms[table.roomId];
+    if (!room || room.status === 'playing') return;
+    clearBotTimer(room.id);
+    clearTurnTimer(room.id);
+    delete rooms[room.id];
+  });
+}
+
+/**
+ * Seat one table of a round in a new room and deal
+ * Entrants still seated in another room forfeit the table to a bot; a table
+ * none of its entrants can sit at isn't dealt at all.
+ */
+function createTournamentRoom(t, table, index) {
+  const absent = table.players.filter(id => isSeated(id) || isSeatedElsewhere(id) || disconnectedPlayers.has(id));
+  absent.forEach(id => {
+    send(getSocketByPlayerId(id), { type: 'error', error: 'tournament_forfeit' });
+    logger.info(CONTEXT, 'Tournament entrant seated elsewhere forfeits', { tournamentId: t.id, round: t.round, playerId: id });
+  });
+  if (absent.length === table.players.length) {
+    tournament.forfeitTable(t, table);
+    return;
+  }
+
+  const seats = table.players.filter(id => !absent.includes(id)).map(id => {
+    const entrant = t.entrants.find(e => e.id === id);
+    return { id, name: entrant.name, avatar: entrant.avatar, isBot: false, ready: true };
+  });
+  while (seats.length < t.tableSize) seats.push(createBot(t.botDifficulty));
+
+  const id = 'room_' + Date.now() + Math.random().toString(36).slice(2, 6);
+  const room = {
+    id,
+    code: genRoomCode(),
+    name: `${t.name} · Round ${t.round} · Table ${index + 1}`,
+    host: seats[0].id,
+    maxPlayers: seats.length,
+    players: seats,
+    status: 'waiting',
+    private: true,
+    password: null,
+    bots: [],
+    turnDuration: config.TURN_DURATION,
+    rules: rules.resolveRules(),
+    spectators: [],
+    spectatorReveal: false,
+    muted: [],
+    recentChat: [],
+    series: null,
+    tournamentId: t.id,
+    instanceId: cluster.getInstanceId(),
+    createdAt: Date.now()
+  };
+  rooms[id] = room;
+  table.roomId = id;
+  table.seats = seats.map(p => ({ id: p.id, name: p.name, isBot: p.isBot }));
+
+  seats.filter(p => !p.isBot).forEach(p => {
+    send(getSocketByPlayerId(p.id), { type: 'joined_room', room: safeRoomForBroadcast(room), chat: getChatHistory(room) });
+  });
+  startGame(room);
+}
+
+/**
+ * Draw and deal the next round
+ */
+function startTournamentRound(t) {
+  tournamentTimers.delete(t.id);
+  if (Object.keys(rooms).length + tournament.getNextRoundTableCount(t) > config.MAX_ROOMS) {
+    logger.warn(CONTEXT, 'Max rooms reached, tournament round waits', { tournamentId: t.id });
+    tournamentTimers.set(t.id, setTimeout(() => startTournamentRound(t), config.TOURNAMENT_ROUND_DELAY));
+    return;
+  }
+
+  closeTournamentRooms(t);
+  const tables = tournament.planRound(t);
+  logger.info(CONTEXT, 'Tournament round started', { tournamentId: t.id, round: t.round, tables: tables.length });
+  tables.forEach((table, i) => createTournamentRoom(t, table, i));
+  // Every table forfeited: the round is already over
+  if (tables.every(table => table.done)) completeTournamentRound(t);
+  broadcastTournament(t);
+  broadcastRoomsList();
+}
+
+function startTournament(t) {
+  tournament.start(t);
+  logger.info(CONTEXT, 'Tournament started', { tournamentId: t.id, entrants: t.entrants.length, format: t.format });
+  startTournamentRound(t);
+}
+
+/**
+ * A tournament table's game is over (winnerId is null if it was stopped)
+ */
+function finishTournamentTable(room, winnerId) {
+  const t = tournaments.get(room.tournamentId);
+  if (!t || t.status !== 'running') return;
+
+  const cardCounts = {};
+  if (room.gameState) {
+    Object.entries(room.gameState.hands).forEach(([id, hand]) => { cardCounts[id] = hand.length; });
+  }
+  if (tournament.recordTable(t, room.id, winnerId, cardCounts)) completeTournamentRound(t);
+  broadcastTournament(t);
+}
+
+/**
+ * Every table of the round is done: move on to the next round, or finish
+ */
+function completeTournamentRound(t) {
+  if (tournament.finishRound(t)) {
+    logger.info(CONTEXT, 'Tournament finished', { tournamentId: t.id, champion: t.champion });
+    scheduleTournamentCleanup(t);
+  } else {
+    tournamentTimers.set(t.id, setTimeout(() => startTournamentRound(t), config.TOURNAMENT_ROUND_DELAY));
+  }
+}
+
+/**
+ * Leave the final tables up for a moment before clearing them
+ */
+function scheduleTournamentCleanup(t) {
+  tournamentTimers.set(t.id, setTimeout(() => {
+    tournamentTimers.delete(t.id);
+    closeTournamentRooms(t);
+    broadcastRoomsList();
+  }, config.TOURNAMENT_ROUND_DELAY));
+}
+
+/**
+ * Make room for a new tournament by forgetting the oldest finished ones
+ * Returns false if every slot is taken by one still running
+ */
+function pruneTournaments() {
+  if (tournaments.size < config.MAX_TOURNAMENTS) return true;
+  const finished = [...tournaments.values()]
+    .filter(t => t.status === 'finished' && !tournamentTimers.has(t.id))
+    .sort((a, b) => a.createdAt - b.createdAt);
+  while (tournaments.size >= config.MAX_TOURNAMENTS && finished.length) {
+    tournaments.delete(finished.shift().id);
+  }
+  return tournaments.size < config.MAX_TOURNAMENTS;
+}
+
+// ============================================================
+// IDENTITY
+// ============================================================
+
+/**
+ * Bind a socket to a player id (after identify, register or login):
+ * create the session, take over any older socket and rejoin their rooms
+ * proof: a session token showing the player owns the id (null for a
+ * tokenless guest); other instances holding the player's seat check it
+ */
+function bindPlayer(ws, playerId, playerName, playerAvatar, proof = null) {
+  if (bans.isPlayerBanned(playerId)) {
+    send(ws, { type: 'error', error: 'banned' });
+    logger.warn(CONTEXT, 'Refused banned player', { playerId });
+    return false;
+  }
+  
+  // Create session - this assigns a unique connectionId to prevent spoofing
+  const session = auth.createSession(playerId, playerName, playerAvatar);
+  if (!session) {
+    send(ws, { type: 'error', error: 'session_creation_failed' });
+    logger.error(CONTEXT, 'Failed to create session', { playerId });
+    return false;
+  }
+  
+  // A socket switching identity (a guest logging in) gives up its old id
+  const previous = clients.get(ws);
+  if (previous && previous.playerId !== playerId) {
+    clientsByPlayerId.delete(previous.playerId);
+    auth.endSession(previous.playerId);
+  }
+  
+  // Remove old mapping if this playerId was connected elsewhere
+  const oldWs = clientsByPlayerId.get(playerId);
+  if (oldWs && oldWs !== ws) {
+    clients.delete(oldWs);
+    send(oldWs, { type: 'session_replaced' });
+    oldWs.close();
+    logger.info(CONTEXT, 'Replaced old connection', { playerId });
+  }
+  
+  clients.set(ws, { playerId, connectionId: session.connectionId, name: playerName, ip: previous ? previous.ip : null, proof, isAlive: true });
+  clientsByPlayerId.set(playerId, ws);
+  logger.info(CONTEXT, 'Player identified', { playerId, name: playerName, connectionId: session.connectionId, totalClients: clients.size });
+  
+  // Send session token to client so they can authenticate future messages
+  send(ws, { type: 'session_created', sessionToken: session.token, playerId, connectionId: session.connectionId, botStrategies: bots.listStrategies() });
+  
+  resumeRooms(ws, playerId);
+  // Rooms held by other instances pick the player up from there
+  cluster.publish('identified', { playerId, name: playerName, avatar: playerAvatar, sessionToken: proof });
+  
+  send(ws, { type: 'rooms_list', rooms: getPublicRooms() });
+  return true;
+}
+
+/**
+ * Put a (re)connected player back into the rooms they hold a seat in here
+ */
+function resumeRooms(ws, playerId) {
+  // Check if player was disconnected and trying to reconnect
+  const disconnectInfo = disconnectedPlayers.get(playerId);
+  if (disconnectInfo) {
+    const room = rooms[disconnectInfo.roomId];
+    if (room) {
+      // Restore player to room
+      disconnectInfo.playerData.disconnected = false;
+      room.players.push(disconnectInfo.playerData);
+      logger.info(CONTEXT, 'Player reconnected', { playerId, roomId: room.id });
+      
+      // Send reconnection data
+      send(ws, { type: 'joined_room', room: safeRoomForBroadcast(room), chat: getChatHistory(room) });
+      
+      // If game is in progress, send game state
+      if (room.status === 'playing' && room.gameState) {
+        sendGameStateRestore(ws, room, getPrivateView(room, playerId));
+      }
+      
+      broadcastToRoom(room.id, {
+        type: 'player_reconnected',
+        room: safeRoomForBroadcast(room),
+        playerId
+      });
+    }
+    disconnectedPlayers.delete(playerId);
+  } else {
+    // Normal reconnect to existing rooms (page refresh scenario)
+    for (const r of Object.values(rooms)) {
+      const existing = r.players.find(p => p.id === playerId);
+      if (existing) {
+        send(ws, { type: 'joined_room', room: safeRoomForBroadcast(r), chat: getChatHistory(r) });
+        
+        // If game is in progress, send game state
+        if (r.status === 'playing' && r.gameState) {
+          sendGameStateRestore(ws, r, getPrivateView(r, playerId));
+        }
+        
+        broadcastToRoom(r.id, { type: 'room_updated', room: safeRoomForBroadcast(r) });
+      }
+    }
+  }
+}
+
+// ============================================================
+// CLUSTER ROUTING
+// Rooms live on the instance that created them. Players connected to another
+// instance are represented here by a remote socket that routes everything
+// sent to it back through pub/sub.
+// ============================================================
+
+function createRemoteSocket(playerId, instanceId) {
+  return {
+    remote: true,
+    playerId,
+    instanceId,
+    readyState: 1,
+    send(data) {
+      cluster.sendTo(instanceId, 'deliver', { playerId, data });
+    },
+    close() {
+      if (this.readyState !== 1) return;
+      this.readyState = 3;
+      handleClose(this);
+    },
+    terminate() {
+      this.close();
+    }
+  };
+}
+
+/**
+ * Socket for a player connected to another instance, created on first use
+ */
+function attachRemotePlayer(playerId, playerName, playerAvatar, instanceId) {
+  const existing = clientsByPlayerId.get(playerId);
+  if (existing && existing.remote && existing.instanceId === instanceId && clients.has(existing)) {
+    return existing;
+  }
+
+  const session = auth.createSession(playerId, playerName, playerAvatar);
+  const ws = createRemoteSocket(playerId, instanceId);
+
+  // The player moved: their old socket, here or elsewhere, is replaced
+  if (existing) {
+    clients.delete(existing);
+    if (!existing.remote) {
+      send(existing, { type: 'session_replaced' });
+      existing.close();
+    }
+  }
+
+  clients.set(ws, { playerId, connectionId: session.connectionId, name: playerName, isAlive: true });
+  clientsByPlayerId.set(playerId, ws);
+  logger.debug(CONTEXT, 'Attached remote player', { playerId, instanceId });
+  return ws;
+}
+
+/**
+ * Whether another instance may act for a player here: anyone with no seat
+ * or socket here, the instance they are already attached through, or one
+ * passing on the player's session token (the same check as identify)
+ */
+function mayActForRemotePlayer(message) {
+  const { playerId, from } = message;
+  const existing = clientsByPlayerId.get(playerId);
+  if (existing && existing.remote && existing.instanceId === from && clients.has(existing)) return true;
+  if (!isPlayerIdInUse(playerId)) return true;
+  if (auth.verifyToken(message.sessionToken) === playerId) return true;
+
+  cluster.sendTo(from, 'deliver', { playerId, data: JSON.stringify({ type: 'error', error: 'session_token_required' }) });
+  logger.warn(CONTEXT, 'Refused remote player without a valid session token', { playerId, instanceId: from });
+  return false;
+}
+
+/**
+ * Instance owning the room or tournament a message is for, if it isn't held here
+ */
+function getRemoteOwner(type, payload) {
+  if (!payload || typeof payload !== 'object') return null;
+  if (type === 'join_by_code' && typeof payload.code === 'string') {
+    const code = sanitizeString(payload.code, 6).toUpperCase();
+    if (Object.values(rooms).some(r => r.code === code)) return null;
+    return cluster.findRoomOwnerByCode(code);
+  }
+  if (isValidId(payload.roomId) && !rooms[payload.roomId]) {
+    return cluster.findRoomOwner(payload.roomId);
+  }
+  if (isValidId(payload.tournamentId) && !tournaments.has(payload.tournamentId)) {
+    return cluster.findTournamentOwner(payload.tournamentId);
+  }
+  return null;
+}
+
+/**
+ * Messages from other instances (see lib/cluster.js)
+ */
+function handleClusterMessage(message) {
+  switch (message.kind) {
+    case 'forward': {
+      // A client message for one of our rooms
+      if (!isValidId(message.playerId) || !message.msg) return;
+      if (!mayActForRemotePlayer(message)) return;
+      const ws = attachRemotePlayer(message.playerId, message.name, message.avatar, message.from);
+      handleMessage(ws, message.msg);
+      break;
+    }
+    case 'deliver': {
+      // Our room's owner sending to a socket connected here
+      const ws = getSocketByPlayerId(message.playerId);
+      if (ws && !ws.remote && ws.readyState === 1 && typeof message.data === 'string') {
+        ws.send(message.data);
+      }
+      break;
+    }
+    case 'identified': {
+      // One of our seated players (re)connected to another instance
+      if (!isValidId(message.playerId)) return;
+      if (!isSeated(message.playerId) && !disconnectedPlayers.has(message.playerId)) return;
+      if (!mayActForRemotePlayer(message)) return;
+      const ws = attachRemotePlayer(message.playerId, message.name, message.avatar, message.from);
+      resumeRooms(ws, message.playerId);
+      break;
+    }
+    case 'closed': {
+      const ws = getSocketByPlayerId(message.playerId);
+      if (ws && ws.remote && ws.instanceId === message.from) ws.close();
+      break;
+    }
+    case 'kick':
+      disconnectLocal(message.target, message.reason);
+      break;
+    case 'notice':
+      sendNoticeLocal(message.text);
+      break;
+  }
+}
+
+/**
+ * An instance left or stopped responding: its players disconnect from our rooms
+ */
+function dropInstance(instanceId) {
+  for (const ws of [...clients.keys()]) {
+    if (ws.remote && ws.instanceId === instanceId) ws.close();
+  }
+}
+
+/**
+ * Finish a register or login message once its fields are checked
+ * Hashing the password is asynchronous, so the socket is checked again
+ * afterwards: it may have closed, switched identity or taken a seat.
+ */
+async function registerOrLogin(ws, type, payload, playerId) {
+  const { username, password } = payload;
+  const ip = clients.get(ws)?.ip;
+  const result = type === 'register'
+    ? await accounts.register(
+      username,
+      password,
+      sanitizeString(payload.name, config.MAX_NAME_LENGTH),
+      isValidAvatar(payload.avatar) ? Number(payload.avatar) : 0
+    )
+    : await accounts.login(username, password);
+  
+  if (type === 'login') {
+    if (result.error) auth.recordLoginFailure(username, ip);
+    else auth.clearLoginFailures(username);
+  }
+  if (clients.get(ws)?.playerId !== playerId) return;
+  
+  if (result.error) {
+    send(ws, { type: 'error', error: result.error });
+    logger.info(CONTEXT, type === 'register' ? 'Registration refused' : 'Login failed', { username, error: result.error });
+    return;
+  }
+  if (isSeated(playerId)) {
+    send(ws, { type: 'error', error: 'leave_room_first' });
+    return;
+  }
+  
+  const account = result.account;
+  // The password proves the id, so the token sent on to other instances is a fresh one
+  if (bindPlayer(ws, account.playerId, account.displayName, account.avatar, auth.issueToken(account.playerId))) {
+    send(ws, { type: 'account', profile: accounts.getProfile(account) });
+  }
+}
+
+// ============================================================
+// MESSAGE HANDLER
+// ============================================================
+
+function handleMessage(ws, msg) {
+  if (!msg || typeof msg !== 'object') return;
+  const { type, payload } = msg;
+  if (!payload || typeof payload !== 'object') {
+    // Some messages like list_rooms don't need payload
+    if (type !== 'list_rooms') return;
+  }
+
+  // Get and validate player session
+  const playerId = validateAndGetPlayerId(ws);
+  
+  // Rate limiting check
+  if (playerId) {
+    const now = Date.now();
+    let limit = messageRateLimits.get(playerId);
+    
+    if (!limit) {
+      limit = { count: 1, resetTime: now + config.RATE_LIMIT_WINDOW };
+      messageRateLimits.set(playerId, limit);
+    } else if (now > limit.resetTime) {
+      limit.count = 1;
+      limit.resetTime = now + config.RATE_LIMIT_WINDOW;
+    } else {
+      limit.count++;
+      if (limit.count > config.RATE_LIMIT_MAX) {
+        send(ws, { type: 'error', error: 'rate_limit_exceeded' });
+        logger.warn(CONTEXT, 'Rate limit exceeded', { playerId });
+        return;
+      }
+    }
+  }
+
+  // Rooms held by another instance handle their own messages
+  const owner = playerId && getRemoteOwner(type, payload);
+  if (owner) {
+    const session = auth.getSession(playerId);
+    const info = session ? session.playerInfo : {};
+    const sessionToken = clients.get(ws)?.proof || null;
+    cluster.sendTo(owner, 'forward', { playerId, name: info.name, avatar: info.avatar, sessionToken, msg });
+    return;
+  }
+
+  switch (type) {
+    case 'identify': {
+      const playerId = payload && payload.playerId;
+      const playerName = sanitizeString(payload && payload.name, config.MAX_NAME_LENGTH);
+      const playerAvatar = payload && payload.avatar;
+      
+      if (!isValidId(playerId)) {
+        send(ws, { type: 'error', error: 'invalid_player_id' });
+        logger.warn(CONTEXT, 'Invalid player ID', { playerId });
+        break;
+      }
+      
+      // Resuming a live or seated player id requires its signed session token
+      const sessionToken = payload.sessionToken;
+      if (sessionToken) {
+        if (auth.verifyToken(sessionToken) !== playerId) {
+          send(ws, { type: 'error', error: 'invalid_session_token' });
+          logger.warn(CONTEXT, 'Invalid session token on identify', { playerId });
+          break;
+        }
+      } else if (accounts.isAccountId(playerId)) {
+        // Account ids are only handed out by register/login
+        send(ws, { type: 'error', error: 'login_required' });
+        logger.warn(CONTEXT, 'Refused identify for account id without token', { playerId });
+        break;
+      } else if (isPlayerIdInUse(playerId) || isSeatedElsewhere(playerId)) {
+        send(ws, { type: 'error', error: 'session_token_required' });
+        logger.warn(CONTEXT, 'Refused identify for active player id without token', { playerId });
+        break;
+      }
+      
+      if (bindPlayer(ws, playerId, playerName, playerAvatar, sessionToken || null)) {
+        const account = accounts.getAccount(playerId);
+        if (account) send(ws, { type: 'account', profile: accounts.getProfile(account) });
+      }
+      break;
+    }
+
+    case 'register':
+    case 'login': {
+      // Sockets identify as a guest first, so attempts are rate limited
+      if (!isPlayerAuthorized(ws)) {
+        send(ws, { type: 'error', error: 'not_authorized' });
+        break;
+      }
+      
+      const { username, password } = payload;
+      if (!isValidUsername(username)) {
+        send(ws, { type: 'error', error: type === 'login' ? 'invalid_credentials' : 'invalid_username' });
+        break;
+      }
+      if (type === 'register' && !isValidAccountPassword(password)) {
+        send(ws, { type: 'error', error: 'invalid_password' });
+        break;
+      }
+      if (typeof password !== 'string' || password.length > config.MAX_ACCOUNT_PASSWORD_LENGTH) {
+        send(ws, { type: 'error', error: 'invalid_credentials' });
+        break;
+      }
+      
+      // A seat belongs to the guest id, so switch identity outside of rooms only
+      if (isSeated(playerId)) {
+        send(ws, { type: 'error', error: 'leave_room_first' });
+        break;
+      }
+      
+      const ip = clients.get(ws)?.ip;
+      if (type === 'login' && auth.isLoginLimited(username, ip)) {
+        send(ws, { type: 'error', error: 'too_many_attempts' });
+        logger.warn(CONTEXT, 'Login refused after too many failures', { username, ip });
+        break;
+      }
+      
+      registerOrLogin(ws, type, payload, playerId).catch(e => {
+        send(ws, { type: 'error', error: 'invalid_credentials' });
+        logger.error(CONTEXT, 'Account request failed', { username, error: e.message });
+      });
+      break;
+    }
+
+    case 'spectate_room': {
+      if (!isPlayerAuthorized(ws)) {
+        send(ws, { type: 'error', error: 'not_authorized' });
+        break;
+      }
+      if (!validatePayload(payload, ['roomId'])) {
+        send(ws, { type: 'error', error: 'invalid_payload' });
+        break;
+      }
+      
+      const room = rooms[payload.roomId];
+      if (!room) {
+        send(ws, { type: 'error', error: 'room_not_found' });
+        break;
+      }
+      if (room.players.some(p => p.id === playerId)) {
+        send(ws, { type: 'error', error: 'already_in_room' });
+        break;
+      }
+      if (room.password && payload.password !== room.password) {
+        send(ws, { type: 'error', error: 'wrong_password' });
+        break;
+      }
+      
+      room.spectators = room.spectators || [];
+      if (!room.spectators.includes(playerId)) {
+        if (room.spectators.length >= config.MAX_SPECTATORS) {
+          send(ws, { type: 'error', error: 'spectators_full' });
+          break;
+        }
+        room.spectators.push(playerId);
+      }
+      logger.info(CONTEXT, 'Spectator joined', { playerId, roomId: room.id, spectators: room.spectators.length });
+      
+      send(ws, { type: 'spectating', room: safeRoomForBroadcast(room), chat: getChatHistory(room) });
+      if (room.status === 'playing' && room.gameState) {
+        sendGameStateRestore(ws, room, getSpectatorView(room));
+      }
+      broadcastToRoom(room.id, { type: 'room_updated', room: safeRoomForBroadcast(room) });
+      broadcastRoomsList();
+      break;
+    }
+
+    case 'queue_ranked': {
+      if (!isPlayerAuthorized(ws)) {
+        send(ws, { type: 'error', error: 'not_authorized' });
+        break;
+      }
+      
+      // Ratings live on accounts, so guests can't play ranked
+      const account = accounts.getAccount(playerId);
+      if (!account) {
+        send(ws, { type: 'error', error: 'account_required' });
+        break;
+      }
+      if (!isValidMaxPlayers(payload.tableSize)) {
+        send(ws, { type: 'error', error: 'invalid_table_size' });
+        break;
+      }
+      if (isSeated(playerId)) {
+        send(ws, { type: 'error', error: 'already_in_room' });
+        break;
+      }
+      
+      const tableSize = Number(payload.tableSize);
+      const playerRating = accounts.getRating(account);
+      rankedQueue.set(playerId, { playerId, rating: playerRating, tableSize, joinedAt: Date.now() });
+      logger.info(CONTEXT, 'Player queued for ranked', { playerId, tableSize, rating: playerRating });
+      send(ws, { type: 'queue_joined', tableSize, rating: playerRating, tier: rating.getTier(playerRating) });
+      
+      runMatchmaking();
+      startMatchmaking();
+      break;
+    }
+
+    case 'leave_queue': {
+      if (!isPlayerAuthorized(ws)) {
+        send(ws, { type: 'error', error: 'not_authorized' });
+        break;
+      }
+      if (rankedQueue.delete(playerId)) {
+        send(ws, { type: 'queue_left' });
+      }
+      break;
+    }
+
+    case 'create_tournament': {
+      if (!isPlayerAuthorized(ws)) {
+        send(ws, { type: 'error', error: 'not_authorized' });
+        break;
+      }
+      if (!validatePayload(payload, ['name'])) {
+        send(ws, { type: 'error', error: 'invalid_payload' });
+        break;
+      }
+      
+      const name = sanitizeString(payload.name, config.MAX_ROOM_NAME_LENGTH).trim();
+      if (!name) {
+        send(ws, { type: 'error', error: 'invalid_tournament_name' });
+        break;
+      }
+      const optionsError = validateTournamentOptions(payload);
+      if (optionsError) {
+        send(ws, { type: 'error', error: optionsError });
+        break;
+      }
+      if (!pruneTournaments()) {
+        send(ws, { type: 'error', error: 'server_full' });
+        logger.warn(CONTEXT, 'Max tournaments reached', { maxTournaments: config.MAX_TOURNAMENTS });
+        break;
+      }
+      
+      const t = tournament.createTournament({
+        id: 'tour_' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+        name,
+        organizerId: playerId,
+        format: payload.format || 'knockout',
+        capacity: payload.capacity || config.MIN_TOURNAMENT_SIZE,
+        tableSize: payload.tableSize || 4,
+        rounds: payload.rounds || config.TOURNAMENT_SWISS_ROUNDS,
+        botDifficulty: payload.botDifficulty || 'medium'
+      });
+      // Organizers play unless they say otherwise
+      if (payload.play !== false && (isSeated(playerId) || isSeatedElsewhere(playerId))) {
+        send(ws, { type: 'error', error: 'leave_room_first' });
+        break;
+      }
+      t.instanceId = cluster.getInstanceId();
+      if (payload.play !== false) {
+        const info = auth.getSession(playerId)?.playerInfo || {};
+        tournament.addEntrant(t, { id: playerId, name: info.name || 'Player', avatar: info.avatar || 0 });
+      }
+      tournaments.set(t.id, t);
+      logger.info(CONTEXT, 'Tournament created', { tournamentId: t.id, organizer: playerId, format: t.format, capacity: t.capacity });
+      send(ws, { type: 'tournament_created', tournament: tournament.getSummary(t) });
+      break;
+    }
+
+    case 'join_tournament':
+    case 'leave_tournament': {
+      if (!isPlayerAuthorized(ws)) {
+        send(ws, { type: 'error', error: 'not_authorized' });
+        break;
+      }
+      if (!validatePayload(payload, ['tournamentId'])) {
+        send(ws, { type: 'error', error: 'invalid_payload' });
+        break;
+      }
+      
+      const t = tournaments.get(payload.tournamentId);
+      if (!t) {
+        send(ws, { type: 'error', error: 'tournament_not_found' });
+        break;
+      }
+      
+      let error;
+      if (type === 'join_tournament' && (isSeated(playerId) || isSeatedElsewhere(playerId))) {
+        error = 'leave_room_first';
+      } else if (type === 'join_tournament') {
+        const info = auth.getSession(playerId)?.playerInfo || {};
+        error = tournament.addEntrant(t, { id: playerId, name: info.name || 'Player', avatar: info.avatar || 0 });
+      } else {
+        error = tournament.removeEntrant(t, playerId);
+      }
+      if (error) {
+        send(ws, { type: 'error', error });
+        break;
+      }
+      
+      logger.debug(CONTEXT, type === 'join_tournament' ? 'Tournament joined' : 'Tournament left', { tournamentId: t.id, playerId, entrants: t.entrants.length });
+      // Let the player who left see it too
+      if (type === 'leave_tournament') send(ws, { type: 'tournament_updated', tournament: tournament.getSummary(t) });
+      broadcastTournament(t);
+      // A full tournament starts by itself
+      if (t.entrants.length >= t.capacity) startTournament(t);
+      break;
+    }
+
+    case 'start_tournament': {
+      if (!isPlayerAuthorized(ws)) {
+        send(ws, { type: 'error', error: 'not_authorized' });
+        break;
+      }
+      if (!validatePayload(payload, ['tournamentId'])) {
+        send(ws, { type: 'error', error: 'invalid_payload' });
+        break;
+      }
+      
+      const t = tournaments.get(payload.tournamentId);
+      if (!t) {
+        send(ws, { type: 'error', error: 'tournament_not_found' });
+        break;
+      }
+      if (t.organizerId !== playerId) {
+        send(ws, { type: 'error', error: 'only_organizer_can_start' });
+        break;
+      }
+      if (t.status !== 'registering') {
+        send(ws, { type: 'error', error: 'tournament_started' });
+        break;
+      }
+      // Bots fill the tables, but it takes two entrants to have a tournament
+      if (t.entrants.length < 2) {
+        send(ws, { type: 'error', error: 'not_enough_players' });
+        break;
+      }
+      
+      startTournament(t);
+      break;
+    }
+
+    case 'tournament_status': {
+      // Without an id: every tournament in the cluster, for the lobby
+      if (payload.tournamentId === undefined) {
+        send(ws, { type: 'tournaments_list', tournaments: [...cluster.getRemoteTournaments(), ...getTournamentSummaries()] });
+        break;
+      }
+      
+      const t = tournaments.get(payload.tournamentId);
+      if (!t) {
+        send(ws, { type: 'error', error: 'tournament_not_found' });
+        break;
+      }
+      send(ws, { type: 'tournament_status', tournament: tournament.getSummary(t) });
+      break;
+    }
+
+    case 'update_profile': {
+      if (!isPlayerAuthorized(ws)) {
+        send(ws, { type: 'error', error: 'not_authorized' });
+        break;
+      }
+      if (!accounts.isAccountId(playerId)) {
+        send(ws, { type: 'error', error: 'not_registered' });
+        break;
+      }
+      
+      const changes = {};
+      if (payload.name !== undefined) {
+        const name = sanitizeString(payload.name, config.MAX_NAME_LENGTH);
+        if (!name) {
+          send(ws, { type: 'error', error: 'invalid_name' });
+          break;
+        }
+        changes.displayName = name;
+      }
+      if (payload.avatar !== undefined) {
+        if (!isValidAvatar(payload.avatar)) {
+          send(ws, { type: 'error', error: 'invalid_avatar' });
+          break;
+        }
+        changes.avatar = Number(payload.avatar);
+      }
+      
+      const account = accounts.updateProfile(playerId, changes);
+      if (!account) {
+        send(ws, { type: 'error', error: 'not_registered' });
+        break;
+      }
+      send(ws, { type: 'account', profile: accounts.getProfile(account) });
+      break;
+    }
+
+    case 'list_rooms': {
+      send(ws, { type: 'rooms_list', rooms: getPublicRooms() });
+      break;
+    }
+
+    case 'create_room': {
+      // Validate session and authorization
+      if (!isPlayerAuthorized(ws)) {
+        send(ws, { type: 'error', error: 'not_authorized' });
+        logger.warn(CONTEXT, 'Unauthorized room creation attempt', { playerId });
+        break;
+      }
+      
+      // Validate required payload fields
+      if (!validatePayload(payload, ['ownerName'])) {
+        send(ws, { type: 'error', error: 'invalid_payload' });
+        logger.debug(CONTEXT, 'Invalid payload for create_room');
+        break;
+      }
+      
+      const ownerName = sanitizeString(payload.ownerName, config.MAX_NAME_LENGTH).trim();
       if (!ownerName) {
         send(ws, { type: 'error', error: 'invalid_room_name' });
         logger.debug(CONTEXT, 'Empty owner name');
         break;
       }
       
-      const id = 'room_' + Date.now();
+      const id = 'room_' + Date.now() + Math.random().toString(36).slice(2, 6);
       const code = genRoomCode();
       const roomName = sanitizeString(payload.name || (ownerName + "'s Room"), config.MAX_ROOM_NAME_LENGTH);
       const maxPlayers = isValidMaxPlayers(payload.maxPlayers) ? Number(payload.maxPlayers) : 4;
       const password = payload.private ? sanitizeString(payload.password, config.MAX_PASSWORD_LENGTH) : null;
+      const turnDuration = isValidTurnDuration(payload.turnDuration) ? Number(payload.turnDuration) : config.TURN_DURATION;
+      
+      const rulesError = validateRoomRules(payload.rules);
+      if (rulesError) {
+        send(ws, { type: 'error', error: rulesError });
+        logger.debug(CONTEXT, 'Invalid room rules', { error: rulesError });
+        break;
+      }
+      
+      // Optional seed for the first deal, to reproduce a game
+      const seed = payload.seed === undefined || payload.seed === null || payload.seed === '' ? null : payload.seed;
+      if (seed !== null && !isValidSeed(seed)) {
+        send(ws, { type: 'error', error: 'invalid_seed' });
+        break;
+      }
+      
+      const seriesLength = payload.seriesLength === undefined ? 1 : payload.seriesLength;
+      if (!isValidSeriesLength(seriesLength)) {
+        send(ws, { type: 'error', error: 'invalid_series_length' });
+        break;
+      }
       
       const room = {
         id,
@@ -397,6 +1748,18 @@ function handleMessage(ws, msg) {
         private: !!payload.private,
         password,
         bots: [],
+        turnDuration,
+        rules: rules.resolveRules(payload.rules),
+        // Host-set seed for the next deal (used once)
+        seed,
+        spectators: [],
+        // Host option: spectators see every hand, SPECTATOR_REVEAL_DELAY behind
+        spectatorReveal: !!payload.spectatorReveal,
+        muted: [],
+        recentChat: [],
+        // Best-of-N scoreboard, or null for single games
+        series: seriesLength > 1 ? series.createSeries(seriesLength) : null,
+        instanceId: cluster.getInstanceId(),
         createdAt: Date.now()
       };
       
@@ -408,7 +1771,7 @@ function handleMessage(ws, msg) {
       }
       
       rooms[id] = room;
-      logger.info(CONTEXT, 'Room created', { roomId: id, roomCode: code, roomName, owner: playerId, maxPlayers, private: !!payload.private });
+      logger.info(CONTEXT, 'Room created', { roomId: id, roomCode: code, roomName, owner: playerId, maxPlayers, private: !!payload.private, rules: room.rules });
       send(ws, { type: 'room_created', room: safeRoomForBroadcast(room) });
       broadcastRoomsList();
       break;
@@ -445,6 +1808,11 @@ function handleMessage(ws, msg) {
         logger.debug(CONTEXT, 'Room not found', { roomId });
         break;
       }
+      // Ranked and tournament tables are filled by the server only
+      if (getManagedRoomError(room)) {
+        send(ws, { type: 'error', error: getManagedRoomError(room) });
+        break;
+      }
       if (room.players.length >= room.maxPlayers) {
         send(ws, { type: 'error', error: 'room_full' });
         logger.debug(CONTEXT, 'Room full', { roomId });
@@ -456,144 +1824,334 @@ function handleMessage(ws, msg) {
         logger.debug(CONTEXT, 'Wrong password', { roomId, playerId });
         break;
       }
-      // Check if player already in room
-      if (room.players.find(p => p.id === player.id)) {
-        send(ws, { type: 'error', error: 'already_in_room' });
+      // Check if player already in room
+      if (room.players.find(p => p.id === player.id)) {
+        send(ws, { type: 'error', error: 'already_in_room' });
+        break;
+      }
+      
+      room.players.push({ ...player, ready: false, isBot: false });
+      // Taking a seat ends spectating
+      room.spectators = (room.spectators || []).filter(id => id !== player.id);
+      logger.info(CONTEXT, 'Player joined room', { playerId, roomId, roomSize: room.players.length });
+      send(ws, { type: 'joined_room', room: safeRoomForBroadcast(room), chat: getChatHistory(room) });
+      broadcastToRoom(roomId, { type: 'room_updated', room: safeRoomForBroadcast(room) });
+      broadcastRoomsList();
+      break;
+    }
+
+    case 'join_by_code': {
+      // Validate session
+      if (!isPlayerAuthorized(ws)) {
+        send(ws, { type: 'error', error: 'not_authorized' });
+        break;
+      }
+      
+      // Validate required fields
+      if (!validatePayload(payload, ['code', 'player'])) {
+        send(ws, { type: 'error', error: 'invalid_payload' });
+        break;
+      }
+      
+      const code = sanitizeString(payload.code, 6).toUpperCase();
+      const player = sanitizePlayer(payload.player);
+      
+      // Ensure join player ID matches authenticated player ID
+      if (!player || player.id !== playerId) {
+        send(ws, { type: 'error', error: 'invalid_player' });
+        logger.warn(CONTEXT, 'Player ID mismatch in join_by_code', { authenticated: playerId, attempted: player?.id });
+        break;
+      }
+      
+      const room = Object.values(rooms).find(r => r.code === code);
+      
+      if (!room) {
+        send(ws, { type: 'error', error: 'room_not_found' });
+        break;
+      }
+      if (getManagedRoomError(room)) {
+        send(ws, { type: 'error', error: getManagedRoomError(room) });
+        break;
+      }
+      if (room.players.length >= room.maxPlayers) {
+        send(ws, { type: 'error', error: 'room_full' });
+        break;
+      }
+      // Check password for private rooms
+      if (room.password && payload.password !== room.password) {
+        send(ws, { type: 'error', error: 'wrong_password' });
+        break;
+      }
+      // Check if player already in room
+      if (room.players.find(p => p.id === player.id)) {
+        send(ws, { type: 'error', error: 'already_in_room' });
+        break;
+      }
+      
+      room.players.push({ ...player, ready: false, isBot: false });
+      // Taking a seat ends spectating
+      room.spectators = (room.spectators || []).filter(id => id !== player.id);
+      send(ws, { type: 'joined_room', room: safeRoomForBroadcast(room), chat: getChatHistory(room) });
+      broadcastToRoom(room.id, { type: 'room_updated', room: safeRoomForBroadcast(room) });
+      broadcastRoomsList();
+      break;
+    }
+
+    case 'leave_room': {
+      // Players can only take themselves out of a room
+      if (!isPlayerAuthorized(ws)) {
+        send(ws, { type: 'error', error: 'not_authorized' });
+        break;
+      }
+      
+      const room = rooms[payload.roomId];
+      
+      if (room) {
+        send(ws, { type: 'left_room', room: safeRoomForBroadcast(room), playerId });
+        
+        if (removeFromRoom(room, playerId, 'left')) {
+          broadcastToRoom(room.id, { type: 'room_updated', room: safeRoomForBroadcast(room) });
+          checkRematch(room);
+        }
+        
+        broadcastRoomsList();
+      }
+      break;
+    }
+
+    case 'chat': {
+      // Validate session
+      if (!isPlayerAuthorized(ws)) {
+        send(ws, { type: 'error', error: 'not_authorized' });
+        break;
+      }
+      
+      // Validate required fields
+      if (!validatePayload(payload, ['roomId', 'text'])) {
+        send(ws, { type: 'error', error: 'invalid_payload' });
+        break;
+      }
+      
+      const { roomId, text } = payload;
+      const room = rooms[roomId];
+      
+      if (!room) {
+        send(ws, { type: 'error', error: 'room_not_found' });
+        logger.debug(CONTEXT, 'Room not found for chat', { roomId });
+        break;
+      }
+      
+      // Verify player is in room
+      if (!room.players.find(p => p.id === playerId)) {
+        send(ws, { type: 'error', error: 'not_in_room' });
+        logger.warn(CONTEXT, 'Chat from player not in room', { playerId, roomId });
+        break;
+      }
+      
+      if ((room.muted || []).includes(playerId)) {
+        send(ws, { type: 'error', error: 'muted' });
+        break;
+      }
+      
+      if (isChatRateLimited(playerId)) {
+        send(ws, { type: 'error', error: 'chat_rate_limited' });
+        logger.warn(CONTEXT, 'Chat rate limit exceeded', { playerId, roomId });
+        break;
+      }
+      
+      // Mask blocked words before escaping, so entities can't split a word
+      const filteredText = filterText(typeof text === 'string' ? text : '').text;
+      const sanitizedText = sanitizeString(filteredText, config.MAX_CHAT_LENGTH);
+      const session = auth.getSession(playerId);
+      const playerName = session?.playerInfo?.name || 'Player';
+      
+      if (!sanitizedText) {
+        send(ws, { type: 'error', error: 'empty_message' });
+        break;
+      }
+      
+      // Replayed to joiners and kept as context for reports
+      room.recentChat = [...(room.recentChat || []), { playerId, name: playerName, text: sanitizedText, at: Date.now() }]
+        .slice(-config.CHAT_CONTEXT_SIZE);
+      
+      logger.debug(CONTEXT, 'Chat message', { playerId, roomId, textLength: sanitizedText.length });
+      broadcastToRoom(roomId, { type: 'chat', from: playerName, text: sanitizedText, playerId });
+      break;
+    }
+
+    case 'emote': {
+      if (!isPlayerAuthorized(ws)) {
+        send(ws, { type: 'error', error: 'not_authorized' });
+        break;
+      }
+      if (!validatePayload(payload, ['roomId', 'emote'])) {
+        send(ws, { type: 'error', error: 'invalid_payload' });
+        break;
+      }
+
+      const { roomId, emote } = payload;
+      const room = rooms[roomId];
+      if (!room) {
+        send(ws, { type: 'error', error: 'room_not_found' });
+        break;
+      }
+      if (!room.players.find(p => p.id === playerId)) {
+        send(ws, { type: 'error', error: 'not_in_room' });
+        break;
+      }
+      if (!Object.prototype.hasOwnProperty.call(config.EMOTES, emote)) {
+        send(ws, { type: 'error', error: 'invalid_emote' });
+        break;
+      }
+      // Emotes count as chat for mutes and the chat rate limit
+      if ((room.muted || []).includes(playerId)) {
+        send(ws, { type: 'error', error: 'muted' });
+        break;
+      }
+      if (isChatRateLimited(playerId)) {
+        send(ws, { type: 'error', error: 'chat_rate_limited' });
+        break;
+      }
+
+      broadcastToRoom(roomId, { type: 'emote', roomId, playerId, emote });
+      break;
+    }
+
+    case 'mute_player': {
+      if (!isPlayerAuthorized(ws)) {
+        send(ws, { type: 'error', error: 'not_authorized' });
+        break;
+      }
+      if (!validatePayload(payload, ['roomId', 'playerId'])) {
+        send(ws, { type: 'error', error: 'invalid_payload' });
+        break;
+      }
+      
+      const { roomId, playerId: targetPlayerId } = payload;
+      const room = rooms[roomId];
+      if (!room) {
+        send(ws, { type: 'error', error: 'room_not_found' });
+        break;
+      }
+      if (room.host !== playerId) {
+        send(ws, { type: 'error', error: 'only_host_can_mute' });
+        logger.warn(CONTEXT, 'Non-host tried to mute player', { playerId, host: room.host, roomId });
+        break;
+      }
+      if (targetPlayerId === playerId) {
+        send(ws, { type: 'error', error: 'cannot_mute_self' });
+        break;
+      }
+      if (!room.players.some(p => p.id === targetPlayerId && !p.isBot)) {
+        send(ws, { type: 'error', error: 'player_not_in_room' });
         break;
       }
       
-      room.players.push({ ...player, ready: false, isBot: false });
-      logger.info(CONTEXT, 'Player joined room', { playerId, roomId, roomSize: room.players.length });
-      send(ws, { type: 'joined_room', room: safeRoomForBroadcast(room) });
-      broadcastToRoom(roomId, { type: 'room_updated', room: safeRoomForBroadcast(room) });
-      broadcastRoomsList();
+      // muted: false lifts a mute
+      const muted = payload.muted !== false;
+      const others = (room.muted || []).filter(id => id !== targetPlayerId);
+      room.muted = muted ? [...others, targetPlayerId] : others;
+      
+      logger.info(CONTEXT, muted ? 'Player muted' : 'Player unmuted', { roomId, playerId: targetPlayerId, by: playerId });
+      broadcastToRoom(roomId, { type: 'player_muted', room: safeRoomForBroadcast(room), playerId: targetPlayerId, muted });
       break;
     }
 
-    case 'join_by_code': {
-      // Validate session
+    case 'report_player': {
       if (!isPlayerAuthorized(ws)) {
         send(ws, { type: 'error', error: 'not_authorized' });
         break;
       }
-      
-      // Validate required fields
-      if (!validatePayload(payload, ['code', 'player'])) {
+      if (!validatePayload(payload, ['roomId', 'playerId'])) {
         send(ws, { type: 'error', error: 'invalid_payload' });
         break;
       }
       
-      const code = sanitizeString(payload.code, 6).toUpperCase();
-      const player = sanitizePlayer(payload.player);
-      
-      // Ensure join player ID matches authenticated player ID
-      if (!player || player.id !== playerId) {
-        send(ws, { type: 'error', error: 'invalid_player' });
-        logger.warn(CONTEXT, 'Player ID mismatch in join_by_code', { authenticated: playerId, attempted: player?.id });
-        break;
-      }
-      
-      const room = Object.values(rooms).find(r => r.code === code);
-      
+      const { roomId, playerId: targetPlayerId } = payload;
+      const room = rooms[roomId];
       if (!room) {
         send(ws, { type: 'error', error: 'room_not_found' });
         break;
       }
-      if (room.players.length >= room.maxPlayers) {
-        send(ws, { type: 'error', error: 'room_full' });
+      // Spectators can report too
+      if (!room.players.some(p => p.id === playerId) && !(room.spectators || []).includes(playerId)) {
+        send(ws, { type: 'error', error: 'not_in_room' });
         break;
       }
-      // Check password for private rooms
-      if (room.password && payload.password !== room.password) {
-        send(ws, { type: 'error', error: 'wrong_password' });
+      if (targetPlayerId === playerId) {
+        send(ws, { type: 'error', error: 'cannot_report_self' });
         break;
       }
-      // Check if player already in room
-      if (room.players.find(p => p.id === player.id)) {
-        send(ws, { type: 'error', error: 'already_in_room' });
+      // Someone at the table, or who chatted here recently
+      const target = room.players.find(p => p.id === targetPlayerId && !p.isBot) ||
+        (room.recentChat || []).find(m => m.playerId === targetPlayerId);
+      if (!target) {
+        send(ws, { type: 'error', error: 'player_not_in_room' });
         break;
       }
-      
-      room.players.push({ ...player, ready: false, isBot: false });
-      send(ws, { type: 'joined_room', room: safeRoomForBroadcast(room) });
-      broadcastToRoom(room.id, { type: 'room_updated', room: safeRoomForBroadcast(room) });
-      broadcastRoomsList();
-      break;
-    }
-
-    case 'leave_room': {
-      const { roomId, playerId } = payload;
-      
-      if (!isValidId(playerId)) break;
-      
-      const room = rooms[roomId];
-      
-      if (room) {
-        // Send confirmation to leaving client using O(1) lookup
-        const leaverSock = getSocketByPlayerId(playerId);
-        if (leaverSock && leaverSock.readyState === 1) {
-          send(leaverSock, { type: 'left_room', room: safeRoomForBroadcast(room), playerId });
-        }
-        
-        room.players = room.players.filter(p => p.id !== playerId);
-        
-        // Clean up empty rooms
-        if (room.players.length === 0) {
-          delete rooms[roomId];
-        } else {
-          // Transfer host if host left
-          if (room.host === playerId && room.players.length > 0) {
-            const newHost = room.players.find(p => !p.isBot) || room.players[0];
-            room.host = newHost.id;
-          }
-          broadcastToRoom(roomId, { type: 'room_updated', room: safeRoomForBroadcast(room) });
-        }
-        
-        broadcastRoomsList();
+      if (reports.hasOpenReport(playerId, targetPlayerId, roomId)) {
+        send(ws, { type: 'error', error: 'already_reported' });
+        break;
       }
+      
+      const report = reports.fileReport({
+        roomId,
+        reporterId: playerId,
+        targetId: targetPlayerId,
+        targetName: target.name,
+        reason: sanitizeString(payload.reason, config.MAX_REPORT_REASON_LENGTH) || null,
+        chat: (room.recentChat || []).slice()
+      });
+      send(ws, { type: 'report_received', reportId: report.id, playerId: targetPlayerId });
       break;
     }
 
-    case 'chat': {
-      // Validate session
+    case 'request_rematch':
+    case 'accept_rematch': {
       if (!isPlayerAuthorized(ws)) {
         send(ws, { type: 'error', error: 'not_authorized' });
         break;
       }
-      
-      // Validate required fields
-      if (!validatePayload(payload, ['roomId', 'text'])) {
+      if (!validatePayload(payload, ['roomId'])) {
         send(ws, { type: 'error', error: 'invalid_payload' });
         break;
       }
       
-      const { roomId, text } = payload;
-      const room = rooms[roomId];
-      
+      const room = rooms[payload.roomId];
       if (!room) {
         send(ws, { type: 'error', error: 'room_not_found' });
-        logger.debug(CONTEXT, 'Room not found for chat', { roomId });
         break;
       }
-      
-      // Verify player is in room
-      if (!room.players.find(p => p.id === playerId)) {
+      if (!room.players.some(p => p.id === playerId)) {
         send(ws, { type: 'error', error: 'not_in_room' });
-        logger.warn(CONTEXT, 'Chat from player not in room', { playerId, roomId });
         break;
       }
-      
-      const sanitizedText = sanitizeString(text, config.MAX_CHAT_LENGTH);
-      const session = auth.getSession(playerId);
-      const playerName = session?.playerInfo?.name || 'Player';
-      
-      if (!sanitizedText) {
-        send(ws, { type: 'error', error: 'empty_message' });
+      if (getManagedRoomError(room)) {
+        send(ws, { type: 'error', error: getManagedRoomError(room) });
+        break;
+      }
+      if (room.status !== 'finished') {
+        send(ws, { type: 'error', error: 'game_not_finished' });
+        break;
+      }
+      if (type === 'accept_rematch' && !room.rematch) {
+        send(ws, { type: 'error', error: 'no_rematch_requested' });
         break;
       }
       
-      logger.debug(CONTEXT, 'Chat message', { playerId, roomId, textLength: sanitizedText.length });
-      broadcastToRoom(roomId, { type: 'chat', from: playerName, text: sanitizedText, playerId });
+      // Asking while a request is already pending (players clicking at once) counts as accepting
+      const requested = !room.rematch;
+      if (requested) room.rematch = { requestedBy: playerId, accepted: [] };
+      if (!room.rematch.accepted.includes(playerId)) room.rematch.accepted.push(playerId);
+      
+      broadcastToRoom(room.id, {
+        type: requested ? 'rematch_requested' : 'rematch_accepted',
+        roomId: room.id,
+        playerId,
+        accepted: room.rematch.accepted,
+        waitingFor: getRematchWaitingFor(room)
+      });
+      checkRematch(room);
       break;
     }
 
@@ -656,6 +2214,11 @@ function handleMessage(ws, msg) {
         break;
       }
       
+      if (getManagedRoomError(room)) {
+        send(ws, { type: 'error', error: getManagedRoomError(room) });
+        break;
+      }
+      
       if (room.players.length >= room.maxPlayers) {
         send(ws, { type: 'error', error: 'room_full' });
         break;
@@ -717,9 +2280,10 @@ function handleMessage(ws, msg) {
         send(kickedSock, { type: 'kicked', roomId });
       }
       
-      room.players = room.players.filter(p => p.id !== targetPlayerId);
       logger.info(CONTEXT, 'Player kicked from room', { roomId, playerId: targetPlayerId, kickedBy: playerId });
-      broadcastToRoom(roomId, { type: 'room_updated', room: safeRoomForBroadcast(room) });
+      if (removeFromRoom(room, targetPlayerId, 'kicked')) {
+        broadcastToRoom(roomId, { type: 'room_updated', room: safeRoomForBroadcast(room) });
+      }
       broadcastRoomsList();
       break;
     }
@@ -763,35 +2327,20 @@ function handleMessage(ws, msg) {
         break;
       }
       
-      // Server-side authoritative deck and dealing
-      const deck = shuffleDeck(createDeck());
-      const hands = dealCards(deck, room.players);
-      
-      room.status = 'playing';
-      room.gameStartedAt = Date.now();
+      // After a game, everyone agrees to a rematch before the redeal
+      if (room.status === 'finished') {
+        send(ws, { type: 'error', error: 'rematch_required' });
+        break;
+      }
       
-      // Store game state for reconnection
-      room.gameState = {
-        hands,
-        pile: [],
-        currentTurn: room.host,
-        currentRank: null
-      };
+      // A ranked table plays one rated game and players re-queue for the next;
+      // tournament tables are dealt by the tournament
+      if (getManagedRoomError(room)) {
+        send(ws, { type: 'error', error: getManagedRoomError(room) });
+        break;
+      }
       
-      logger.info(CONTEXT, 'Game started', { roomId, playerCount: room.players.length, host: room.host });
-      broadcastToRoom(roomId, {
-        type: 'start_game',
-        roomId,
-        players: room.players.map(p => ({
-          id: p.id,
-          name: p.name,
-          avatar: p.avatar,
-          isBot: !!p.isBot
-        })),
-        starterId: room.host,
-        hands
-      });
-      broadcastRoomsList();
+      startGame(room);
       break;
     }
 
@@ -804,22 +2353,17 @@ function handleMessage(ws, msg) {
         send(ws, { type: 'error', error: 'room_not_found' });
         break;
       }
-      // Validate player is the one making the request, or allow host to act for bots
-      const targetPlayer = room.players.find(p => p.id === playerId);
-      const requesterId = info.playerId;
-      if (!targetPlayer) {
+      // Players may only act for themselves; bots are driven by the server
+      if (!room.players.find(p => p.id === playerId)) {
         send(ws, { type: 'error', error: 'invalid_player' });
         break;
       }
-      if (requesterId !== playerId) {
-        const requesterIsHost = room.host === requesterId;
-        if (!(targetPlayer.isBot && requesterIsHost)) {
-          send(ws, { type: 'error', error: 'not_authorized' });
-          break;
-        }
+      if (info.playerId !== playerId) {
+        send(ws, { type: 'error', error: 'not_authorized' });
+        break;
       }
-      // Validate cardIds is an array
-      if (!Array.isArray(cardIds) || cardIds.length === 0 || cardIds.length > 4) {
+      // Validate cardIds is an array (the per-room cap is checked by the rules engine)
+      if (!Array.isArray(cardIds) || cardIds.length === 0 || cardIds.length > 4 * config.MAX_DECKS) {
         send(ws, { type: 'error', error: 'invalid_cards' });
         break;
       }
@@ -829,29 +2373,11 @@ function handleMessage(ws, msg) {
         break;
       }
       
-      // Update server-side game state
-      if (room.gameState) {
-        // Remove played cards from player's hand
-        const playerHand = room.gameState.hands[playerId] || [];
-        room.gameState.hands[playerId] = playerHand.filter(c => !cardIds.includes(c.id));
-        
-        // Add cards to pile (face down - just track count)
-        room.gameState.pile.push(...cardIds.map(id => ({ id, playerId })));
-        room.gameState.currentRank = claimedRank;
-        
-        // Advance turn
-        const playerIndex = room.players.findIndex(p => p.id === playerId);
-        const nextIndex = (playerIndex + 1) % room.players.length;
-        room.gameState.currentTurn = room.players[nextIndex].id;
+      const playError = performPlay(room, playerId, cardIds, claimedRank);
+      if (playError) {
+        send(ws, { type: 'error', error: playError });
+        logger.debug(CONTEXT, 'Rejected play', { roomId, playerId, error: playError });
       }
-      
-      broadcastToRoom(roomId, {
-        type: 'player_played',
-        roomId,
-        playerId,
-        cardIds,
-        claimedRank
-      });
       break;
     }
 
@@ -864,21 +2390,20 @@ function handleMessage(ws, msg) {
         send(ws, { type: 'error', error: 'room_not_found' });
         break;
       }
-      const targetPlayer = room.players.find(p => p.id === playerId);
-      const requesterId = info.playerId;
-      if (!targetPlayer) {
+      if (!room.players.find(p => p.id === playerId)) {
         send(ws, { type: 'error', error: 'invalid_player' });
         break;
       }
-      if (requesterId !== playerId) {
-        const requesterIsHost = room.host === requesterId;
-        if (!(targetPlayer.isBot && requesterIsHost)) {
-          send(ws, { type: 'error', error: 'not_authorized' });
-          break;
-        }
+      if (info.playerId !== playerId) {
+        send(ws, { type: 'error', error: 'not_authorized' });
+        break;
       }
       
-      broadcastToRoom(roomId, { type: 'player_passed', roomId, playerId });
+      const passError = performPass(room, playerId);
+      if (passError) {
+        send(ws, { type: 'error', error: passError });
+        logger.debug(CONTEXT, 'Rejected pass', { roomId, playerId, error: passError });
+      }
       break;
     }
 
@@ -891,21 +2416,20 @@ function handleMessage(ws, msg) {
         send(ws, { type: 'error', error: 'room_not_found' });
         break;
       }
-      const targetPlayer = room.players.find(p => p.id === playerId);
-      const requesterId = info.playerId;
-      if (!targetPlayer) {
+      if (!room.players.find(p => p.id === playerId)) {
         send(ws, { type: 'error', error: 'invalid_player' });
         break;
       }
-      if (requesterId !== playerId) {
-        const requesterIsHost = room.host === requesterId;
-        if (!(targetPlayer.isBot && requesterIsHost)) {
-          send(ws, { type: 'error', error: 'not_authorized' });
-          break;
-        }
+      if (info.playerId !== playerId) {
+        send(ws, { type: 'error', error: 'not_authorized' });
+        break;
       }
       
-      broadcastToRoom(roomId, { type: 'player_checked', roomId, playerId });
+      const checkError = performCheck(room, playerId);
+      if (checkError) {
+        send(ws, { type: 'error', error: checkError });
+        logger.debug(CONTEXT, 'Rejected check', { roomId, playerId, error: checkError });
+      }
       break;
     }
   }
@@ -915,8 +2439,15 @@ function handleMessage(ws, msg) {
 // CONNECTION HANDLERS
 // ============================================================
 
-function handleConnection(ws) {
-  clients.set(ws, { isAlive: true });
+function handleConnection(ws, ip = null) {
+  if (bans.isIpBanned(ip)) {
+    send(ws, { type: 'error', error: 'banned' });
+    ws.close();
+    logger.warn(CONTEXT, 'Refused connection from banned address', { ip });
+    return;
+  }
+  
+  clients.set(ws, { ip, isAlive: true });
   logger.debug(CONTEXT, 'Client connected', { totalClients: clients.size });
   
   // Handle pong responses
@@ -936,6 +2467,16 @@ function handleClose(ws) {
     
     // Clean up playerId -> ws mapping
     clientsByPlayerId.delete(info.playerId);
+    if (!ws.remote) cluster.publish('closed', { playerId: info.playerId });
+    rankedQueue.delete(info.playerId);
+    
+    // Spectators just leave; there is no seat to hold for them
+    for (const r of Object.values(rooms)) {
+      if ((r.spectators || []).includes(info.playerId)) {
+        r.spectators = r.spectators.filter(id => id !== info.playerId);
+        broadcastToRoom(r.id, { type: 'room_updated', room: safeRoomForBroadcast(r) });
+      }
+    }
     
     // Handle player in rooms
     for (const r of Object.values(rooms)) {
@@ -1000,6 +2541,7 @@ function handleClose(ws) {
               room: safeRoomForBroadcast(r),
               playerId: info.playerId
             });
+            checkRematch(r);
           }
         }
       }
@@ -1011,6 +2553,7 @@ function handleClose(ws) {
   if (info && info.playerId) {
     auth.endSession(info.playerId);
     messageRateLimits.delete(info.playerId);
+    chatRateLimits.delete(info.playerId);
   }
   
   clients.delete(ws);
@@ -1029,24 +2572,175 @@ function cleanupDisconnectedPlayer(playerId) {
   auth.endSession(playerId);
   
   if (room) {
-    // Remove player's game state
-    if (room.gameState && room.gameState.hands[playerId]) {
-      delete room.gameState.hands[playerId];
+    removeFromRoom(room, playerId, 'timeout');
+    broadcastRoomsList();
+  }
+}
+
+/**
+ * Humans still in a room, counting seats held for a reconnect
+ */
+function hasHumans(room) {
+  if (room.players.some(p => !p.isBot)) return true;
+  for (const info of disconnectedPlayers.values()) {
+    if (info.roomId === room.id) return true;
+  }
+  return false;
+}
+
+/**
+ * Drop a room and stop its timers
+ */
+function deleteRoom(room) {
+  clearBotTimer(room.id);
+  clearTurnTimer(room.id);
+  if (room.tournamentId && room.status === 'playing') finishTournamentTable(room, null);
+  disconnectedPlayers.forEach((d, playerId) => {
+    if (d.roomId === room.id) disconnectedPlayers.delete(playerId);
+  });
+  delete rooms[room.id];
+}
+
+/**
+ * Take a player out of a room (leaving, kicked, or gone past the reconnect
+ * grace period). Mid-game their seat and hand leave the game too.
+ * reason: 'left' | 'kicked' | 'timeout'
+ * Returns false if nobody human was left and the room was deleted.
+ */
+function removeFromRoom(room, playerId, reason) {
+  room.players = room.players.filter(p => p.id !== playerId);
+  room.spectators = (room.spectators || []).filter(id => id !== playerId);
+  if (room.host === playerId && room.players.length > 0) {
+    room.host = (room.players.find(p => !p.isBot) || room.players[0]).id;
+  }
+
+  if (!hasHumans(room)) {
+    logger.info(CONTEXT, 'Deleted room with no players left', { roomId: room.id, reason });
+    deleteRoom(room);
+    return false;
+  }
+
+  const state = room.status === 'playing' ? room.gameState : null;
+  if (!state || !state.order.includes(playerId)) return true;
+
+  const hadTurn = state.currentTurn === playerId;
+  rules.removePlayer(state, playerId);
+  matchLog.recordEvent(room, 'player_removed', { playerId, reason });
+  const lastSeatStanding = state.order.length === 1;
+  if (hadTurn && !lastSeatStanding) {
+    // The removed seat held the turn: the next player starts fresh
+    startTurnClock(room);
+  }
+
+  broadcastGameEvent(room, reason === 'timeout'
+    ? { type: 'player_timeout', roomId: room.id, playerId }
+    : { type: 'player_left', roomId: room.id, playerId, reason });
+
+  // Last seat standing wins by default
+  if (lastSeatStanding) {
+    state.winner = state.order[0];
+    endGame(room, state.winner);
+  }
+  return true;
+}
+
+/**
+ * Remove seated humans who did not come back after a restore (waiting/finished rooms)
+ */
+function pruneAbsentPlayers(roomId) {
+  const room = rooms[roomId];
+  if (!room || room.status === 'playing') return;
+
+  const before = room.players.length;
+  room.players = room.players.filter(p => p.isBot || clientsByPlayerId.has(p.id));
+  if (room.players.length === before) return;
+
+  if (!room.players.some(p => !p.isBot)) {
+    delete rooms[roomId];
+    logger.info(CONTEXT, 'Deleted restored room nobody returned to', { roomId });
+  } else {
+    if (!room.players.find(p => p.id === room.host)) {
+      room.host = room.players.find(p => !p.isBot).id;
     }
-    
-    // If room is empty or only has bots, clean up
-    const humanPlayers = room.players.filter(p => !p.isBot);
-    if (humanPlayers.length === 0) {
-      delete rooms[room.id];
-    } else {
-      broadcastToRoom(room.id, {
-        type: 'player_timeout',
-        roomId: room.id,
-        playerId
+    broadcastToRoom(roomId, { type: 'room_updated', room: safeRoomForBroadcast(room) });
+  }
+  broadcastRoomsList();
+}
+
+// ============================================================
+// CRASH RECOVERY
+// ============================================================
+
+/**
+ * Restore rooms from persisted snapshots after a restart or cold start
+ * Nobody is connected yet, so every seated human gets a reconnection grace
+ * period and lands back in their game through `identify`.
+ */
+function restoreRooms(snapshots) {
+  const now = Date.now();
+  let restored = 0;
+
+  snapshots.forEach(({ room, disconnected }) => {
+    if (!room || !room.id || rooms[room.id]) return;
+    rooms[room.id] = room;
+    room.instanceId = cluster.getInstanceId();
+    // Spectators have no seat to come back to
+    room.spectators = [];
+    restored++;
+
+    (disconnected || []).forEach(([playerId, info]) => {
+      disconnectedPlayers.set(playerId, { ...info, disconnectedAt: now });
+    });
+
+    if (room.status === 'playing' && room.gameState) {
+      // Same as handleClose during a game: keep the seat, wait for a reconnect
+      room.players.filter(p => !p.isBot).forEach(p => {
+        disconnectedPlayers.set(p.id, { roomId: room.id, disconnectedAt: now, playerData: { ...p } });
       });
+      room.players = room.players.filter(p => p.isBot);
+      startTurnClock(room);
+    } else {
+      setTimeout(() => pruneAbsentPlayers(room.id), config.RECONNECT_GRACE_PERIOD);
     }
-    broadcastRoomsList();
+  });
+
+  disconnectedPlayers.forEach((info, playerId) => {
+    setTimeout(() => {
+      cleanupDisconnectedPlayer(playerId);
+    }, config.RECONNECT_GRACE_PERIOD);
+  });
+
+  if (restored > 0) {
+    logger.info(CONTEXT, 'Restored rooms from storage', { rooms: restored, awaitingReconnect: disconnectedPlayers.size });
+  }
+  return restored;
+}
+
+/**
+ * Take back tournaments loaded from storage (after their rooms) and pick up
+ * where they were: tables still playing report in when their games end, a
+ * completed round moves on and a finished tournament clears its tables
+ */
+function restoreTournaments(list) {
+  let restored = 0;
+  list.forEach(t => {
+    if (!t || !t.id || tournaments.has(t.id)) return;
+    t.instanceId = cluster.getInstanceId();
+    tournaments.set(t.id, t);
+    restored++;
+
+    const current = t.history[t.history.length - 1];
+    if (t.status === 'finished') {
+      scheduleTournamentCleanup(t);
+    } else if (t.status === 'running' && (!current || current.tables.every(table => table.done))) {
+      tournamentTimers.set(t.id, setTimeout(() => startTournamentRound(t), config.TOURNAMENT_ROUND_DELAY));
+    }
+  });
+
+  if (restored > 0) {
+    logger.info(CONTEXT, 'Restored tournaments from storage', { tournaments: restored });
   }
+  return restored;
 }
 
 // ============================================================
@@ -1061,6 +2755,9 @@ function startHeartbeat() {
   heartbeatTimer = setInterval(() => {
     let staleCount = 0;
     clients.forEach((info, ws) => {
+      // Remote players are checked by the instance holding their socket
+      if (ws.remote) return;
+      
       if (info && info.isAlive === false) {
         // Connection didn't respond to last ping - terminate
         staleCount++;
@@ -1093,6 +2790,119 @@ function stopHeartbeat() {
   }
 }
 
+// ============================================================
+// ADMIN
+// Used by the admin API (lib/admin.js). Room actions apply to rooms held
+// by this instance; kicks and notices reach every instance.
+// ============================================================
+
+/**
+ * Everything about a room an admin may inspect (no hands)
+ */
+function getRoomDetails(roomId) {
+  const room = rooms[roomId];
+  if (!room) return null;
+  return {
+    ...safeRoomForBroadcast(room),
+    instanceId: room.instanceId,
+    createdAt: room.createdAt,
+    gameStartedAt: room.gameStartedAt || null,
+    spectators: (room.spectators || []).slice(),
+    disconnected: [...disconnectedPlayers.entries()]
+      .filter(([, d]) => d.roomId === roomId)
+      .map(([playerId, d]) => ({ playerId, disconnectedAt: d.disconnectedAt })),
+    matchId: room.matchLog ? room.matchLog.id : null,
+    recentChat: room.recentChat || [],
+    game: getPublicView(room)
+  };
+}
+
+/**
+ * Stop a game without a winner; the room goes back to waiting
+ * The match is not recorded or rated.
+ */
+function forceEndGame(roomId) {
+  const room = rooms[roomId];
+  if (!room || room.status !== 'playing') return false;
+
+  clearBotTimer(roomId);
+  clearTurnTimer(roomId);
+  broadcastToRoom(roomId, { type: 'game_over', roomId, winner: null, matchId: null, reason: 'ended_by_admin', fairness: getFairnessReveal(room) });
+  // The tournament places the table on cards left and moves on
+  if (room.tournamentId) finishTournamentTable(room, null);
+
+  room.status = 'waiting';
+  room.gameState = null;
+  room.matchLog = null;
+  disconnectedPlayers.forEach((d, playerId) => {
+    if (d.roomId === roomId) disconnectedPlayers.delete(playerId);
+  });
+
+  logger.info(CONTEXT, 'Game ended by admin', { roomId });
+  broadcastToRoom(roomId, { type: 'room_updated', room: safeRoomForBroadcast(room) });
+  broadcastRoomsList();
+  return true;
+}
+
+/**
+ * Remove a room, sending everyone in it back to the lobby
+ */
+function closeRoom(roomId) {
+  const room = rooms[roomId];
+  if (!room) return false;
+
+  broadcastToRoom(roomId, { type: 'room_closed', roomId, reason: 'closed_by_admin' });
+  deleteRoom(room);
+
+  logger.info(CONTEXT, 'Room closed by admin', { roomId });
+  broadcastRoomsList();
+  return true;
+}
+
+/**
+ * Disconnect sockets on this instance by player id or address
+ * target: { playerId } or { ip }
+ */
+function disconnectLocal(target, reason) {
+  if (!target) return 0;
+  let count = 0;
+  for (const [ws, info] of [...clients]) {
+    if (ws.remote) continue;
+    const match = target.playerId ? info.playerId === target.playerId : (target.ip && info.ip === target.ip);
+    if (!match) continue;
+    send(ws, { type: 'kicked', reason: reason || 'kicked_by_admin' });
+    ws.close();
+    count++;
+  }
+  if (count > 0) logger.info(CONTEXT, 'Disconnected by admin', { ...target, count });
+  return count;
+}
+
+/**
+ * Disconnect a player id or address everywhere in the cluster
+ * Returns how many sockets were closed on this instance
+ */
+function kickPlayer(target, reason) {
+  cluster.publish('kick', { target, reason });
+  return disconnectLocal(target, reason);
+}
+
+function sendNoticeLocal(text) {
+  const msg = { type: 'server_notice', text };
+  for (const [ws] of clients) {
+    if (!ws.remote && ws.readyState === 1) send(ws, msg);
+  }
+}
+
+/**
+ * Show a notice to everyone connected to any instance
+ */
+function broadcastNotice(text) {
+  cluster.publish('notice', { text });
+  sendNoticeLocal(text);
+  logger.info(CONTEXT, 'Server notice sent', { text });
+}
+
 // ============================================================
 // STATE ACCESSORS (for testing/debugging)
 // ============================================================
@@ -1116,6 +2926,16 @@ function resetState() {
   clientsByPlayerId = new Map();
   disconnectedPlayers = new Map();
   messageRateLimits = new Map();
+  chatRateLimits = new Map();
+  botTimers.forEach(timer => clearTimeout(timer));
+  botTimers = new Map();
+  turnTimers.forEach(timer => clearTimeout(timer));
+  turnTimers = new Map();
+  stopMatchmaking();
+  rankedQueue = new Map();
+  tournamentTimers.forEach(timer => clearTimeout(timer));
+  tournamentTimers = new Map();
+  tournaments = new Map();
 }
 
 /**
@@ -1127,7 +2947,8 @@ function getState() {
     clients,
     clientsByPlayerId,
     disconnectedPlayers,
-    messageRateLimits
+    messageRateLimits,
+    tournaments
   };
 }
 
@@ -1145,8 +2966,21 @@ module.exports = {
   getClients,
   getClientsByPlayerId,
   resetState,
+  restoreRooms,
+  restoreTournaments,
   getState,
   send,
   broadcastToRoom,
-  broadcastRoomsList
+  broadcastGameEvent,
+  broadcastRoomsList,
+  sendRoomsList,
+  getRoomSummaries,
+  getTournamentSummaries,
+  handleClusterMessage,
+  dropInstance,
+  getRoomDetails,
+  forceEndGame,
+  closeRoom,
+  kickPlayer,
+  broadcastNotice
 };
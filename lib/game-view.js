@@ -0,0 +1,87 @@
+/**
+ * Game state projections for CardArena
+ * Every outbound game message is built from one of these views so that
+ * hidden information (other players' hands, face-down pile cards) never
+ * leaves the server.
+ */
+
+const config = require('./config');
+const rules = require('./rules');
+
+/**
+ * Card counts per seat, keyed by player id
+ */
+function getHandCounts(state) {
+  const counts = {};
+  state.order.forEach(id => {
+    counts[id] = (state.hands[id] || []).length;
+  });
+  return counts;
+}
+
+/**
+ * Public view of room.gameState: what anyone at the table can see
+ */
+function getPublicView(room) {
+  const state = room.gameState;
+  if (!state) return null;
+
+  return {
+    handCounts: getHandCounts(state),
+    order: state.order.slice(),
+    pileCount: rules.getPileCount(state),
+    currentTurn: state.currentTurn,
+    currentRank: state.currentRank,
+    rules: state.rules,
+    lastPlay: state.lastPlay
+      ? { playerId: state.lastPlay.playerId, count: state.lastPlay.cards.length, claimedRank: state.lastPlay.claimedRank }
+      : null,
+    lastContributorId: state.lastContributorId,
+    consecutivePasses: state.consecutivePasses,
+    winner: state.winner,
+    // Relative time so client clocks don't need to agree with the server's
+    turnDuration: room.turnDuration,
+    turnRemaining: state.turnDeadline ? Math.max(0, state.turnDeadline - Date.now()) : null
+  };
+}
+
+/**
+ * Private view of room.gameState for one player
+ * Contains only the viewer's own hand plus public information
+ */
+function getPrivateView(room, viewerId) {
+  const view = getPublicView(room);
+  if (!view) return null;
+  return { hand: room.gameState.hands[viewerId] || [], ...view };
+}
+
+/**
+ * View for spectators: the public view, plus every hand as it was
+ * SPECTATOR_REVEAL_DELAY ago when the host allows it
+ */
+function getSpectatorView(room) {
+  const view = getPublicView(room);
+  if (!view) return null;
+
+  const spectatorView = { hand: [], ...view, spectator: true, revealedHands: null, revealedAt: null };
+  if (room.spectatorReveal && room.matchLog) {
+    // Match log events carry the hands after each move; show the latest one old enough
+    const cutoff = Date.now() - config.SPECTATOR_REVEAL_DELAY;
+    const events = room.matchLog.events;
+    for (let i = events.length - 1; i >= 0; i--) {
+      if (events[i].at <= cutoff) {
+        spectatorView.revealedHands = events[i].hands;
+        spectatorView.revealedAt = events[i].at;
+        break;
+      }
+    }
+  }
+  return spectatorView;
+}
+
+module.exports = {
+  getHandCounts,
+  getPublicView,
+  getPrivateView,
+  getSpectatorView
+};
@@ -112,6 +112,8 @@ function cleanupStaleData(gameHandler) {
     }
   }
 
+  cleanupStats.rateLimitEntriesCleared += auth.cleanupLoginFailures();
+
   // Clean up expired sessions (24 hours of inactivity)
   const expiredSessionCount = auth.cleanupExpiredSessions(86400000);
   cleanupStats.expiredSessionsRemoved = expiredSessionCount;
@@ -153,7 +155,7 @@ function getStats(gameHandler) {
     roomCount,
     clientCount,
     disconnectedCount,
-    activeSessions: auth.getActiveSessions(),
+    sessionCount: Object.keys(auth.getActiveSessions()).length,
     lifetimeStats: stats
   };
 }
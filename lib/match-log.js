@@ -0,0 +1,129 @@
+/**
+ * Match history for CardArena
+ * Every game keeps an ordered event log on room.matchLog (so it is snapshotted
+ * along with the room). When the game ends the log is saved to the 'matches'
+ * collection and can be fetched for replays.
+ *
+ * Logs hold the true cards of every play and each seat's hand after every
+ * event, so they are only ever served once the game is over.
+ */
+
+const config = require('./config');
+const logger = require('./logger');
+const persistence = require('./persistence');
+const rules = require('./rules');
+
+const CONTEXT = 'MatchLog';
+const MATCHES = 'matches';
+
+// Recently finished matches, newest last (also the only copy when persistence is off)
+const recentMatches = new Map(); // matchId -> match
+
+/**
+ * Hands by seat, as card ids (e.g. '10♥', 'Q♠#1' for a second deck)
+ */
+function handIds(state) {
+  const hands = {};
+  state.order.forEach(id => {
+    hands[id] = (state.hands[id] || []).map(c => c.id);
+  });
+  return hands;
+}
+
+/**
+ * Start a new log for a game that was just dealt
+ */
+function startMatch(room) {
+  const state = room.gameState;
+  room.matchLog = {
+    id: 'match_' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+    roomId: room.id,
+    roomName: room.name,
+    rules: state.rules,
+    // Regenerates the deal (lib/rng.js); logs are only served after the game
+    seed: state.rng ? state.rng.seed : null,
+    // The seed was preset by the host rather than drawn by the server
+    seeded: !!state.seeded,
+    salt: state.fairness ? state.fairness.salt : null,
+    commitment: state.fairness ? state.fairness.commitment : null,
+    ranked: !!room.ranked,
+    players: room.players.map(p => ({ id: p.id, name: p.name, avatar: p.avatar, isBot: !!p.isBot })),
+    startedAt: Date.now(),
+    endedAt: null,
+    winner: null,
+    events: []
+  };
+  recordEvent(room, 'deal', { starterId: state.currentTurn });
+  return room.matchLog;
+}
+
+/**
+ * Append an event, stamped with the hands and pile size after it was applied
+ */
+function recordEvent(room, type, data = {}) {
+  const log = room.matchLog;
+  if (!log || log.endedAt) return;
+  const state = room.gameState;
+
+  log.events.push({
+    seq: log.events.length,
+    at: Date.now(),
+    type,
+    ...data,
+    hands: state ? handIds(state) : {},
+    pileCount: state ? rules.getPileCount(state) : 0,
+    currentTurn: state ? state.currentTurn : null
+  });
+}
+
+/**
+ * Close the log and save it
+ */
+function finishMatch(room, winnerId) {
+  const log = room.matchLog;
+  if (!log || log.endedAt) return null;
+
+  recordEvent(room, 'game_over', { winner: winnerId });
+  log.endedAt = Date.now();
+  log.winner = winnerId;
+
+  recentMatches.set(log.id, log);
+  while (recentMatches.size > config.MATCH_CACHE_SIZE) {
+    recentMatches.delete(recentMatches.keys().next().value);
+  }
+
+  const store = persistence.getStore();
+  if (store) {
+    try {
+      store.put(MATCHES, log.id, log);
+    } catch (e) {
+      logger.error(CONTEXT, 'Failed to save match', { matchId: log.id, error: e.message });
+    }
+  }
+
+  logger.info(CONTEXT, 'Match recorded', { matchId: log.id, roomId: log.roomId, events: log.events.length });
+  return log;
+}
+
+/**
+ * A finished match by id, or null
+ */
+function getMatch(matchId) {
+  if (recentMatches.has(matchId)) return recentMatches.get(matchId);
+
+  const store = persistence.getStore();
+  if (!store) return null;
+  try {
+    return store.get(MATCHES, matchId);
+  } catch (e) {
+    logger.error(CONTEXT, 'Failed to load match', { matchId, error: e.message });
+    return null;
+  }
+}
+
+module.exports = {
+  startMatch,
+  recordEvent,
+  finishMatch,
+  getMatch
+};
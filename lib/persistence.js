@@ -0,0 +1,279 @@
+/**
+ * Persistence service for CardArena
+ * Snapshots rooms (including gameState) and tournaments to a pluggable store
+ * and restores them on boot, so games survive restarts and cold starts.
+ *
+ * Drivers: 'json' (files under STORAGE_PATH), 'sqlite', or 'none'
+ */
+
+const path = require('path');
+const config = require('./config');
+const logger = require('./logger');
+const { createJsonStore } = require('./storage/json-store');
+const { createSqliteStore } = require('./storage/sqlite-store');
+
+const CONTEXT = 'Persistence';
+const ROOMS = 'rooms';
+const MATCH_EVENTS = 'match_events'; // event chunks of the logs of games in progress
+const TOURNAMENTS = 'tournaments'; // snapshots of the tournaments this instance holds
+
+let store = null;
+let snapshotTimer = null;
+let snapshotting = false;
+let lastWritten = new Map(); // roomId -> serialized snapshot (without match log events)
+let logsWritten = new Map(); // roomId -> { matchId, events, chunks } already in MATCH_EVENTS
+let tournamentsWritten = new Map(); // tournamentId -> serialized snapshot
+
+/**
+ * Open the configured store
+ * Returns the store, or null if persistence is disabled or unavailable
+ */
+function init(driver = config.STORAGE_DRIVER, location = config.STORAGE_PATH) {
+  if (store) return store;
+
+  try {
+    if (driver === 'json') {
+      store = createJsonStore(location);
+    } else if (driver === 'sqlite') {
+      store = createSqliteStore(path.join(location, 'cardarena.db'));
+    } else {
+      logger.info(CONTEXT, 'Persistence disabled', { driver });
+      return null;
+    }
+  } catch (e) {
+    logger.error(CONTEXT, 'Failed to open store, continuing in memory only', { driver, error: e.message });
+    store = null;
+    return null;
+  }
+
+  logger.info(CONTEXT, 'Store opened', { driver, location });
+  return store;
+}
+
+function getStore() {
+  return store;
+}
+
+function chunkId(matchId, n) {
+  return matchId + '-' + n;
+}
+
+/**
+ * Load persisted room snapshots: [{ room, disconnected }]
+ * filter picks the snapshots this instance should restore (stores can be
+ * shared by a cluster); the others are left alone.
+ */
+function loadRooms(filter = () => true) {
+  if (!store) return [];
+  try {
+    const snapshots = store.list(ROOMS).filter(s => s && s.room && filter(s));
+    snapshots.forEach(s => {
+      lastWritten.set(s.room.id, JSON.stringify(s));
+      if (!s.matchLog) return;
+
+      // Reassemble the game's log from its event chunks
+      const events = [];
+      let chunks = 0;
+      for (let chunk; (chunk = store.get(MATCH_EVENTS, chunkId(s.matchLog.id, chunks))); chunks++) {
+        events.push(...chunk);
+      }
+      s.room.matchLog = { ...s.matchLog, events };
+      logsWritten.set(s.room.id, { matchId: s.matchLog.id, events: events.length, chunks });
+    });
+    logger.info(CONTEXT, 'Loaded room snapshots', { count: snapshots.length });
+    return snapshots;
+  } catch (e) {
+    logger.error(CONTEXT, 'Failed to load rooms', { error: e.message });
+    return [];
+  }
+}
+
+/**
+ * Load persisted tournaments
+ * filter picks the ones this instance should restore, as for rooms
+ */
+function loadTournaments(filter = () => true) {
+  if (!store) return [];
+  try {
+    const list = store.list(TOURNAMENTS).filter(t => t && t.id && filter(t));
+    list.forEach(t => tournamentsWritten.set(t.id, JSON.stringify(t)));
+    logger.info(CONTEXT, 'Loaded tournaments', { count: list.length });
+    return list;
+  } catch (e) {
+    logger.error(CONTEXT, 'Failed to load tournaments', { error: e.message });
+    return [];
+  }
+}
+
+/**
+ * What a snapshot has to write for the rooms and tournaments that changed since the last one
+ * Returns [{ puts: [[collection, id, value]], removes: [[collection, id]], done }],
+ * one per room or tournament; done() records it as written once its writes succeed.
+ *
+ * The match log is kept out of the room record: it only grows, so its new
+ * events are appended as a chunk instead of comparing and rewriting the
+ * whole log every time.
+ */
+function pendingWrites({ rooms, disconnectedPlayers, tournaments }) {
+  const pending = [];
+
+  for (const room of Object.values(rooms)) {
+    const { matchLog: log, ...fields } = room;
+    const puts = [];
+    const removes = [];
+    const done = [];
+
+    const written = logsWritten.get(room.id);
+    const sameLog = written && log && written.matchId === log.id && !log.endedAt;
+    if (written && !sameLog) {
+      // A finished log was saved to 'matches'; a replaced one is gone
+      for (let n = 0; n < written.chunks; n++) removes.push([MATCH_EVENTS, chunkId(written.matchId, n)]);
+      done.push(() => logsWritten.delete(room.id));
+    }
+    if (log && !log.endedAt) {
+      const from = sameLog ? written.events : 0;
+      const chunks = sameLog ? written.chunks : 0;
+      if (log.events.length > from) {
+        const events = log.events.length;
+        puts.push([MATCH_EVENTS, chunkId(log.id, chunks), log.events.slice(from)]);
+        done.push(() => logsWritten.set(room.id, { matchId: log.id, events, chunks: chunks + 1 }));
+      }
+    }
+
+    const { events, ...header } = log || {};
+    const record = {
+      room: fields,
+      matchLog: log ? header : null,
+      disconnected: [...disconnectedPlayers.entries()].filter(([, d]) => d.roomId === room.id)
+    };
+    const serialized = JSON.stringify(record);
+    if (lastWritten.get(room.id) !== serialized) {
+      puts.push([ROOMS, room.id, record]);
+      done.push(() => lastWritten.set(room.id, serialized));
+    }
+
+    if (puts.length || removes.length) pending.push({ puts, removes, done: () => done.forEach(fn => fn()) });
+  }
+
+  for (const roomId of lastWritten.keys()) {
+    if (rooms[roomId]) continue;
+    const written = logsWritten.get(roomId);
+    const removes = [[ROOMS, roomId]];
+    if (written) for (let n = 0; n < written.chunks; n++) removes.push([MATCH_EVENTS, chunkId(written.matchId, n)]);
+    pending.push({
+      puts: [],
+      removes,
+      done: () => {
+        lastWritten.delete(roomId);
+        logsWritten.delete(roomId);
+      }
+    });
+  }
+
+  for (const t of tournaments.values()) {
+    const serialized = JSON.stringify(t);
+    if (tournamentsWritten.get(t.id) === serialized) continue;
+    pending.push({ puts: [[TOURNAMENTS, t.id, t]], removes: [], done: () => tournamentsWritten.set(t.id, serialized) });
+  }
+  for (const tournamentId of tournamentsWritten.keys()) {
+    if (tournaments.has(tournamentId)) continue;
+    pending.push({ puts: [], removes: [[TOURNAMENTS, tournamentId]], done: () => tournamentsWritten.delete(tournamentId) });
+  }
+
+  return pending;
+}
+
+/**
+ * Write every room that changed since the last snapshot and drop deleted ones
+ * Writes go out asynchronously; a snapshot that is still writing when the
+ * next one is due makes that one skip.
+ */
+async function snapshot(gameHandler) {
+  if (!store || snapshotting) return;
+  const state = gameHandler.getState?.();
+  if (!state) return;
+
+  const target = store;
+  snapshotting = true;
+  let written = 0;
+  try {
+    // All values are serialized as the writes start, before any await
+    const pending = pendingWrites(state);
+    await Promise.all(pending.map(async p => {
+      try {
+        await Promise.all([
+          ...p.puts.map(([collection, id, value]) => target.putAsync(collection, id, value)),
+          ...p.removes.map(([collection, id]) => target.removeAsync(collection, id))
+        ]);
+        if (target !== store) return;
+        p.done();
+        written++;
+      } catch (e) {
+        logger.error(CONTEXT, 'Snapshot failed', { error: e.message });
+      }
+    }));
+  } catch (e) {
+    logger.error(CONTEXT, 'Snapshot failed', { error: e.message });
+  } finally {
+    snapshotting = false;
+  }
+
+  if (written > 0) {
+    logger.debug(CONTEXT, 'Snapshot written', { rooms: written });
+  }
+}
+
+/**
+ * A last, synchronous snapshot, for shutdown
+ */
+function snapshotSync(gameHandler) {
+  const state = gameHandler.getState?.();
+  if (!state) return;
+  try {
+    pendingWrites(state).forEach(p => {
+      p.puts.forEach(([collection, id, value]) => store.put(collection, id, value));
+      p.removes.forEach(([collection, id]) => store.remove(collection, id));
+      p.done();
+    });
+  } catch (e) {
+    logger.error(CONTEXT, 'Snapshot failed', { error: e.message });
+  }
+}
+
+/**
+ * Start periodic snapshots
+ */
+function startSnapshots(gameHandler) {
+  if (!store || snapshotTimer) return;
+  logger.info(CONTEXT, 'Starting snapshots', { intervalMs: config.SNAPSHOT_INTERVAL });
+  snapshotTimer = setInterval(() => snapshot(gameHandler), config.SNAPSHOT_INTERVAL);
+}
+
+/**
+ * Stop snapshots, write a final one and close the store
+ */
+function stop(gameHandler) {
+  if (snapshotTimer) {
+    clearInterval(snapshotTimer);
+    snapshotTimer = null;
+  }
+  if (store) {
+    if (gameHandler) snapshotSync(gameHandler);
+    store.close();
+    store = null;
+    lastWritten = new Map();
+    logsWritten = new Map();
+    tournamentsWritten = new Map();
+    logger.info(CONTEXT, 'Store closed');
+  }
+}
+
+module.exports = {
+  init,
+  getStore,
+  loadRooms,
+  loadTournaments,
+  snapshot,
+  startSnapshots,
+  stop
+};
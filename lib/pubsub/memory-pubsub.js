@@ -0,0 +1,52 @@
+/**
+ * In-process pub/sub for CardArena
+ * The default adapter for a single server. Messages are serialized and
+ * delivered asynchronously, the same as over Redis, so code that works on
+ * one instance behaves the same once it is clustered.
+ *
+ * Adapters created on the same bus see each other's messages.
+ */
+
+const EventEmitter = require('events');
+
+const defaultBus = new EventEmitter();
+defaultBus.setMaxListeners(0);
+
+function createMemoryPubSub(bus = defaultBus) {
+  const listeners = new Map(); // channel -> listener
+  let closed = false;
+
+  return {
+    driver: 'memory',
+
+    publish(channel, message) {
+      if (closed) return;
+      const data = JSON.stringify(message);
+      setImmediate(() => bus.emit(channel, data));
+    },
+
+    subscribe(channel, handler) {
+      if (closed || listeners.has(channel)) return;
+      const listener = data => handler(JSON.parse(data));
+      listeners.set(channel, listener);
+      bus.on(channel, listener);
+    },
+
+    unsubscribe(channel) {
+      const listener = listeners.get(channel);
+      if (!listener) return;
+      bus.removeListener(channel, listener);
+      listeners.delete(channel);
+    },
+
+    close() {
+      for (const [channel, listener] of listeners) {
+        bus.removeListener(channel, listener);
+      }
+      listeners.clear();
+      closed = true;
+    }
+  };
+}
+
+module.exports = { createMemoryPubSub };
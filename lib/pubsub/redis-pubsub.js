@@ -0,0 +1,207 @@
+/**
+ * Redis pub/sub for CardArena
+ * Speaks the Redis protocol (RESP) directly over TCP, so there is no extra
+ * dependency and any Redis-compatible server works (Redis, Valkey, KeyDB,
+ * or a local stand-in for testing).
+ *
+ * Uses two connections, since a subscribed connection can't publish.
+ * Both reconnect on their own; subscriptions are replayed on reconnect and
+ * publishes made while disconnected are queued.
+ */
+
+const net = require('net');
+const logger = require('../logger');
+
+const CONTEXT = 'RedisPubSub';
+const RECONNECT_DELAY = 1000;
+const MAX_QUEUED_COMMANDS = 1000;
+
+/**
+ * Encode a command as a RESP array of bulk strings
+ */
+function encodeCommand(args) {
+  let out = '*' + args.length + '\r\n';
+  args.forEach(arg => {
+    const str = String(arg);
+    out += '$' + Buffer.byteLength(str) + '\r\n' + str + '\r\n';
+  });
+  return out;
+}
+
+/**
+ * Parse one RESP reply starting at offset
+ * Returns { value, offset } or null if the buffer doesn't hold a full reply yet
+ */
+function parseReply(buf, offset) {
+  const end = buf.indexOf('\r\n', offset);
+  if (end === -1) return null;
+
+  const type = String.fromCharCode(buf[offset]);
+  const line = buf.toString('utf8', offset + 1, end);
+  const next = end + 2;
+
+  switch (type) {
+    case '+':
+      return { value: line, offset: next };
+    case '-':
+      return { value: new Error(line), offset: next };
+    case ':':
+      return { value: Number(line), offset: next };
+    case '$': {
+      const length = Number(line);
+      if (length < 0) return { value: null, offset: next };
+      if (buf.length < next + length + 2) return null;
+      return { value: buf.toString('utf8', next, next + length), offset: next + length + 2 };
+    }
+    case '*': {
+      const count = Number(line);
+      if (count < 0) return { value: null, offset: next };
+      const items = [];
+      let pos = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buf, pos);
+        if (!item) return null;
+        items.push(item.value);
+        pos = item.offset;
+      }
+      return { value: items, offset: pos };
+    }
+    default:
+      throw new Error('Unexpected RESP reply type: ' + type);
+  }
+}
+
+/**
+ * A self-reconnecting RESP connection
+ * onReply(value) gets every reply; onReady() runs after each (re)connect
+ */
+function createConnection(url, name, onReply, onReady) {
+  const { hostname, port, username, password } = new URL(url);
+  let socket = null;
+  let connected = false;
+  let closed = false;
+  let buffer = Buffer.alloc(0);
+  let queue = [];
+
+  function connect() {
+    socket = net.createConnection({ host: hostname || '127.0.0.1', port: Number(port) || 6379 });
+
+    socket.on('connect', () => {
+      connected = true;
+      buffer = Buffer.alloc(0);
+      if (password) {
+        const auth = username
+          ? ['AUTH', decodeURIComponent(username), decodeURIComponent(password)]
+          : ['AUTH', decodeURIComponent(password)];
+        socket.write(encodeCommand(auth));
+      }
+      logger.info(CONTEXT, 'Connected', { connection: name, host: hostname, port: Number(port) || 6379 });
+      onReady();
+      queue.forEach(cmd => socket.write(cmd));
+      queue = [];
+    });
+
+    socket.on('data', chunk => {
+      buffer = Buffer.concat([buffer, chunk]);
+      let offset = 0;
+      try {
+        let reply;
+        while (offset < buffer.length && (reply = parseReply(buffer, offset))) {
+          offset = reply.offset;
+          if (reply.value instanceof Error) {
+            logger.error(CONTEXT, 'Command failed', { connection: name, error: reply.value.message });
+          } else {
+            onReply(reply.value);
+          }
+        }
+      } catch (e) {
+        logger.error(CONTEXT, 'Malformed reply, reconnecting', { connection: name, error: e.message });
+        socket.destroy();
+        return;
+      }
+      buffer = buffer.subarray(offset);
+    });
+
+    socket.on('error', err => {
+      logger.warn(CONTEXT, 'Connection error', { connection: name, error: err.message });
+    });
+
+    socket.on('close', () => {
+      connected = false;
+      if (closed) return;
+      setTimeout(connect, RECONNECT_DELAY);
+    });
+  }
+
+  connect();
+
+  return {
+    command(args) {
+      if (closed) return;
+      const cmd = encodeCommand(args);
+      if (connected) {
+        socket.write(cmd);
+      } else if (queue.length < MAX_QUEUED_COMMANDS) {
+        queue.push(cmd);
+      }
+    },
+
+    // Write now if connected; used for state that onReady replays anyway
+    commandIfConnected(args) {
+      if (connected) socket.write(encodeCommand(args));
+    },
+
+    close() {
+      closed = true;
+      queue = [];
+      if (socket) socket.end();
+    }
+  };
+}
+
+function createRedisPubSub(url) {
+  const handlers = new Map(); // channel -> handler
+
+  const publisher = createConnection(url, 'publisher', () => {}, () => {});
+
+  const subscriber = createConnection(url, 'subscriber', reply => {
+    // Pushed messages: ['message', channel, payload]
+    if (!Array.isArray(reply) || reply[0] !== 'message') return;
+    const handler = handlers.get(reply[1]);
+    if (!handler) return;
+    try {
+      handler(JSON.parse(reply[2]));
+    } catch (e) {
+      logger.error(CONTEXT, 'Failed to handle message', { channel: reply[1], error: e.message });
+    }
+  }, () => {
+    if (handlers.size > 0) subscriber.commandIfConnected(['SUBSCRIBE', ...handlers.keys()]);
+  });
+
+  return {
+    driver: 'redis',
+
+    publish(channel, message) {
+      publisher.command(['PUBLISH', channel, JSON.stringify(message)]);
+    },
+
+    subscribe(channel, handler) {
+      if (handlers.has(channel)) return;
+      handlers.set(channel, handler);
+      subscriber.commandIfConnected(['SUBSCRIBE', channel]);
+    },
+
+    unsubscribe(channel) {
+      if (!handlers.delete(channel)) return;
+      subscriber.commandIfConnected(['UNSUBSCRIBE', channel]);
+    },
+
+    close() {
+      handlers.clear();
+      publisher.close();
+      subscriber.close();
+    }
+  };
+}
+
+module.exports = { createRedisPubSub, encodeCommand, parseReply };
@@ -0,0 +1,78 @@
+/**
+ * Ratings for ranked CardArena games
+ * Multiplayer Elo: every table is scored as a set of head-to-head results
+ * between each pair of seats, using their final placement.
+ */
+
+const config = require('./config');
+
+// Lower bound of each tier, highest first
+const TIERS = [
+  { name: 'Diamond', min: 1700 },
+  { name: 'Platinum', min: 1500 },
+  { name: 'Gold', min: 1300 },
+  { name: 'Silver', min: 1100 },
+  { name: 'Bronze', min: -Infinity }
+];
+
+function getTier(rating) {
+  return TIERS.find(t => rating >= t.min).name;
+}
+
+/**
+ * Final placement of each player in a finished match log (1 = winner)
+ * After the winner, fewer cards left places higher; players who left the
+ * game share last place. Returns { playerId: place }
+ */
+function getPlacements(match) {
+  const finalHands = match.events.length ? match.events[match.events.length - 1].hands : {};
+  const seated = match.players.map(p => p.id);
+
+  const ranked = seated
+    .filter(id => finalHands[id])
+    .map(id => ({ id, cards: id === match.winner ? -1 : finalHands[id].length }))
+    .sort((a, b) => a.cards - b.cards);
+
+  const placements = {};
+  let place = 0;
+  ranked.forEach((entry, i) => {
+    // Equal card counts tie
+    if (i === 0 || entry.cards !== ranked[i - 1].cards) place = i + 1;
+    placements[entry.id] = place;
+  });
+  seated.filter(id => !finalHands[id]).forEach(id => {
+    placements[id] = seated.length;
+  });
+  return placements;
+}
+
+function expectedScore(rating, opponentRating) {
+  return 1 / (1 + Math.pow(10, (opponentRating - rating) / 400));
+}
+
+/**
+ * Rating changes for one table
+ * entries: [{ playerId, rating, place }]
+ * Returns { playerId: change }, rounded to whole points
+ */
+function computeRatingChanges(entries) {
+  const changes = {};
+  const k = config.RATING_K / Math.max(1, entries.length - 1);
+
+  entries.forEach(a => {
+    let delta = 0;
+    entries.forEach(b => {
+      if (a === b) return;
+      const score = a.place < b.place ? 1 : a.place > b.place ? 0 : 0.5;
+      delta += k * (score - expectedScore(a.rating, b.rating));
+    });
+    changes[a.playerId] = Math.round(delta);
+  });
+  return changes;
+}
+
+module.exports = {
+  getTier,
+  getPlacements,
+  computeRatingChanges
+};
@@ -0,0 +1,111 @@
+/**
+ * Player reports for CardArena
+ * Filed with `report_player`, each with the room's recent chat attached,
+ * and reviewed by admins through the admin API.
+ *
+ * Reports live in the persistence store ('reports' collection), or in
+ * memory when persistence is disabled.
+ */
+
+const logger = require('./logger');
+const persistence = require('./persistence');
+
+const CONTEXT = 'Reports';
+const REPORTS = 'reports';
+
+// Fallback when no store is open (lost on restart)
+const memoryReports = new Map(); // reportId -> report
+
+function save(report) {
+  const store = persistence.getStore();
+  if (!store) {
+    memoryReports.set(report.id, report);
+    return;
+  }
+  try {
+    store.put(REPORTS, report.id, report);
+  } catch (e) {
+    logger.error(CONTEXT, 'Failed to save report', { reportId: report.id, error: e.message });
+  }
+}
+
+function getReport(reportId) {
+  const store = persistence.getStore();
+  if (!store) return memoryReports.get(reportId) || null;
+  try {
+    return store.get(REPORTS, reportId);
+  } catch (e) {
+    logger.error(CONTEXT, 'Failed to load report', { reportId, error: e.message });
+    return null;
+  }
+}
+
+/**
+ * All reports, newest first
+ */
+function listReports() {
+  const store = persistence.getStore();
+  let list;
+  if (!store) {
+    list = [...memoryReports.values()];
+  } else {
+    try {
+      list = store.list(REPORTS);
+    } catch (e) {
+      logger.error(CONTEXT, 'Failed to list reports', { error: e.message });
+      list = [];
+    }
+  }
+  return list.sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/**
+ * Is there already an open report from this reporter about this player in this room?
+ */
+function hasOpenReport(reporterId, targetId, roomId) {
+  return listReports().some(r =>
+    r.status === 'open' && r.reporterId === reporterId && r.targetId === targetId && r.roomId === roomId);
+}
+
+/**
+ * File a report
+ * chat: recent room messages [{ playerId, name, text, at }]
+ */
+function fileReport({ roomId, reporterId, targetId, targetName, reason, chat }) {
+  const report = {
+    id: 'report_' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+    roomId,
+    reporterId,
+    targetId,
+    targetName,
+    reason: reason || null,
+    chat: chat || [],
+    status: 'open',
+    createdAt: Date.now(),
+    resolvedAt: null
+  };
+  save(report);
+  logger.info(CONTEXT, 'Report filed', { reportId: report.id, roomId, reporterId, targetId });
+  return report;
+}
+
+/**
+ * Mark a report as handled; returns it, or null if unknown
+ */
+function resolveReport(reportId) {
+  const report = getReport(reportId);
+  if (!report) return null;
+  report.status = 'resolved';
+  report.resolvedAt = Date.now();
+  save(report);
+  logger.info(CONTEXT, 'Report resolved', { reportId });
+  return report;
+}
+
+module.exports = {
+  getReport,
+  listReports,
+  hasOpenReport,
+  fileReport,
+  resolveReport
+};
@@ -0,0 +1,91 @@
+/**
+ * Seeded random numbers for CardArena
+ * Each game draws its deal, its bots' choices and its check penalties from
+ * one generator seeded with a string, so the seed regenerates the exact deal.
+ * The generator is plain data ({ seed, state }) kept on state.rng, so it is
+ * snapshotted with the game and carries on where it left off after a restore.
+ *
+ * public/app.js has the same generator for offline games.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * A fresh, cryptographically strong seed (128 bits as hex)
+ */
+function createSeed() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+/**
+ * cyrb128: hash the seed string into the generator's four 32-bit words
+ */
+function hashSeed(seed) {
+  let h1 = 1779033703, h2 = 3144134277, h3 = 1013904242, h4 = 2773480762;
+  for (let i = 0; i < seed.length; i++) {
+    const k = seed.charCodeAt(i);
+    h1 = h2 ^ Math.imul(h1 ^ k, 597399067);
+    h2 = h3 ^ Math.imul(h2 ^ k, 2869860233);
+    h3 = h4 ^ Math.imul(h3 ^ k, 951274213);
+    h4 = h1 ^ Math.imul(h4 ^ k, 2716044179);
+  }
+  h1 = Math.imul(h3 ^ (h1 >>> 18), 597399067);
+  h2 = Math.imul(h4 ^ (h2 >>> 22), 2869860233);
+  h3 = Math.imul(h1 ^ (h3 >>> 17), 951274213);
+  h4 = Math.imul(h2 ^ (h4 >>> 19), 2716044179);
+  h1 ^= (h2 ^ h3 ^ h4);
+  h2 ^= h1;
+  h3 ^= h1;
+  h4 ^= h1;
+  return [h1 >>> 0, h2 >>> 0, h3 >>> 0, h4 >>> 0];
+}
+
+/**
+ * A generator for a seed
+ */
+function createRng(seed) {
+  return { seed: String(seed), state: hashSeed(String(seed)) };
+}
+
+/**
+ * Next number in [0, 1) (sfc32); advances the generator
+ */
+function next(rng) {
+  const s = rng.state;
+  const t = (((s[0] + s[1]) >>> 0) + s[3]) >>> 0;
+  s[3] = (s[3] + 1) >>> 0;
+  s[0] = (s[1] ^ (s[1] >>> 9)) >>> 0;
+  s[1] = (s[2] + (s[2] << 3)) >>> 0;
+  s[2] = (s[2] << 21) | (s[2] >>> 11);
+  s[2] = (s[2] + t) >>> 0;
+  return t / 4294967296;
+}
+
+/**
+ * Math.random-style function drawing from a generator, for the deal and
+ * bot views (falls back to Math.random for games dealt without one)
+ */
+function randomFor(rng) {
+  return rng ? () => next(rng) : Math.random;
+}
+
+/**
+ * Commit to a seed before the deal: sha256 of '<seed>:<salt>'
+ * The random salt keeps a short, guessable (host-set) seed from being found
+ * from the hash. The commitment is published when the game starts and the
+ * seed and salt when it ends.
+ */
+function commitSeed(seed, salt = crypto.randomBytes(16).toString('hex')) {
+  return {
+    salt,
+    commitment: crypto.createHash('sha256').update(seed + ':' + salt).digest('hex')
+  };
+}
+
+module.exports = {
+  createSeed,
+  createRng,
+  next,
+  randomFor,
+  commitSeed
+};
@@ -0,0 +1,367 @@
+/**
+ * Cheat rules engine for CardArena
+ * Server-authoritative state transitions for play, pass and check
+ *
+ * All functions operate on a room's gameState and return a plain
+ * outcome object that the game handler broadcasts to clients.
+ */
+
+const config = require('./config');
+const rng = require('./rng');
+
+const RANKS = config.VALID_RANKS;
+
+/**
+ * Room rule variants
+ * decks: number of 52-card decks shuffled together
+ * rankMode: 'locked' (first claim fixes the round's rank),
+ *           'sequential' (each claim is the rank after the previous one),
+ *           'updown' (each claim is the same, one above or one below the previous one)
+ * maxCardsPerPlay: cap on cards in a single play
+ * wrongCheckPenalty: extra cards a wrong checker takes from the honest player's hand
+ */
+const DEFAULT_RULES = {
+  decks: 1,
+  rankMode: 'locked',
+  maxCardsPerPlay: 4,
+  wrongCheckPenalty: 0
+};
+
+/**
+ * Fill in defaults for a (validated) rules object
+ */
+function resolveRules(input) {
+  const rules = { ...DEFAULT_RULES };
+  if (input && typeof input === 'object') {
+    Object.keys(DEFAULT_RULES).forEach(key => {
+      if (input[key] !== undefined) rules[key] = input[key];
+    });
+  }
+  return rules;
+}
+
+function nextRank(rank) {
+  return RANKS[(RANKS.indexOf(rank) + 1) % RANKS.length];
+}
+
+function prevRank(rank) {
+  return RANKS[(RANKS.indexOf(rank) + RANKS.length - 1) % RANKS.length];
+}
+
+/**
+ * Ranks that may be claimed on the next play
+ */
+function getAllowedRanks(state) {
+  const last = state.currentRank;
+  if (last === null) return RANKS.slice();
+  switch (state.rules.rankMode) {
+    case 'sequential':
+      return [nextRank(last)];
+    case 'updown':
+      return [prevRank(last), last, nextRank(last)];
+    default:
+      return [last];
+  }
+}
+
+/**
+ * Build one or more 52-card decks
+ * Cards from extra decks get a '#n' suffix so every id stays unique
+ */
+function createDeck(decks = 1) {
+  const deck = [];
+  const SUITS = ['♠', '♥', '♦', '♣'];
+  for (let d = 0; d < decks; d++) {
+    for (const s of SUITS) {
+      for (const r of RANKS) {
+        deck.push({ rank: r, suit: s, id: r + s + (d > 0 ? '#' + d : '') });
+      }
+    }
+  }
+  return deck;
+}
+
+/**
+ * Shuffle a deck in place
+ * random: a Math.random-style generator
+ */
+function shuffleDeck(deck, random = Math.random) {
+  for (let i = deck.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [deck[i], deck[j]] = [deck[j], deck[i]];
+  }
+  return deck;
+}
+
+/**
+ * Deal a deck round the table, one card at a time: { playerId: cards }
+ */
+function dealCards(deck, players) {
+  const n = players.length;
+  const hands = {};
+  for (let i = 0; i < n; i++) {
+    hands[players[i].id] = [];
+  }
+  deck.forEach((c, i) => {
+    hands[players[i % n].id].push(c);
+  });
+  return hands;
+}
+
+/**
+ * Build a fresh game state from dealt hands
+ * order: seat order (player ids) used for turn rotation
+ * gameRng: the generator the deck was shuffled with (lib/rng.js); the rest
+ * of the game's randomness carries on from it
+ */
+function createGameState(players, hands, starterId, rules = DEFAULT_RULES, gameRng = null) {
+  return {
+    rules: resolveRules(rules),
+    rng: gameRng,
+    order: players.map(p => p.id),
+    hands,
+    pile: [],                // [{playerId, cards, claimedRank}] plays this round
+    currentTurn: starterId,
+    currentRank: null,       // last claimed rank this round (null = free choice)
+    lastPlay: null,          // most recent pile entry
+    lastContributorId: null, // last player who actually played cards this round
+    consecutivePasses: 0,
+    winner: null
+  };
+}
+
+/**
+ * Total number of cards in the pile
+ */
+function getPileCount(state) {
+  return state.pile.reduce((n, entry) => n + entry.cards.length, 0);
+}
+
+/**
+ * Seat after playerId in turn order
+ */
+function nextPlayerId(state, playerId) {
+  const idx = state.order.indexOf(playerId);
+  if (idx === -1) return state.order[0] || null;
+  return state.order[(idx + 1) % state.order.length];
+}
+
+/**
+ * Clear the pile and open a new round started by starterId
+ * (or the first seat still in the game if starterId has left)
+ */
+function resetRound(state, starterId) {
+  state.pile = [];
+  state.currentRank = null;
+  state.lastPlay = null;
+  state.lastContributorId = null;
+  state.consecutivePasses = 0;
+  state.currentTurn = state.order.includes(starterId) ? starterId : nextPlayerId(state, starterId);
+}
+
+// ============================================================
+// VALIDATION
+// Each validator returns an error code, or null if the action is legal
+// ============================================================
+
+function validateTurn(state, playerId) {
+  if (state.winner) return 'game_over';
+  if (!state.order.includes(playerId)) return 'not_in_game';
+  if (state.currentTurn !== playerId) return 'not_your_turn';
+  return null;
+}
+
+/**
+ * Validate a play against the server-held hand, turn, card cap and rank rules
+ */
+function validatePlay(state, playerId, cardIds, claimedRank) {
+  const turnError = validateTurn(state, playerId);
+  if (turnError) return turnError;
+
+  if (new Set(cardIds).size !== cardIds.length) return 'duplicate_cards';
+  if (cardIds.length > state.rules.maxCardsPerPlay) return 'too_many_cards';
+
+  const hand = state.hands[playerId] || [];
+  if (!cardIds.every(id => hand.some(c => c.id === id))) return 'card_not_in_hand';
+
+  if (!getAllowedRanks(state).includes(claimedRank)) return 'rank_mismatch';
+
+  return null;
+}
+
+/**
+ * Validate a pass: only allowed once the round has a pile
+ */
+function validatePass(state, playerId) {
+  const turnError = validateTurn(state, playerId);
+  if (turnError) return turnError;
+
+  if (state.pile.length === 0) return 'pile_empty';
+  return null;
+}
+
+/**
+ * Validate a check: there must be a previous play by someone else
+ */
+function validateCheck(state, playerId) {
+  const turnError = validateTurn(state, playerId);
+  if (turnError) return turnError;
+
+  if (!state.lastPlay) return 'nothing_to_check';
+  if (state.lastPlay.playerId === playerId) return 'cannot_check_own_play';
+  return null;
+}
+
+// ============================================================
+// STATE TRANSITIONS
+// ============================================================
+
+/**
+ * Play cards face-down claiming a rank
+ * Records the claim as the round's current rank and detects a win
+ */
+function playCards(state, playerId, cardIds, claimedRank) {
+  const hand = state.hands[playerId] || [];
+  const cards = hand.filter(c => cardIds.includes(c.id));
+  if (cards.length === 0) return null;
+
+  state.hands[playerId] = hand.filter(c => !cardIds.includes(c.id));
+  state.currentRank = claimedRank;
+
+  const entry = { playerId, cards, claimedRank };
+  state.pile.push(entry);
+  state.lastPlay = entry;
+  state.lastContributorId = playerId;
+  state.consecutivePasses = 0;
+
+  if (state.hands[playerId].length === 0) {
+    state.winner = playerId;
+  } else {
+    state.currentTurn = nextPlayerId(state, playerId);
+  }
+
+  return {
+    playerId,
+    count: cards.length,
+    claimedRank,
+    roundRank: state.currentRank,
+    handCount: state.hands[playerId].length,
+    pileCount: getPileCount(state),
+    nextTurn: state.winner ? null : state.currentTurn,
+    winner: state.winner
+  };
+}
+
+/**
+ * Pass the turn
+ * Once every seat has passed since the last play, the pile is discarded
+ * and the last contributor starts a new round
+ */
+function pass(state, playerId) {
+  state.consecutivePasses++;
+
+  if (state.consecutivePasses >= state.order.length && state.lastContributorId !== null) {
+    const discardedCount = getPileCount(state);
+    const starterId = state.lastContributorId;
+    resetRound(state, starterId);
+    return { playerId, pileDiscarded: true, discardedCount, nextTurn: state.currentTurn };
+  }
+
+  state.currentTurn = nextPlayerId(state, playerId);
+  return {
+    playerId,
+    pileDiscarded: false,
+    consecutivePasses: state.consecutivePasses,
+    nextTurn: state.currentTurn
+  };
+}
+
+/**
+ * Check the last play
+ * A lie gives the pile to the liar and the checker starts the next round;
+ * an honest play gives the pile to the checker and the liar-accused starts.
+ * With a wrongCheckPenalty the wrong checker also takes that many random
+ * cards from the honest player's hand (never their last card).
+ */
+function check(state, checkerId) {
+  const lp = state.lastPlay;
+  if (!lp || lp.playerId === checkerId) return null;
+
+  const wasLie = lp.cards.some(c => c.rank !== lp.claimedRank);
+  const takerId = wasLie ? lp.playerId : checkerId;
+  const newStarterId = wasLie ? checkerId : lp.playerId;
+  const pileCards = state.pile.flatMap(entry => entry.cards);
+
+  if (state.hands[takerId]) {
+    state.hands[takerId].push(...pileCards);
+  }
+
+  let penaltyCards = 0;
+  const honestHand = state.hands[lp.playerId];
+  if (!wasLie && honestHand && state.hands[checkerId]) {
+    const random = rng.randomFor(state.rng);
+    penaltyCards = Math.min(state.rules.wrongCheckPenalty, honestHand.length - 1);
+    for (let i = 0; i < penaltyCards; i++) {
+      const idx = Math.floor(random() * honestHand.length);
+      state.hands[checkerId].push(...honestHand.splice(idx, 1));
+    }
+  }
+  resetRound(state, newStarterId);
+
+  return {
+    playerId: checkerId,
+    checkedPlayerId: lp.playerId,
+    cards: lp.cards,
+    claimedRank: lp.claimedRank,
+    wasLie,
+    takerId,
+    pileCount: pileCards.length,
+    penaltyCards,
+    handCount: (state.hands[takerId] || []).length,
+    nextTurn: state.currentTurn
+  };
+}
+
+/**
+ * Remove a player from the seat order (e.g. after a reconnect timeout)
+ * Their cards on the pile stay there, but their play can no longer be
+ * checked; the next seat takes over their turn and, if they played last,
+ * the right to start the round once everyone passes.
+ */
+function removePlayer(state, playerId) {
+  if (!state.order.includes(playerId)) return;
+  const next = nextPlayerId(state, playerId);
+  state.order = state.order.filter(id => id !== playerId);
+  delete state.hands[playerId];
+
+  if (state.lastPlay && state.lastPlay.playerId === playerId) {
+    state.lastPlay = null;
+  }
+  if (state.lastContributorId === playerId) {
+    state.lastContributorId = next !== playerId ? next : null;
+  }
+  if (state.currentTurn === playerId) {
+    state.currentTurn = next !== playerId ? next : null;
+  }
+}
+
+module.exports = {
+  DEFAULT_RULES,
+  resolveRules,
+  nextRank,
+  prevRank,
+  getAllowedRanks,
+  createDeck,
+  shuffleDeck,
+  dealCards,
+  createGameState,
+  getPileCount,
+  nextPlayerId,
+  playCards,
+  pass,
+  check,
+  removePlayer,
+  validatePlay,
+  validatePass,
+  validateCheck
+};
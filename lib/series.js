@@ -0,0 +1,99 @@
+/**
+ * Best-of-N series for CardArena
+ * A room can play a series of games instead of one-offs. Every game scores
+ * points, the scoreboard carries across rematches, and the first player to
+ * win a majority of the games takes the series.
+ */
+
+const config = require('./config');
+
+function createSeries(length) {
+  return {
+    length,
+    games: [],   // [{ winner, matchId, points: { playerId: points }, at }]
+    scores: {},  // playerId -> { name, wins, points }
+    winner: null
+  };
+}
+
+function winsNeeded(series) {
+  return Math.floor(series.length / 2) + 1;
+}
+
+/**
+ * Points for one game: SERIES_BASE_POINTS less a point per card still held,
+ * never below zero. The winner holds none, so takes the full amount.
+ */
+function gamePoints(cardsLeft) {
+  return Math.max(0, config.SERIES_BASE_POINTS - cardsLeft);
+}
+
+/**
+ * Scoreboard, best first: most wins, then most points
+ */
+function getStandings(series) {
+  return Object.entries(series.scores)
+    .map(([id, s]) => ({ id, name: s.name, wins: s.wins, points: s.points }))
+    .sort((a, b) => b.wins - a.wins || b.points - a.points);
+}
+
+/**
+ * The series winner, or null while it's still open
+ * After the last scheduled game without a majority, most wins and then most
+ * points decide; if the top two are still level, the next game breaks the tie.
+ */
+function decideWinner(series) {
+  const [leader, second] = getStandings(series);
+  if (!leader) return null;
+  if (leader.wins >= winsNeeded(series)) return leader.id;
+  if (series.games.length < series.length) return null;
+  if (!second || second.wins < leader.wins || second.points < leader.points) return leader.id;
+  return null;
+}
+
+/**
+ * Add a finished game to the series
+ * players: the seated players [{ id, name }]
+ * hands: gameState.hands at the end of the game
+ * Returns the game entry
+ */
+function recordGame(series, { players, hands, winnerId, matchId }) {
+  const points = {};
+  players.forEach(p => {
+    const cardsLeft = p.id === winnerId ? 0 : (hands[p.id] || []).length;
+    points[p.id] = gamePoints(cardsLeft);
+
+    const score = series.scores[p.id] || { name: p.name, wins: 0, points: 0 };
+    score.name = p.name;
+    score.points += points[p.id];
+    if (p.id === winnerId) score.wins++;
+    series.scores[p.id] = score;
+  });
+
+  const game = { winner: winnerId, matchId: matchId || null, points, at: Date.now() };
+  series.games.push(game);
+  series.winner = decideWinner(series);
+  return game;
+}
+
+/**
+ * What clients see: the scoreboard and where the series stands
+ */
+function getSummary(series) {
+  if (!series) return null;
+  return {
+    length: series.length,
+    gamesPlayed: series.games.length,
+    winsNeeded: winsNeeded(series),
+    standings: getStandings(series),
+    lastGame: series.games.length ? series.games[series.games.length - 1] : null,
+    winner: series.winner
+  };
+}
+
+module.exports = {
+  createSeries,
+  recordGame,
+  getStandings,
+  getSummary
+};
@@ -0,0 +1,221 @@
+/**
+ * Headless bot-vs-bot simulator for CardArena
+ * Plays whole games with the server's rules (lib/rules.js) and bot
+ * strategies (lib/bots.js), without sockets, rooms or timers, and reports
+ * win rates, game length, bluff and check success and pile sizes.
+ *
+ * Every game is seeded like a room's deal (lib/rng.js), so dealing, bot
+ * choices and check penalties all replay exactly from the same seed.
+ */
+
+const rng = require('./rng');
+const rules = require('./rules');
+const bots = require('./bots');
+
+const DEFAULT_MAX_TURNS = 2000;
+
+function emptySeatStats() {
+  return { plays: 0, bluffs: 0, bluffsCaught: 0, checks: 0, checksCorrect: 0, passes: 0, cardsTaken: 0, illegalMoves: 0 };
+}
+
+/**
+ * The move a bot's turn ends up as: its own if legal, otherwise the same
+ * fallback the game handler uses (play the first card, or pass)
+ */
+function resolveAction(state, botId, action) {
+  const legal =
+    action.type === 'check' ? !rules.validateCheck(state, botId) :
+    action.type === 'pass' ? !rules.validatePass(state, botId) :
+    !rules.validatePlay(state, botId, action.cardIds, action.claimedRank);
+  if (legal) return { action, illegal: false };
+
+  const hand = state.hands[botId] || [];
+  const claimedRank = state.currentRank || (hand[0] && hand[0].rank);
+  if (hand.length && !rules.validatePlay(state, botId, [hand[0].id], claimedRank)) {
+    return { action: { type: 'play', cardIds: [hand[0].id], claimedRank }, illegal: true };
+  }
+  return { action: { type: 'pass' }, illegal: true };
+}
+
+/**
+ * Play one game
+ * lineup: strategy names in seat order (the first seat leads)
+ * Returns { seed, lineup, winner, winnerSeat, turns, rounds, pilesTaken, pilesDiscarded, seats }
+ */
+function playGame({ lineup, seed, rules: ruleOptions, maxTurns = DEFAULT_MAX_TURNS }) {
+  const gameRules = rules.resolveRules(ruleOptions);
+  const gameRng = rng.createRng(seed);
+  const players = lineup.map((diff, i) => ({ id: 'seat' + i, diff, isBot: true }));
+  const hands = rules.dealCards(rules.shuffleDeck(rules.createDeck(gameRules.decks), rng.randomFor(gameRng)), players);
+  const state = rules.createGameState(players, hands, players[0].id, gameRules, gameRng);
+  bots.initMemory(state, players);
+
+  const seats = {};
+  players.forEach(p => { seats[p.id] = emptySeatStats(); });
+  const pilesTaken = [];
+  const pilesDiscarded = [];
+  let rounds = 1;
+  let turns = 0;
+
+  while (!state.winner && turns < maxTurns) {
+    turns++;
+    const botId = state.currentTurn;
+    const diff = players.find(p => p.id === botId).diff;
+    const { action, illegal } = resolveAction(state, botId, bots.decideAction(state, botId, diff));
+    const stats = seats[botId];
+    if (illegal) stats.illegalMoves++;
+
+    if (action.type === 'play') {
+      const played = rules.playCards(state, botId, action.cardIds, action.claimedRank);
+      stats.plays++;
+      if (state.lastPlay.cards.some(c => c.rank !== action.claimedRank)) stats.bluffs++;
+      bots.observe(state, { type: 'play', playerId: botId, claimedRank: action.claimedRank, count: played.count });
+    } else if (action.type === 'pass') {
+      const pile = state.pile;
+      const passed = rules.pass(state, botId);
+      stats.passes++;
+      if (passed.pileDiscarded) {
+        pilesDiscarded.push(passed.discardedCount);
+        rounds++;
+        bots.observe(state, { type: 'discard', pile });
+      }
+    } else {
+      const pile = state.pile;
+      const checked = rules.check(state, botId);
+      stats.checks++;
+      if (checked.wasLie) {
+        stats.checksCorrect++;
+        seats[checked.checkedPlayerId].bluffsCaught++;
+      }
+      seats[checked.takerId].cardsTaken += checked.pileCount + checked.penaltyCards;
+      pilesTaken.push(checked.pileCount);
+      rounds++;
+      bots.observe(state, { type: 'check', pile, ...checked });
+    }
+  }
+
+  const winnerSeat = state.winner ? players.findIndex(p => p.id === state.winner) : null;
+  return {
+    seed,
+    lineup,
+    winner: winnerSeat === null ? null : lineup[winnerSeat],
+    winnerSeat,
+    turns,
+    rounds,
+    pilesTaken,
+    pilesDiscarded,
+    seats: players.map(p => ({ strategy: p.diff, won: p.id === state.winner, cardsLeft: state.hands[p.id].length, ...seats[p.id] }))
+  };
+}
+
+function ratio(part, whole) {
+  return whole ? Math.round(part / whole * 10000) / 10000 : null;
+}
+
+function average(list) {
+  return list.length ? Math.round(list.reduce((a, n) => a + n, 0) / list.length * 100) / 100 : null;
+}
+
+function pileSummary(sizes) {
+  return { count: sizes.length, avg: average(sizes), max: sizes.length ? Math.max(...sizes) : null };
+}
+
+/**
+ * Play a batch of games and sum them up
+ * lineup: strategy names, one per seat; seats rotate every game so each
+ * strategy leads and sits after every other equally often
+ * seed: game i is seeded with '<seed>-<i>'
+ */
+function simulate({ lineup, games, seed, rules: ruleOptions, maxTurns = DEFAULT_MAX_TURNS }) {
+  const byStrategy = {};
+  const turns = [];
+  const rounds = [];
+  const pilesTaken = [];
+  const pilesDiscarded = [];
+  let unfinished = 0;
+
+  for (let i = 0; i < games; i++) {
+    const shift = i % lineup.length;
+    const game = playGame({
+      lineup: lineup.slice(shift).concat(lineup.slice(0, shift)),
+      seed: seed + '-' + i,
+      rules: ruleOptions,
+      maxTurns
+    });
+    if (!game.winner) unfinished++;
+    turns.push(game.turns);
+    rounds.push(game.rounds);
+    pilesTaken.push(...game.pilesTaken);
+    pilesDiscarded.push(...game.pilesDiscarded);
+
+    game.seats.forEach(seat => {
+      const total = byStrategy[seat.strategy] || { seats: 0, wins: 0, cardsLeft: 0, ...emptySeatStats() };
+      total.seats++;
+      if (seat.won) total.wins++;
+      Object.keys(emptySeatStats()).concat('cardsLeft').forEach(key => { total[key] += seat[key]; });
+      byStrategy[seat.strategy] = total;
+    });
+  }
+
+  return {
+    games,
+    seed,
+    lineup,
+    rules: rules.resolveRules(ruleOptions),
+    maxTurns,
+    unfinished,
+    avgTurns: average(turns),
+    avgRounds: average(rounds),
+    piles: { taken: pileSummary(pilesTaken), discarded: pileSummary(pilesDiscarded) },
+    strategies: Object.entries(byStrategy).map(([strategy, t]) => ({
+      strategy,
+      seats: t.seats,
+      wins: t.wins,
+      winRate: ratio(t.wins, t.seats),
+      plays: t.plays,
+      bluffs: t.bluffs,
+      bluffRate: ratio(t.bluffs, t.plays),
+      bluffsCaught: t.bluffsCaught,
+      bluffSuccessRate: ratio(t.bluffs - t.bluffsCaught, t.bluffs),
+      checks: t.checks,
+      checksCorrect: t.checksCorrect,
+      checkSuccessRate: ratio(t.checksCorrect, t.checks),
+      passes: t.passes,
+      cardsTaken: t.cardsTaken,
+      avgCardsLeft: ratio(t.cardsLeft, t.seats),
+      illegalMoves: t.illegalMoves
+    }))
+  };
+}
+
+const CSV_COLUMNS = [
+  'strategy', 'seats', 'wins', 'winRate', 'plays', 'bluffs', 'bluffRate', 'bluffsCaught', 'bluffSuccessRate',
+  'checks', 'checksCorrect', 'checkSuccessRate', 'passes', 'cardsTaken', 'avgCardsLeft', 'illegalMoves',
+  'games', 'unfinished', 'avgTurns', 'avgRounds', 'avgPileTaken', 'maxPileTaken', 'avgPileDiscarded', 'maxPileDiscarded'
+];
+
+/**
+ * A report as CSV: one row per strategy, with the table-wide figures repeated on each
+ */
+function toCsv(report) {
+  const shared = {
+    games: report.games,
+    unfinished: report.unfinished,
+    avgTurns: report.avgTurns,
+    avgRounds: report.avgRounds,
+    avgPileTaken: report.piles.taken.avg,
+    maxPileTaken: report.piles.taken.max,
+    avgPileDiscarded: report.piles.discarded.avg,
+    maxPileDiscarded: report.piles.discarded.max
+  };
+  const cell = value => value === null || value === undefined ? '' : String(value);
+  const rows = report.strategies.map(s => CSV_COLUMNS.map(col => cell(col in s ? s[col] : shared[col])).join(','));
+  return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+}
+
+module.exports = {
+  DEFAULT_MAX_TURNS,
+  playGame,
+  simulate,
+  toCsv
+};
@@ -0,0 +1,87 @@
+/**
+ * JSON file store for CardArena persistence
+ * One file per record: <dir>/<collection>/<id>.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+function fileName(id) {
+  return encodeURIComponent(id) + '.json';
+}
+
+let tmpCounter = 0;
+
+function createJsonStore(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+
+  function collectionDir(collection) {
+    const d = path.join(dir, collection);
+    fs.mkdirSync(d, { recursive: true });
+    return d;
+  }
+
+  return {
+    driver: 'json',
+
+    get(collection, id) {
+      try {
+        return JSON.parse(fs.readFileSync(path.join(collectionDir(collection), fileName(id)), 'utf8'));
+      } catch (e) {
+        return null;
+      }
+    },
+
+    list(collection) {
+      const d = collectionDir(collection);
+      const records = [];
+      for (const f of fs.readdirSync(d)) {
+        if (!f.endsWith('.json')) continue;
+        try {
+          records.push(JSON.parse(fs.readFileSync(path.join(d, f), 'utf8')));
+        } catch (e) {
+          // Skip unreadable/partial files
+        }
+      }
+      return records;
+    },
+
+    put(collection, id, value) {
+      const file = path.join(collectionDir(collection), fileName(id));
+      // Write-then-rename so a crash never leaves a half-written snapshot
+      const tmp = file + '.tmp';
+      fs.writeFileSync(tmp, JSON.stringify(value));
+      fs.renameSync(tmp, file);
+    },
+
+    // Snapshot writes, off the event loop; the value is serialized before
+    // returning, so later changes to it aren't picked up by this write
+    async putAsync(collection, id, value) {
+      const data = JSON.stringify(value);
+      const file = path.join(collectionDir(collection), fileName(id));
+      const tmp = file + '.' + process.pid + '.' + (++tmpCounter) + '.tmp';
+      await fs.promises.writeFile(tmp, data);
+      await fs.promises.rename(tmp, file);
+    },
+
+    remove(collection, id) {
+      try {
+        fs.unlinkSync(path.join(collectionDir(collection), fileName(id)));
+      } catch (e) {
+        // Already gone
+      }
+    },
+
+    async removeAsync(collection, id) {
+      try {
+        await fs.promises.unlink(path.join(collectionDir(collection), fileName(id)));
+      } catch (e) {
+        // Already gone
+      }
+    },
+
+    close() {}
+  };
+}
+
+module.exports = { createJsonStore };
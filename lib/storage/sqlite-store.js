@@ -0,0 +1,71 @@
+/**
+ * SQLite store for CardArena persistence
+ * All collections share one key/value table: records(collection, id, data)
+ *
+ * Requires the optional `better-sqlite3` dependency.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+function createSqliteStore(file) {
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch (e) {
+    throw new Error('SQLite storage requires the better-sqlite3 package (npm install better-sqlite3)');
+  }
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.exec(`CREATE TABLE IF NOT EXISTS records (
+    collection TEXT NOT NULL,
+    id TEXT NOT NULL,
+    data TEXT NOT NULL,
+    updated_at INTEGER NOT NULL,
+    PRIMARY KEY (collection, id)
+  )`);
+
+  const getStmt = db.prepare('SELECT data FROM records WHERE collection = ? AND id = ?');
+  const listStmt = db.prepare('SELECT data FROM records WHERE collection = ? ORDER BY updated_at');
+  const putStmt = db.prepare(`INSERT INTO records (collection, id, data, updated_at) VALUES (?, ?, ?, ?)
+    ON CONFLICT (collection, id) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at`);
+  const removeStmt = db.prepare('DELETE FROM records WHERE collection = ? AND id = ?');
+
+  return {
+    driver: 'sqlite',
+
+    get(collection, id) {
+      const row = getStmt.get(collection, id);
+      return row ? JSON.parse(row.data) : null;
+    },
+
+    list(collection) {
+      return listStmt.all(collection).map(row => JSON.parse(row.data));
+    },
+
+    put(collection, id, value) {
+      putStmt.run(collection, id, JSON.stringify(value), Date.now());
+    },
+
+    remove(collection, id) {
+      removeStmt.run(collection, id);
+    },
+
+    // better-sqlite3 is synchronous; these keep the store interface the same
+    async putAsync(collection, id, value) {
+      putStmt.run(collection, id, JSON.stringify(value), Date.now());
+    },
+
+    async removeAsync(collection, id) {
+      removeStmt.run(collection, id);
+    },
+
+    close() {
+      db.close();
+    }
+  };
+}
+
+module.exports = { createSqliteStore };
@@ -0,0 +1,21 @@
+/**
+ * Easy bot: plays only the cards it really holds and checks at random
+ */
+
+const { isRoundStart, canCheck, bestAllowedRank, groupByRank, play } = require('./helpers');
+
+function decide(view) {
+  if (isRoundStart(view)) {
+    const best = groupByRank(view.hand)[0];
+    return play(view, best.slice(0, 1 + Math.floor(view.random() * 2)), best[0].rank);
+  }
+
+  if (canCheck(view) && view.random() < 0.08) return { type: 'check' };
+
+  const claimedRank = bestAllowedRank(view);
+  const matching = view.hand.filter(c => c.rank === claimedRank);
+  if (matching.length === 0) return { type: 'pass' };
+  return play(view, [matching[0]], claimedRank);
+}
+
+module.exports = { label: 'Easy', decide };
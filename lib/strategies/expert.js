@@ -0,0 +1,226 @@
+/**
+ * Expert bot: remembers what the table has shown it and plays the odds
+ *
+ * It notes the cards revealed by every check, the piles it picks up (and so
+ * who lied in them), and the cards it sent to another hand or out of play.
+ * Claims are judged by how likely the claimant is to hold the cards, given
+ * everything it can't place, and how often they have bluffed before. It
+ * bluffs on the rank that is hardest to disprove, with the cards it needs
+ * least.
+ */
+
+const { isRoundStart, canCheck, countRank, claimedOnPile, bestAllowedRank, groupByRank, play } = require('./helpers');
+
+function createMemory() {
+  return {
+    held: {},      // opponentId -> { rank: count } cards known to be in that hand
+    outOfPlay: {}, // rank -> count: own cards discarded with a passed-out pile
+    honesty: {},   // opponentId -> { honest, lies } resolved claims seen
+    covered: null  // { playerId, count }: known cards the last play likely used
+  };
+}
+
+function addCount(counts, rank, n = 1) {
+  counts[rank] = (counts[rank] || 0) + n;
+}
+
+function noteClaim(memory, playerId, honest) {
+  const record = memory.honesty[playerId] || { honest: 0, lies: 0 };
+  if (honest) record.honest++;
+  else record.lies++;
+  memory.honesty[playerId] = record;
+}
+
+function observe(memory, event, botId) {
+  if (event.type === 'play') {
+    memory.covered = null;
+    if (event.playerId === botId) return;
+    // Assume known cards of the claimed rank went down first
+    const known = memory.held[event.playerId] || {};
+    const used = Math.min(known[event.claimedRank] || 0, event.count);
+    if (used > 0) {
+      known[event.claimedRank] -= used;
+      memory.covered = { playerId: event.playerId, count: used };
+    }
+    memory.held[event.playerId] = known;
+    return;
+  }
+
+  memory.covered = null;
+  if (event.type === 'discard') {
+    event.ownCards.forEach(c => addCount(memory.outOfPlay, c.rank));
+    return;
+  }
+
+  // A check: everyone sees the last play; whoever takes the pile sees all of it
+  if (event.checkedPlayerId !== botId) noteClaim(memory, event.checkedPlayerId, !event.wasLie);
+  if (event.pile) {
+    event.pile.slice(0, -1)
+      .filter(e => e.playerId !== botId)
+      .forEach(e => noteClaim(memory, e.playerId, e.cards.every(c => c.rank === e.claimedRank)));
+    return;
+  }
+  // The taker's hand now holds the revealed cards and anything we put on the pile
+  const known = memory.held[event.takerId] || {};
+  if (event.checkedPlayerId !== botId) event.cards.forEach(c => addCount(known, c.rank));
+  event.ownCards.forEach(c => addCount(known, c.rank));
+  memory.held[event.takerId] = known;
+}
+
+function lnChoose(n, k) {
+  if (k < 0 || k > n) return -Infinity;
+  let sum = 0;
+  for (let i = 1; i <= k; i++) sum += Math.log(n - k + i) - Math.log(i);
+  return sum;
+}
+
+/**
+ * Chance that a hand of `draws` cards, taken from `pool` unknown cards of
+ * which `copies` are the rank in question, holds at least `need` of them
+ */
+function chanceToHold(pool, copies, draws, need) {
+  if (need <= 0) return 1;
+  draws = Math.min(draws, pool);
+  if (need > Math.min(copies, draws)) return 0;
+  let p = 0;
+  for (let k = need; k <= Math.min(copies, draws); k++) {
+    p += Math.exp(lnChoose(copies, k) + lnChoose(pool - copies, draws - k) - lnChoose(pool, draws));
+  }
+  return Math.min(1, p);
+}
+
+/**
+ * Cards known to be in an opponent's hand, never more than they hold
+ */
+function knownHand(view, memory, playerId) {
+  const known = memory.held[playerId] || {};
+  const size = view.handCounts[playerId] || 0;
+  const capped = {};
+  let total = 0;
+  Object.entries(known).forEach(([rank, n]) => {
+    const take = Math.min(n, size - total);
+    if (take > 0) {
+      capped[rank] = take;
+      total += take;
+    }
+  });
+  return { ranks: capped, total };
+}
+
+/**
+ * Probability that the last play is honest
+ * Models the claimant's hand as the cards we know they hold plus a random
+ * draw from every card we can't place. An honest player claims a rank they
+ * hold, so when the play allowed several ranks each one they might have held
+ * counts against a bluff; that is weighed against how often they have been
+ * caught bluffing.
+ */
+function honestChance(view, memory) {
+  const lp = view.lastPlay;
+  const totalCards = view.deckSize;
+  const placedCopies = {}; // rank -> copies whose whereabouts we know
+  const place = (rank, n) => addCount(placedCopies, rank, n);
+
+  view.hand.concat(view.ownPile).forEach(c => place(c.rank, 1));
+  Object.entries(memory.outOfPlay).forEach(([rank, n]) => place(rank, n));
+  let claimantKnown = { ranks: {}, total: 0 };
+  Object.keys(view.handCounts).forEach(id => {
+    const known = knownHand(view, memory, id);
+    Object.entries(known.ranks).forEach(([rank, n]) => place(rank, n));
+    if (id === lp.playerId) claimantKnown = known;
+  });
+  const covered = memory.covered && memory.covered.playerId === lp.playerId ? memory.covered.count : 0;
+  place(lp.claimedRank, covered);
+
+  const placed = Object.values(placedCopies).reduce((a, n) => a + n, 0);
+  const pool = totalCards - placed;
+  const draws = (view.handCounts[lp.playerId] || 0) + lp.count - covered - claimantKnown.total;
+  const holdChance = rank => {
+    const held = (claimantKnown.ranks[rank] || 0) + (rank === lp.claimedRank ? covered : 0);
+    return chanceToHold(pool, view.rankCount - (placedCopies[rank] || 0), draws, lp.count - held);
+  };
+
+  const pHold = holdChance(lp.claimedRank);
+  if (pHold === 0) return 0;
+  const choices = view.lastPlayRanks;
+  const pHoldAny = 1 - choices.reduce((a, rank) => a * (1 - holdChance(rank)), 1);
+  const pHoldTotal = choices.reduce((a, rank) => a + holdChance(rank), 0);
+
+  // How readily this player bluffs when they don't hold the cards
+  const record = memory.honesty[lp.playerId] || { honest: 0, lies: 0 };
+  const bluffRate = (record.lies + 1) / (record.honest + record.lies + 2);
+  const honest = pHoldAny * pHold / pHoldTotal;
+  const bluff = (1 - pHoldAny) * bluffRate / choices.length;
+  return honest / (honest + bluff);
+}
+
+function shouldCheck(view, memory) {
+  const lp = view.lastPlay;
+  const bluffChance = 1 - honestChance(view, memory);
+
+  // Stop a player who is about to go out; be wary when a wrong call costs extra
+  let threshold = 0.5;
+  if ((view.handCounts[lp.playerId] || 0) <= 2) threshold -= 0.15;
+  threshold += 0.05 * view.wrongCheckPenalty;
+  threshold += (view.random() - 0.5) * 0.1;
+  return bluffChance > threshold;
+}
+
+/**
+ * The cards we are happiest to lose: smallest rank groups first
+ */
+function spareCards(hand, keepRank) {
+  return groupByRank(hand.filter(c => c.rank !== keepRank)).reverse().flat();
+}
+
+/**
+ * The allowed rank a bluff is least likely to be caught on: the one with
+ * the most copies neither claimed this round nor known to be elsewhere
+ */
+function bluffRank(view, memory) {
+  const unaccounted = rank => view.rankCount - claimedOnPile(view, rank) - (memory.outOfPlay[rank] || 0) -
+    Object.keys(view.handCounts).reduce((a, id) => a + (knownHand(view, memory, id).ranks[rank] || 0), 0);
+  return view.allowedRanks.reduce((best, rank) => unaccounted(rank) > unaccounted(best) ? rank : best);
+}
+
+/**
+ * Now and then slip a spare card in with an honest play, when the claim stays plausible
+ */
+function padPlay(view, cards, claimedRank) {
+  const spare = spareCards(view.hand, claimedRank)[0];
+  const claimed = claimedOnPile(view, claimedRank) + cards.length + 1;
+  if (spare && view.hand.length - cards.length > 2 && cards.length < view.maxCards &&
+      claimed < view.rankCount && view.random() < 0.35) {
+    return cards.concat(spare);
+  }
+  return cards;
+}
+
+function decide(view, memory) {
+  const hand = view.hand;
+  if (isRoundStart(view)) {
+    const best = groupByRank(hand)[0];
+    return play(view, padPlay(view, best.slice(0, view.maxCards), best[0].rank), best[0].rank);
+  }
+
+  if (canCheck(view) && shouldCheck(view, memory)) return { type: 'check' };
+  if (hand.length === 0) return { type: 'pass' };
+
+  const claimedRank = bestAllowedRank(view);
+  const matching = hand.filter(c => c.rank === claimedRank);
+  if (matching.length > 0) {
+    return play(view, padPlay(view, matching.slice(0, view.maxCards), claimedRank), claimedRank);
+  }
+
+  const rank = bluffRank(view, memory);
+  if (claimedOnPile(view, rank) + 1 > view.rankCount) return { type: 'pass' };
+  // Bluff when the hand is big and the pile is small; pass otherwise
+  const pileCount = view.claims.reduce((a, e) => a + e.count, 0);
+  const chance = Math.max(0.1, Math.min(0.8, 0.35 + 0.05 * (hand.length - 5) - 0.04 * pileCount));
+  if (view.random() >= chance) return { type: 'pass' };
+  // Bluff with the cards we need least
+  const count = hand.length > 8 && claimedOnPile(view, rank) + 2 <= view.rankCount - 1 ? 2 : 1;
+  return play(view, spareCards(hand, null).slice(0, count), rank);
+}
+
+module.exports = { label: 'Expert', createMemory, observe, decide };
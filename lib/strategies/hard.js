@@ -0,0 +1,44 @@
+/**
+ * Hard bot: counts the round's claims against its hand, plays honest cards
+ * in bulk and bluffs more with a big hand
+ */
+
+const { isRoundStart, canCheck, countRank, claimedOnPile, bestAllowedRank, groupByRank, play } = require('./helpers');
+
+function shouldCheck(view) {
+  const lp = view.lastPlay;
+  const inHand = countRank(view.hand, lp.claimedRank);
+  const totalClaimed = claimedOnPile(view, lp.claimedRank);
+  if (totalClaimed + inHand > view.rankCount) return true;
+  // How many of this rank could realistically still exist?
+  const remaining = view.rankCount - inHand - (totalClaimed - lp.count);
+  if (remaining < lp.count && view.random() < 0.8) return true;
+  if (lp.count >= 3 && view.random() < 0.5) return true;
+  return view.random() < 0.07;
+}
+
+function decide(view) {
+  if (isRoundStart(view)) {
+    const best = groupByRank(view.hand)[0];
+    return play(view, best.slice(0, 1 + Math.floor(view.random() * 3)), best[0].rank);
+  }
+
+  if (canCheck(view) && shouldCheck(view)) return { type: 'check' };
+
+  const claimedRank = bestAllowedRank(view);
+  const matching = view.hand.filter(c => c.rank === claimedRank);
+  if (view.hand.length === 0) return { type: 'pass' };
+  // Always play honest cards; bluff more when the hand is large
+  if (matching.length === 0 && view.random() >= (view.hand.length > 6 ? 0.6 : 0.3)) return { type: 'pass' };
+
+  if (matching.length >= 2) {
+    return play(view, matching.slice(0, 2 + Math.floor(view.random() * 2)), claimedRank);
+  }
+  if (matching.length === 1 && view.random() < 0.85) {
+    return play(view, [matching[0]], claimedRank);
+  }
+  const best = groupByRank(view.hand)[0];
+  return play(view, best.slice(0, 1 + Math.floor(view.random() * 2)), claimedRank);
+}
+
+module.exports = { label: 'Hard', decide };
@@ -0,0 +1,76 @@
+/**
+ * Shared helpers for bot strategies
+ * Custom strategies can require this file too; every helper only reads the
+ * bot view (see lib/bots.js).
+ */
+
+/**
+ * No claim to follow yet: the bot must play and may claim any rank
+ */
+function isRoundStart(view) {
+  return view.claims.length === 0 || view.roundRank === null;
+}
+
+/**
+ * There is a play by someone else to check
+ */
+function canCheck(view) {
+  return !!view.lastPlay && view.lastPlay.playerId !== view.playerId;
+}
+
+function countRank(cards, rank) {
+  return cards.filter(c => c.rank === rank).length;
+}
+
+/**
+ * Cards of this rank already claimed on the pile this round
+ */
+function claimedOnPile(view, rank) {
+  return view.claims.filter(e => e.claimedRank === rank).reduce((a, e) => a + e.count, 0);
+}
+
+/**
+ * The allowed rank the bot holds the most of (first allowed rank on ties)
+ */
+function bestAllowedRank(view) {
+  let best = view.allowedRanks[0];
+  let bestCount = -1;
+  view.allowedRanks.forEach(rank => {
+    const count = countRank(view.hand, rank);
+    if (count > bestCount) {
+      best = rank;
+      bestCount = count;
+    }
+  });
+  return best;
+}
+
+/**
+ * Group a hand by rank, largest group first
+ */
+function groupByRank(hand) {
+  const groups = {};
+  hand.forEach(c => {
+    groups[c.rank] = groups[c.rank] || [];
+    groups[c.rank].push(c);
+  });
+  return Object.values(groups).sort((a, b) => b.length - a.length);
+}
+
+/**
+ * A play action for these cards, trimmed to the per-play limit
+ */
+function play(view, cards, claimedRank) {
+  if (!cards || cards.length === 0) cards = [view.hand[0]];
+  return { type: 'play', cardIds: cards.slice(0, view.maxCards).map(c => c.id), claimedRank };
+}
+
+module.exports = {
+  isRoundStart,
+  canCheck,
+  countRank,
+  claimedOnPile,
+  bestAllowedRank,
+  groupByRank,
+  play
+};
@@ -0,0 +1,35 @@
+/**
+ * Medium bot: calls out impossible claims and big plays, bluffs now and then
+ */
+
+const { isRoundStart, canCheck, countRank, claimedOnPile, bestAllowedRank, groupByRank, play } = require('./helpers');
+
+function shouldCheck(view) {
+  const lp = view.lastPlay;
+  // More of this rank claimed than exist outside our hand
+  const impossible = claimedOnPile(view, lp.claimedRank) + countRank(view.hand, lp.claimedRank) > view.rankCount;
+  if (impossible) return true;
+  if (lp.count >= 3 && view.random() < 0.35) return true;
+  return view.random() < 0.12;
+}
+
+function decide(view) {
+  if (isRoundStart(view)) {
+    const best = groupByRank(view.hand)[0];
+    return play(view, best.slice(0, 1 + Math.floor(view.random() * 2)), best[0].rank);
+  }
+
+  if (canCheck(view) && shouldCheck(view)) return { type: 'check' };
+  if (view.hand.length === 0 || view.random() >= 0.70) return { type: 'pass' };
+
+  const claimedRank = bestAllowedRank(view);
+  const matching = view.hand.filter(c => c.rank === claimedRank);
+  const shouldBluff = matching.length === 0 || (view.random() < 0.25 && view.hand.length > 7);
+  if (!shouldBluff) {
+    return play(view, matching.slice(0, 1 + Math.floor(view.random() * 2)), claimedRank);
+  }
+  const others = view.hand.filter(c => c.rank !== claimedRank);
+  return play(view, (others.length ? others : view.hand).slice(0, 1 + Math.floor(view.random() * 2)), claimedRank);
+}
+
+module.exports = { label: 'Medium', decide };
@@ -0,0 +1,215 @@
+/**
+ * Tournaments for CardArena
+ * Entrants play rounds of Cheat tables. In a knockout bracket the best-placed
+ * entrant at each table goes through until one is left. In a Swiss
+ * tournament everyone plays every round, against players on similar points,
+ * for a fixed number of rounds. Bots fill the empty seats but never advance
+ * or score.
+ *
+ * These functions keep the bracket only; the game handler creates the rooms
+ * and reports each finished table back.
+ */
+
+function createTournament({ id, name, organizerId, format, capacity, tableSize, rounds, botDifficulty }) {
+  return {
+    id,
+    name,
+    organizerId,
+    format,           // 'knockout' | 'swiss'
+    capacity,
+    tableSize,
+    rounds: format === 'swiss' ? rounds : null,
+    botDifficulty,
+    status: 'registering', // registering | running | finished
+    entrants: [],     // [{ id, name, avatar }]
+    alive: [],        // knockout: entrants still in
+    points: {},       // swiss: entrantId -> points
+    round: 0,
+    history: [],      // [{ round, tables: [{ roomId, players, seats, placements, advanced, done }] }]
+    champion: null,
+    createdAt: Date.now()
+  };
+}
+
+function addEntrant(tournament, entrant) {
+  if (tournament.status !== 'registering') return 'tournament_started';
+  if (tournament.entrants.some(e => e.id === entrant.id)) return 'already_joined';
+  if (tournament.entrants.length >= tournament.capacity) return 'tournament_full';
+  tournament.entrants.push(entrant);
+  return null;
+}
+
+function removeEntrant(tournament, entrantId) {
+  if (tournament.status !== 'registering') return 'tournament_started';
+  if (!tournament.entrants.some(e => e.id === entrantId)) return 'not_in_tournament';
+  tournament.entrants = tournament.entrants.filter(e => e.id !== entrantId);
+  return null;
+}
+
+function shuffle(list) {
+  const a = list.slice();
+  for (let i = a.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [a[i], a[j]] = [a[j], a[i]];
+  }
+  return a;
+}
+
+/**
+ * Cut an ordered list of players into tables whose sizes differ by one at most
+ */
+function splitTables(ids, tableSize) {
+  const count = Math.ceil(ids.length / tableSize);
+  const base = Math.floor(ids.length / count);
+  const extra = ids.length % count;
+  const tables = [];
+  let i = 0;
+  for (let t = 0; t < count; t++) {
+    const size = base + (t < extra ? 1 : 0);
+    tables.push(ids.slice(i, i + size));
+    i += size;
+  }
+  return tables;
+}
+
+/**
+ * Swiss standings, best first: points, then entry order
+ */
+function getStandings(tournament) {
+  return tournament.entrants
+    .map(e => ({ id: e.id, name: e.name, points: tournament.points[e.id] || 0 }))
+    .sort((a, b) => b.points - a.points);
+}
+
+/**
+ * Who plays in the next round, in seating order
+ */
+function getNextRoundPlayers(tournament) {
+  if (tournament.format === 'knockout') {
+    return tournament.round === 0 ? shuffle(tournament.alive) : tournament.alive;
+  }
+  // Swiss: a random draw first, then neighbours on the standings share tables
+  return tournament.round === 0
+    ? shuffle(tournament.entrants.map(e => e.id))
+    : getStandings(tournament).map(s => s.id);
+}
+
+/**
+ * How many tables the next round needs
+ */
+function getNextRoundTableCount(tournament) {
+  return Math.ceil(getNextRoundPlayers(tournament).length / tournament.tableSize);
+}
+
+function start(tournament) {
+  tournament.status = 'running';
+  tournament.alive = tournament.entrants.map(e => e.id);
+  tournament.entrants.forEach(e => { tournament.points[e.id] = 0; });
+}
+
+/**
+ * Draw the next round's tables; the caller seats them and sets roomId and seats
+ */
+function planRound(tournament) {
+  const tables = splitTables(getNextRoundPlayers(tournament), tournament.tableSize)
+    .map(players => ({ roomId: null, players, seats: [], placements: null, advanced: null, done: false }));
+  tournament.round++;
+  tournament.history.push({ round: tournament.round, tables });
+  return tables;
+}
+
+function getCurrentTables(tournament) {
+  const current = tournament.history[tournament.history.length - 1];
+  return current ? current.tables : [];
+}
+
+/**
+ * Record a finished table
+ * winnerId: null when the game was stopped without a winner
+ * cardCounts: { playerId: cards left } for every seat, bots included
+ * Returns true once every table in the round is done
+ */
+function recordTable(tournament, roomId, winnerId, cardCounts) {
+  const tables = getCurrentTables(tournament);
+  const table = tables.find(t => t.roomId === roomId);
+  if (!table || table.done) return false;
+
+  // The winner first, then fewer cards left; entrants who left the table come last
+  const seated = table.seats.map(s => s.id);
+  const order = id => id === winnerId ? -1 : (cardCounts[id] === undefined ? Infinity : cardCounts[id]);
+  table.placements = seated.slice().sort((a, b) => order(a) - order(b));
+  table.advanced = table.placements.find(id => table.players.includes(id)) || null;
+  table.done = true;
+
+  if (tournament.format === 'swiss') {
+    // Points by place over the full table: last scores nothing
+    table.placements.forEach((id, i) => {
+      if (table.players.includes(id)) tournament.points[id] += seated.length - 1 - i;
+    });
+  }
+  return tables.every(t => t.done);
+}
+
+/**
+ * Close a table none of its entrants could sit at (all were seated elsewhere)
+ * Returns true once every table in the round is done
+ */
+function forfeitTable(tournament, table) {
+  table.placements = [];
+  table.advanced = null;
+  table.done = true;
+  return getCurrentTables(tournament).every(t => t.done);
+}
+
+/**
+ * Close a completed round; returns true if the tournament is over
+ */
+function finishRound(tournament) {
+  if (tournament.format === 'knockout') {
+    tournament.alive = getCurrentTables(tournament).map(t => t.advanced).filter(Boolean);
+    if (tournament.alive.length <= 1) tournament.champion = tournament.alive[0] || null;
+  } else if (tournament.round >= tournament.rounds) {
+    tournament.champion = getStandings(tournament)[0].id;
+  }
+  if (tournament.champion || (tournament.format === 'knockout' && tournament.alive.length === 0)) {
+    tournament.status = 'finished';
+  }
+  return tournament.status === 'finished';
+}
+
+/**
+ * What clients see
+ */
+function getSummary(tournament) {
+  return {
+    id: tournament.id,
+    name: tournament.name,
+    organizerId: tournament.organizerId,
+    format: tournament.format,
+    capacity: tournament.capacity,
+    tableSize: tournament.tableSize,
+    rounds: tournament.rounds,
+    botDifficulty: tournament.botDifficulty,
+    status: tournament.status,
+    entrants: tournament.entrants,
+    alive: tournament.alive,
+    standings: tournament.format === 'swiss' ? getStandings(tournament) : null,
+    round: tournament.round,
+    history: tournament.history,
+    champion: tournament.champion,
+    createdAt: tournament.createdAt
+  };
+}
+
+module.exports = {
+  createTournament,
+  addEntrant,
+  removeEntrant,
+  start,
+  getNextRoundTableCount,
+  planRound,
+  recordTable,
+  forfeitTable,
+  finishRound,
+  getSummary
+};
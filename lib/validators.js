@@ -51,6 +51,14 @@ function isValidMaxPlayers(n) {
   return Number.isInteger(num) && num >= config.MIN_PLAYERS && num <= config.MAX_PLAYERS;
 }
 
+/**
+ * Validate per-turn time limit (milliseconds)
+ */
+function isValidTurnDuration(ms) {
+  const num = Number(ms);
+  return Number.isInteger(num) && num >= config.MIN_TURN_DURATION && num <= config.MAX_TURN_DURATION;
+}
+
 /**
  * Validate difficulty level
  */
@@ -65,6 +73,92 @@ function isValidRank(rank) {
   return config.VALID_RANKS.includes(rank);
 }
 
+/**
+ * Validate a room rules object (all fields optional)
+ * Returns an error code, or null if valid
+ */
+function validateRoomRules(rules) {
+  if (rules === undefined || rules === null) return null;
+  if (typeof rules !== 'object' || Array.isArray(rules)) return 'invalid_rules';
+
+  const { decks, rankMode, maxCardsPerPlay, wrongCheckPenalty } = rules;
+  const deckCount = decks === undefined ? 1 : decks;
+
+  if (!Number.isInteger(deckCount) || deckCount < 1 || deckCount > config.MAX_DECKS) {
+    return 'invalid_deck_count';
+  }
+  if (rankMode !== undefined && !config.VALID_RANK_MODES.includes(rankMode)) {
+    return 'invalid_rank_mode';
+  }
+  // Can't play more copies of a rank than the decks contain
+  if (maxCardsPerPlay !== undefined &&
+      (!Number.isInteger(maxCardsPerPlay) || maxCardsPerPlay < 1 || maxCardsPerPlay > 4 * deckCount)) {
+    return 'invalid_max_cards';
+  }
+  if (wrongCheckPenalty !== undefined &&
+      (!Number.isInteger(wrongCheckPenalty) || wrongCheckPenalty < 0 || wrongCheckPenalty > config.MAX_WRONG_CHECK_PENALTY)) {
+    return 'invalid_check_penalty';
+  }
+  return null;
+}
+
+/**
+ * Validate a deal seed (letters, digits, underscores and hyphens)
+ */
+function isValidSeed(seed) {
+  if (typeof seed !== 'string') return false;
+  return seed.length >= 1 && seed.length <= config.MAX_SEED_LENGTH && /^[a-zA-Z0-9_-]+$/.test(seed);
+}
+
+/**
+ * Validate a best-of-N series length
+ */
+function isValidSeriesLength(length) {
+  return config.VALID_SERIES_LENGTHS.includes(length);
+}
+
+/**
+ * Validate create_tournament options (all but the name optional)
+ * Returns an error code, or null if valid
+ */
+function validateTournamentOptions(options) {
+  const { format, capacity, tableSize, rounds, botDifficulty } = options;
+  if (format !== undefined && !config.TOURNAMENT_FORMATS.includes(format)) {
+    return 'invalid_tournament_format';
+  }
+  if (capacity !== undefined &&
+      (!Number.isInteger(capacity) || capacity < config.MIN_TOURNAMENT_SIZE || capacity > config.MAX_TOURNAMENT_SIZE)) {
+    return 'invalid_tournament_size';
+  }
+  if (tableSize !== undefined && !(Number.isInteger(tableSize) && isValidMaxPlayers(tableSize))) {
+    return 'invalid_table_size';
+  }
+  if (rounds !== undefined &&
+      (!Number.isInteger(rounds) || rounds < 1 || rounds > config.MAX_TOURNAMENT_ROUNDS)) {
+    return 'invalid_rounds';
+  }
+  if (botDifficulty !== undefined && !isValidDifficulty(botDifficulty)) {
+    return 'invalid_difficulty';
+  }
+  return null;
+}
+
+/**
+ * Validate account username (3-20 letters, digits or underscores)
+ */
+function isValidUsername(username) {
+  return typeof username === 'string' && /^[a-zA-Z0-9_]{3,20}$/.test(username);
+}
+
+/**
+ * Validate account password length
+ */
+function isValidAccountPassword(password) {
+  return typeof password === 'string' &&
+    password.length >= config.MIN_ACCOUNT_PASSWORD_LENGTH &&
+    password.length <= config.MAX_ACCOUNT_PASSWORD_LENGTH;
+}
+
 /**
  * Validate and sanitize player object
  */
@@ -86,6 +180,13 @@ module.exports = {
   isValidId,
   isValidAvatar,
   isValidMaxPlayers,
+  isValidTurnDuration,
   isValidDifficulty,
-  isValidRank
+  isValidRank,
+  validateRoomRules,
+  isValidSeed,
+  isValidSeriesLength,
+  validateTournamentOptions,
+  isValidUsername,
+  isValidAccountPassword
 };
@@ -0,0 +1,186 @@
+// ============================================================
+// ADMIN CONSOLE
+// Thin client over the /admin/api endpoints (see lib/admin.js).
+// The secret is kept in sessionStorage for this tab only.
+// ============================================================
+
+let adminSecret = sessionStorage.getItem('cardArenaAdminSecret') || null;
+
+function esc(s){return String(s).replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;').replace(/"/g,'&quot;').replace(/'/g,'&#39;');}
+
+function setStatus(text,isError){
+  const el=document.getElementById('adminStatus');
+  el.textContent=text||'';
+  el.className='admin-status'+(isError?' error':'');
+}
+
+function api(method,path,body){
+  return fetch('/admin/api'+path,{
+    method,
+    headers:{'Authorization':'Bearer '+adminSecret,...(body?{'Content-Type':'application/json'}:{})},
+    body:body?JSON.stringify(body):undefined
+  }).then(res=>res.json().then(data=>{
+    if(res.status===401){ adminSignOut('Wrong admin secret'); throw new Error('unauthorized'); }
+    if(!res.ok)throw new Error(data.error||('HTTP '+res.status));
+    return data;
+  }));
+}
+
+// ============================================================
+// SIGN IN
+// ============================================================
+
+function adminSignIn(){
+  const secret=document.getElementById('adminSecret').value;
+  if(!secret)return;
+  adminSecret=secret;
+  api('GET','/overview').then(()=>{
+    sessionStorage.setItem('cardArenaAdminSecret',secret);
+    showConsole();
+  }).catch(e=>{
+    document.getElementById('adminLoginError').textContent=e.message==='admin_disabled'?'Admin API is disabled (ADMIN_SECRET not set)':e.message;
+  });
+}
+
+function adminSignOut(reason){
+  adminSecret=null;
+  sessionStorage.removeItem('cardArenaAdminSecret');
+  document.getElementById('adminConsole').style.display='none';
+  document.getElementById('adminLogin').style.display='block';
+  document.getElementById('adminLoginError').textContent=typeof reason==='string'?reason:'';
+}
+
+function showConsole(){
+  document.getElementById('adminLogin').style.display='none';
+  document.getElementById('adminConsole').style.display='block';
+  refreshAll();
+}
+
+// ============================================================
+// OVERVIEW, ROOMS & BANS
+// ============================================================
+
+function refreshAll(){
+  setStatus('');
+  Promise.all([loadOverview(),loadRooms(),loadBans(),loadReports()]).catch(e=>setStatus(e.message,true));
+}
+
+function loadOverview(){
+  return api('GET','/overview').then(o=>{
+    document.getElementById('adminOverview').innerHTML=[
+      ['Instance',esc(o.instanceId)],['Peers',o.peers.length],['Rooms',o.roomCount],['Clients',o.clientCount],['Sessions',o.sessionCount],['Heap',o.memory.heapUsed+' MB']
+    ].map(([label,value])=>`<span><strong>${value}</strong> ${label}</span>`).join('');
+  });
+}
+
+function loadRooms(){
+  return api('GET','/rooms').then(({rooms})=>{
+    const body=document.getElementById('adminRooms');
+    if(!rooms.length){ body.innerHTML='<tr><td colspan="5" class="admin-empty">No rooms</td></tr>'; return; }
+    body.innerHTML=rooms.map(r=>`<tr>
+      <td><a href="#" onclick="inspectRoom('${esc(r.id)}');return false">${esc(r.name)}</a><div class="admin-sub">${esc(r.id)} · ${esc(r.code)}${r.private?' · private':''}${r.ranked?' · ranked':''}</div></td>
+      <td><span class="badge badge-${esc(r.status)}">${esc(r.status)}</span></td>
+      <td>${r.players.length}/${r.maxPlayers}${r.spectatorCount?` · 👁 ${r.spectatorCount}`:''}</td>
+      <td class="admin-sub">${esc(r.instanceId)}</td>
+      <td class="admin-actions">
+        ${r.status==='playing'?`<button class="btn btn-secondary btn-sm" onclick="endGame('${esc(r.id)}')">End Game</button>`:''}
+        <button class="btn btn-danger btn-sm" onclick="closeRoom('${esc(r.id)}')">Close</button>
+      </td>
+    </tr>`).join('');
+  });
+}
+
+function inspectRoom(roomId){
+  api('GET','/rooms/'+encodeURIComponent(roomId)).then(room=>{
+    const el=document.getElementById('adminRoomDetail');
+    el.textContent=JSON.stringify(room,null,2);
+    el.style.display='block';
+  }).catch(e=>setStatus(e.message,true));
+}
+
+function endGame(roomId){
+  if(!confirm('End this game without a winner?'))return;
+  api('POST','/rooms/'+encodeURIComponent(roomId)+'/end').then(()=>{ setStatus('Game ended'); loadRooms(); }).catch(e=>setStatus(e.message,true));
+}
+
+function closeRoom(roomId){
+  if(!confirm('Close this room and send everyone back to the lobby?'))return;
+  api('POST','/rooms/'+encodeURIComponent(roomId)+'/close').then(()=>{ setStatus('Room closed'); loadRooms(); }).catch(e=>setStatus(e.message,true));
+}
+
+function loadBans(){
+  return api('GET','/bans').then(({bans})=>{
+    const body=document.getElementById('adminBans');
+    if(!bans.length){ body.innerHTML='<tr><td colspan="4" class="admin-empty">No bans</td></tr>'; return; }
+    body.innerHTML=bans.map(b=>`<tr>
+      <td>${b.kind==='ip'?'IP':'Player'} <strong>${esc(b.value)}</strong></td>
+      <td>${b.reason?esc(b.reason):'<span class="admin-sub">—</span>'}</td>
+      <td class="admin-sub">${new Date(b.createdAt).toLocaleString()}</td>
+      <td><button class="btn btn-secondary btn-sm" onclick="liftBan('${esc(b.kind)}','${esc(b.value)}')">Lift</button></td>
+    </tr>`).join('');
+  });
+}
+
+function liftBan(kind,value){
+  api('DELETE','/bans/'+kind+'/'+encodeURIComponent(value)).then(()=>{ setStatus('Ban lifted'); loadBans(); }).catch(e=>setStatus(e.message,true));
+}
+
+function loadReports(){
+  const status=document.getElementById('reportFilter').value;
+  return api('GET','/reports'+(status?'?status='+status:'')).then(({reports})=>{
+    const el=document.getElementById('adminReports');
+    if(!reports.length){ el.innerHTML='<div class="admin-empty">No reports</div>'; return; }
+    // Chat text and reasons were escaped by the server when they were sent
+    el.innerHTML=reports.map(r=>`<div class="admin-report">
+      <div class="admin-row" style="align-items:center">
+        <div style="flex:1"><strong>${esc(r.targetName||r.targetId)}</strong> <span class="admin-sub">${esc(r.targetId)} · reported by ${esc(r.reporterId)} · ${esc(r.roomId)} · ${new Date(r.createdAt).toLocaleString()}</span></div>
+        <button class="btn btn-secondary btn-sm" onclick="fillTarget('${esc(r.targetId)}')">Moderate</button>
+        ${r.status==='open'?`<button class="btn btn-gold btn-sm" onclick="resolveReport('${esc(r.id)}')">Resolve</button>`:'<span class="admin-sub">resolved</span>'}
+      </div>
+      ${r.reason?`<div>“${r.reason}”</div>`:''}
+      <div class="admin-chat">${r.chat.length?r.chat.map(m=>`<div${m.playerId===r.targetId?' class="target"':''}><span class="admin-sub">${new Date(m.at).toLocaleTimeString()}</span> <strong>${m.name}:</strong> ${m.text}</div>`).join(''):'<span class="admin-sub">No recent chat</span>'}</div>
+    </div>`).join('');
+  });
+}
+
+function resolveReport(reportId){
+  api('POST','/reports/'+encodeURIComponent(reportId)+'/resolve').then(()=>{ setStatus('Report resolved'); loadReports(); }).catch(e=>setStatus(e.message,true));
+}
+
+// ============================================================
+// MODERATION
+// ============================================================
+
+function fillTarget(playerId){
+  document.getElementById('targetKind').value='playerId';
+  document.getElementById('targetValue').value=playerId;
+  document.getElementById('targetValue').focus();
+}
+
+function getTarget(){
+  const value=document.getElementById('targetValue').value.trim();
+  if(!value){ setStatus('Enter a player id or IP',true); return null; }
+  return {[document.getElementById('targetKind').value]:value};
+}
+
+function kickTarget(){
+  const target=getTarget();
+  if(!target)return;
+  api('POST','/kick',target).then(r=>setStatus(`Kicked (${r.disconnected} connection${r.disconnected!==1?'s':''} here)`)).catch(e=>setStatus(e.message,true));
+}
+
+function banTarget(){
+  const target=getTarget();
+  if(!target)return;
+  const reason=document.getElementById('banReason').value.trim();
+  api('POST','/bans',{...target,reason}).then(()=>{ setStatus('Banned'); document.getElementById('banReason').value=''; loadBans(); loadRooms(); }).catch(e=>setStatus(e.message,true));
+}
+
+function sendNotice(){
+  const input=document.getElementById('noticeText');
+  const text=input.value.trim();
+  if(!text)return;
+  api('POST','/notice',{text}).then(()=>{ setStatus('Notice sent'); input.value=''; }).catch(e=>setStatus(e.message,true));
+}
+
+if(adminSecret)showConsole();
@@ -2,10 +2,15 @@
 // GLOBAL STATE
 // ============================================================
 const AVATARS = ['😎','🤠','🎭','🦊','🐱','🎩','🤡','🦁','🐸','🎪'];
+// Quick emotes; ids must match config.EMOTES on the server
+const EMOTES = {nice_bluff:'Nice bluff!',thinking:'🤔',liar:'Liar!',well_played:'Well played',oops:'😅',laugh:'😂',wow:'😮',gg:'GG'};
 const BOT_NAMES = ['Ace','Bluffmaster','CardShark','Dealer','Enigma','Falcon','Ghost','Hustle','Ironside','Joker','King','Lancer'];
 const HUMAN_NAMES = ['Ava','Liam','Mia','Noah','Ella','Leo','Zoe','Ethan','Ivy','Mason','Luna','Owen'];
 const SUITS = ['♠','♥','♦','♣'];
 const RANKS = ['A','2','3','4','5','6','7','8','9','10','J','Q','K'];
+// Mirrors lib/rules.js DEFAULT_RULES; offline games always use these
+const DEFAULT_RULES = {decks:1, rankMode:'locked', maxCardsPerPlay:4, wrongCheckPenalty:0};
+const RANK_MODE_LABELS = {locked:'Locked rank', sequential:'Sequential ranks', updown:'Up / down ranks'};
 const RED_SUITS = ['♥','♦'];
 const TIMER_DURATION = 30;
 
@@ -18,6 +23,12 @@ let rooms = {};
 let myRoomId = null;
 let myPlayerId = localStorage.getItem('cardArenaPlayerId') || ('p_' + Math.random().toString(36).slice(2,8));
 localStorage.setItem('cardArenaPlayerId', myPlayerId);
+let sessionToken = localStorage.getItem('cardArenaSessionToken');
+// profile: our registered account ({username, displayName, avatar, stats}), null for guests
+let profile = null;
+// isSpectator: watching myRoomId without a seat
+let isSpectator = false;
+let sessionReplaced = false; // another tab took over our session, or an admin removed us: don't reconnect
 let isHost = false;
 let isReady = false;
 
@@ -64,6 +75,9 @@ function saveSettings(){
   settings.sound=document.getElementById('toggleSound').classList.contains('on');
   settings.anim=document.getElementById('toggleAnim').classList.contains('on');
   settings.autoReady=document.getElementById('toggleAutoReady').classList.contains('on');
+  if(profile&&ws&&ws.readyState===1){
+    ws.send(JSON.stringify({type:'update_profile', payload:{name:settings.name, avatar:settings.avatar}}));
+  }
   toast('Settings saved!','green');
   setTimeout(()=>showScreen('homeScreen'),500);
 }
@@ -111,14 +125,16 @@ function connectToServer(){
   ws.onopen = ()=>{
     toast('Connected to server','green');
     showOfflineBanner(false);
-    ws.send(JSON.stringify({type:'identify', payload:{playerId:myPlayerId, name:settings.name}}));
+    identify();
     ws.send(JSON.stringify({type:'list_rooms'}));
   };
   ws.onmessage = (ev)=>{ try{ const msg=JSON.parse(ev.data); handleServerMessage(msg);}catch(e){} };
   ws.onclose = ()=>{
     toast('Disconnected from server — offline mode','gold');
     showOfflineBanner(true);
-    setTimeout(()=>connectToServer(),3000);
+    // The server drops us from the ranked queue when the socket closes
+    if(inRankedQueue){ inRankedQueue=false; renderRankedQueue(); }
+    if(!sessionReplaced)setTimeout(()=>connectToServer(),3000);
   };
   ws.onerror = ()=>{
     toast('WebSocket error','red');
@@ -127,16 +143,279 @@ function connectToServer(){
   };
 }
 
+// Identify with our player id; the signed token lets us resume our seat after a reconnect
+function identify(){
+  const payload={playerId:myPlayerId, name:settings.name};
+  if(sessionToken)payload.sessionToken=sessionToken;
+  ws.send(JSON.stringify({type:'identify', payload}));
+}
+
+// Start over with a fresh player id (our old id is held by someone else)
+function resetIdentity(){
+  myPlayerId='p_'+Math.random().toString(36).slice(2,8);
+  localStorage.setItem('cardArenaPlayerId', myPlayerId);
+  sessionToken=null;
+  localStorage.removeItem('cardArenaSessionToken');
+}
+
+// ============================================================
+// ACCOUNTS
+// ============================================================
+const ACCOUNT_ERRORS={
+  invalid_username:'Usernames are 3-20 letters, digits or _',
+  invalid_password:'Passwords need at least 8 characters',
+  username_taken:'That username is taken',
+  invalid_credentials:'Wrong username or password',
+  too_many_attempts:'Too many failed logins — try again later',
+  leave_room_first:'Leave your room first',
+  account_required:'Ranked play needs an account — register in Settings',
+  ranked_room:'Ranked tables are filled by matchmaking',
+  muted:'The host has muted you in this room',
+  chat_rate_limited:'Slow down — too many messages',
+  already_reported:'You already reported this player',
+  cannot_report_self:'You can\'t report yourself',
+  invalid_emote:'Unknown emote',
+  rematch_required:'Everyone has to accept the rematch first',
+  tournament_room:'Tournament tables are seated by the tournament',
+  tournament_not_found:'That tournament is gone',
+  tournament_started:'The tournament has already started',
+  tournament_full:'The tournament is full',
+  already_joined:'You\'re already in this tournament',
+  only_organizer_can_start:'Only the organizer can start the tournament',
+  tournament_forfeit:'You were seated at another table, so a bot took your tournament seat this round'
+};
+
+function accountRequest(type){
+  if(!ws||ws.readyState!==1)return toast('Accounts need a server connection','red');
+  const username=document.getElementById('accountUsername').value.trim();
+  const password=document.getElementById('accountPassword').value;
+  if(!username||!password)return toast('Enter a username and password','gold');
+  ws.send(JSON.stringify({type, payload:{username, password, name:settings.name, avatar:settings.avatar}}));
+  document.getElementById('accountPassword').value='';
+}
+function accountLogin(){accountRequest('login');}
+function accountRegister(){accountRequest('register');}
+
+// ============================================================
+// RANKED QUEUE
+// ============================================================
+let inRankedQueue=false;
+
+function toggleRankedQueue(){
+  if(!ws||ws.readyState!==1)return toast('Ranked play needs a server connection','red');
+  if(inRankedQueue){ ws.send(JSON.stringify({type:'leave_queue', payload:{}})); return; }
+  if(!profile)return toast(ACCOUNT_ERRORS.account_required,'gold');
+  ws.send(JSON.stringify({type:'queue_ranked', payload:{tableSize:+document.getElementById('rankedTableSize').value}}));
+}
+
+function renderRankedQueue(status){
+  const el=document.getElementById('rankedStatus');
+  el.style.display=inRankedQueue?'block':'none';
+  el.textContent=status||'';
+  document.getElementById('rankedQueueBtn').textContent=inRankedQueue?'✕ Leave Queue':'⚔️ Find Ranked Match';
+}
+
+// ============================================================
+// TOURNAMENTS
+// ============================================================
+let tournament=null; // the tournament on the bracket screen
+let tournamentsList=[];
+const TOURNAMENT_FORMATS={knockout:'Knockout',swiss:'Swiss'};
+
+function requestTournaments(){
+  if(ws&&ws.readyState===1)ws.send(JSON.stringify({type:'tournament_status', payload:{}}));
+}
+
+function createTournament(){
+  if(!ws||ws.readyState!==1)return toast('Tournaments need a server connection','red');
+  const format=document.getElementById('tournamentFormat').value;
+  const payload={
+    name:document.getElementById('tournamentName').value.trim()||settings.name+"'s Cup",
+    format,
+    capacity:+document.getElementById('tournamentCapacity').value,
+    tableSize:+document.getElementById('tournamentTableSize').value,
+    botDifficulty:document.getElementById('tournamentBotDiff').value
+  };
+  if(format==='swiss')payload.rounds=+document.getElementById('tournamentRounds').value;
+  ws.send(JSON.stringify({type:'create_tournament', payload}));
+}
+
+function tournamentAction(type,tournamentId){
+  if(!ws||ws.readyState!==1)return toast('Tournaments need a server connection','red');
+  ws.send(JSON.stringify({type, payload:{tournamentId}}));
+}
+
+function renderTournamentList(){
+  const list=document.getElementById('tournamentList');
+  document.getElementById('tournamentCountLabel').textContent=tournamentsList.length?tournamentsList.length+' tournament'+(tournamentsList.length>1?'s':''):'No tournaments yet';
+  list.innerHTML=tournamentsList.map(t=>`
+    <div class="room-item">
+      <div>
+        <div class="name">${esc(t.name)}</div>
+        <div class="info">${TOURNAMENT_FORMATS[t.format]} · ${t.entrantCount}/${t.capacity} players · tables of ${t.tableSize}${t.round?` · round ${t.round}`:''}</div>
+      </div>
+      <span class="badge badge-${t.status==='registering'?'waiting':t.status==='running'?'playing':'finished'}">${t.status}</span>
+      ${t.status==='registering'?`<button class="btn btn-secondary btn-sm" onclick="tournamentAction('join_tournament','${esc(t.id)}')">Join</button>`:''}
+      <button class="btn btn-secondary btn-sm" onclick="tournamentAction('tournament_status','${esc(t.id)}')">View</button>
+    </div>`).join('');
+}
+
+function showTournament(t){
+  tournament=t;
+  renderTournament();
+  showScreen('tournamentScreen');
+}
+
+function renderTournament(){
+  const t=tournament;
+  if(!t)return;
+  const joined=t.entrants.some(e=>e.id===myPlayerId);
+  const nameOf=id=>{ const e=t.entrants.find(e=>e.id===id); return e?esc(e.name):'?'; };
+  document.getElementById('tournamentTitle').textContent=t.name;
+  const status=t.status==='registering'?`registration open (${t.entrants.length}/${t.capacity})`
+    :t.status==='running'?`round ${t.round}${t.rounds?' of '+t.rounds:''}`
+    :t.champion?`🏆 ${nameOf(t.champion)} wins!`:'finished';
+  document.getElementById('tournamentInfo').innerHTML=`${TOURNAMENT_FORMATS[t.format]} · tables of ${t.tableSize} · ${esc(t.botDifficulty)} bots fill empty seats · <strong>${status}</strong>`;
+
+  const actions=[];
+  if(t.status==='registering'){
+    actions.push(joined
+      ?`<button class="btn btn-secondary btn-sm" onclick="tournamentAction('leave_tournament','${esc(t.id)}')">Leave</button>`
+      :`<button class="btn btn-primary btn-sm" onclick="tournamentAction('join_tournament','${esc(t.id)}')">Join</button>`);
+    if(t.organizerId===myPlayerId)actions.push(`<button class="btn btn-gold btn-sm" onclick="tournamentAction('start_tournament','${esc(t.id)}')">▶ Start Now</button>`);
+  }
+  document.getElementById('tournamentActions').innerHTML=actions.join('');
+
+  const el=document.getElementById('tournamentBracket');
+  if(t.status==='registering'){
+    el.innerHTML=`<div class="bracket-entrants">${t.entrants.map(e=>`<span class="bracket-entrant${e.id===myPlayerId?' me':''}">${AVATARS[e.avatar%AVATARS.length]} ${esc(e.name)}</span>`).join('')}</div>`;
+    return;
+  }
+  const standings=t.standings?`<table class="series-table bracket-standings">
+    <thead><tr><th>#</th><th>Player</th><th>Points</th></tr></thead>
+    <tbody>${t.standings.map((s,i)=>`<tr class="${s.id===t.champion?'series-winner':''}${s.id===myPlayerId?' me':''}"><td>${i+1}</td><td>${esc(s.name)}</td><td>${s.points}</td></tr>`).join('')}</tbody>
+  </table>`:'';
+  el.innerHTML=standings+`<div class="bracket-rounds">${t.history.map(r=>`
+    <div class="bracket-round">
+      <div class="form-label">Round ${r.round}</div>
+      ${r.tables.map(table=>{
+        // Finished tables list their seats in finishing order
+        const order=table.placements||table.seats.map(s=>s.id);
+        return `<div class="bracket-table${table.done?' done':''}">${order.map((id,i)=>{
+          const seat=table.seats.find(s=>s.id===id)||{name:id,isBot:false};
+          const cls=[id===table.advanced&&t.format==='knockout'?'advanced':'', id===myPlayerId?'me':''].join(' ');
+          return `<div class="bracket-seat ${cls}">${table.placements?`<span class="place">${i+1}</span>`:''}${esc(seat.name)}${seat.isBot?' 🤖':''}</div>`;
+        }).join('')}</div>`;
+      }).join('')}
+    </div>`).join('')}</div>`;
+}
+
+function accountLogout(){
+  if(myRoomId)return toast(ACCOUNT_ERRORS.leave_room_first,'gold');
+  profile=null;
+  resetIdentity();
+  renderAccount();
+  if(ws&&ws.readyState===1)identify();
+  toast('Logged out','teal');
+}
+
+// The account's player id, name and avatar replace our guest identity
+function applyProfile(p){
+  profile=p;
+  myPlayerId=p.playerId;
+  localStorage.setItem('cardArenaPlayerId', myPlayerId);
+  settings.name=p.displayName;
+  settings.avatar=p.avatar;
+  try{localStorage.setItem('cardArenaSettings',JSON.stringify(settings));}catch(e){}
+  document.getElementById('settingsName').value=settings.name;
+  selectAvatar(settings.avatar);
+  renderAccount();
+}
+
+function renderAccount(){
+  document.getElementById('accountGuest').style.display=profile?'none':'block';
+  document.getElementById('accountInfo').style.display=profile?'block':'none';
+  const home=document.getElementById('homeRating');
+  home.style.display=profile?'block':'none';
+  if(!profile)return;
+  home.innerHTML=`${esc(profile.displayName)} · ${profile.tier} · <strong>${profile.rating}</strong>`;
+  document.getElementById('accountName').textContent=profile.username;
+  const s=profile.stats;
+  document.getElementById('accountStats').innerHTML=[
+    ['Rating',profile.rating],['Games',s.gamesPlayed],['Wins',s.wins],['Bluffs Caught',s.bluffsCaught],['Wrong Checks',s.wrongChecks],['Cards Taken',s.cardsTaken]
+  ].map(([label,value])=>`<div class="account-stat"><div class="value">${value}</div><div class="label">${label}</div></div>`).join('');
+}
+
+function showServerNotice(text) {
+  const el = document.getElementById('serverNotice');
+  document.getElementById('serverNoticeText').textContent = text;
+  el.style.display = 'flex';
+}
+
 function showOfflineBanner(show) {
   const banner = document.getElementById('offlineBanner');
   if (banner) banner.style.display = show ? 'block' : 'none';
 }
 
 function handleServerMessage(msg){
+  // Every game event carries our private view; keep the turn timer in step with the server
+  if(msg.view && msg.roomId===myRoomId){ syncTurnClock(msg.view); if(G)G.revealedHands=msg.view.revealedHands||null; }
   switch(msg.type){
     case 'error':
+      // Expired/forged token: retry without it; id held elsewhere: take a new id
+      if(msg.error==='invalid_session_token'){
+        sessionToken=null; localStorage.removeItem('cardArenaSessionToken');
+        identify();
+        break;
+      }
+      if(msg.error==='session_token_required'||msg.error==='login_required'){ resetIdentity(); identify(); break; }
+      if(msg.error==='banned'){ sessionReplaced=true; toast('You are banned from this server','red'); break; }
+      if(ACCOUNT_ERRORS[msg.error]){ toast(ACCOUNT_ERRORS[msg.error],'red'); break; }
       toast(msg.error||'Server error','red');
       break;
+    case 'queue_joined':
+      inRankedQueue=true;
+      renderRankedQueue(`Searching for a ${msg.tableSize}-player table · ${msg.tier} ${msg.rating}`);
+      break;
+    case 'queue_left':
+      inRankedQueue=false;
+      renderRankedQueue();
+      break;
+    case 'tournaments_list':
+      tournamentsList=msg.tournaments||[];
+      renderTournamentList();
+      break;
+    case 'tournament_created':
+    case 'tournament_status':
+      showTournament(msg.tournament);
+      break;
+    case 'tournament_updated':
+      if(tournament&&tournament.id===msg.tournament.id){
+        const wasFinished=tournament.status==='finished';
+        tournament=msg.tournament;
+        renderTournament();
+        if(!wasFinished&&tournament.champion){ const c=tournament.entrants.find(e=>e.id===tournament.champion); toast(`🏆 ${c?c.name:'The champion'} wins ${tournament.name}!`,'gold'); }
+      } else if(msg.tournament.entrants.some(e=>e.id===myPlayerId)) tournament=msg.tournament;
+      break;
+    case 'match_found':
+      inRankedQueue=false;
+      renderRankedQueue();
+      toast('Ranked match found!','gold');
+      break;
+    case 'account':
+      // Registered, logged in, resumed, or stats updated after a game
+      if(!profile)toast(`Signed in as ${msg.profile.username}`,'green');
+      applyProfile(msg.profile);
+      break;
+    case 'session_created':
+      sessionToken=msg.sessionToken;
+      localStorage.setItem('cardArenaSessionToken', sessionToken);
+      addBotStrategies(msg.botStrategies);
+      break;
+    case 'session_replaced':
+      sessionReplaced=true;
+      toast('Session opened in another tab','gold');
+      break;
     case 'rooms_list':
       serverRooms = msg.rooms || {};
       rooms = Object.assign({}, serverRooms);
@@ -154,34 +433,130 @@ function handleServerMessage(msg){
       refreshRooms();
       break;
     case 'player_played':
-      // payload: {playerId, cardIds, claimedRank}
-      if(msg.roomId===myRoomId && msg.playerId){ applyPlay(msg.playerId, msg.cardIds, msg.claimedRank); }
+      // payload: {playerId, count, claimedRank, nextTurn, winner, view} — server outcome is authoritative
+      if(msg.roomId===myRoomId && msg.playerId){ applyPlay(msg.playerId, null, msg.claimedRank, msg); }
       break;
     case 'player_passed':
-      if(msg.roomId===myRoomId && msg.playerId){ const idx=G.players.findIndex(p=>p.id===msg.playerId); if(idx!==-1){ executePass(idx); } }
+      if(msg.roomId===myRoomId && msg.playerId && G){ const idx=G.players.findIndex(p=>p.id===msg.playerId); if(idx!==-1){ executePass(idx, msg); } }
       break;
     case 'player_checked':
-      if(msg.roomId===myRoomId && msg.playerId){ resolveCheck(msg.playerId); }
+      if(msg.roomId===myRoomId && msg.playerId){ resolveCheck(msg.playerId, msg); }
+      break;
+    case 'turn_expired':
+      if(msg.roomId===myRoomId && msg.playerId===myPlayerId)toast('Time is up!','gold');
+      break;
+    case 'game_over':
+      if(msg.roomId===myRoomId && G && msg.reason==='ended_by_admin'){ clearTurnTimer(); G=null; showWaitingRoom(myRoomId); toast('Game ended by an admin','gold'); break; }
+      if(msg.roomId===myRoomId && msg.series && rooms[myRoomId]) rooms[myRoomId].series=msg.series;
+      if(msg.roomId===myRoomId && G){ G.matchId=msg.matchId||null; G.series=msg.series||null; if(msg.fairness)verifyDeal(msg.fairness); if(!G.winner){ const idx=G.players.findIndex(p=>p.id===msg.winner); if(idx!==-1) endGame(idx); } }
       break;
     case 'joined_room':
       if(msg.room) rooms[msg.room.id]=msg.room;
       myRoomId=msg.room.id; isHost=(msg.room.host===myPlayerId);
+      replayChat(msg.chat);
       showWaitingRoom(msg.room.id);
       break;
     case 'left_room':
       // If server notifies we left, clear local state and go home
-      if(msg.playerId===myPlayerId){ myRoomId=null; isHost=false; isReady=false; showScreen('homeScreen'); toast('Left room','teal'); }
+      if(msg.playerId===myPlayerId){ myRoomId=null; isHost=false; isReady=false; isSpectator=false; showScreen('homeScreen'); toast('Left room','teal'); }
       else if(msg.room){ rooms[msg.room.id]=msg.room; renderSeats(); renderWaitPlayers(); }
       break;
     case 'chat':
       addWaitChat(msg.from||'', msg.text||'', 'action');
       break;
+    case 'emote':
+      if(msg.roomId===myRoomId)showEmote(msg.playerId, msg.emote);
+      break;
+    case 'player_muted':
+      if(msg.room) rooms[msg.room.id]=msg.room;
+      if(msg.room && msg.room.id===myRoomId){
+        const p=msg.room.players.find(p=>p.id===msg.playerId);
+        addWaitChat('', `${msg.playerId===myPlayerId?'You were':(p?p.name:'A player')+' was'} ${msg.muted?'muted':'unmuted'} by the host`, 'system');
+        renderWaitPlayers();
+      }
+      break;
+    case 'report_received':
+      toast('Report sent to the moderators','teal');
+      break;
     case 'start_game':
-      if(msg.roomId===myRoomId && msg.players) initGame(msg.players, msg.starterId, msg.hands);
+      if(msg.roomId===myRoomId && msg.players){
+        initGame(msg.players, msg.starterId, msg.view);
+        // Keep the commitment and what we were dealt, to check against the seed revealed at game_over
+        if(msg.commitment)G.fairness={commitment:msg.commitment,seats:msg.players.map(p=>p.id),decks:G.rules.decks,hand:isSpectator?[]:msg.view.hand.map(c=>c.id),status:null};
+        if(msg.seeded)announceSeeded();
+      }
+      break;
+    case 'rematch_requested':
+    case 'rematch_accepted':
+      if(msg.roomId===myRoomId && G){
+        G.rematch={accepted:msg.accepted, waitingFor:msg.waitingFor};
+        if(msg.type==='rematch_requested' && msg.playerId!==myPlayerId){ const p=G.players.find(p=>p.id===msg.playerId); toast(`${p?p.name:'A player'} wants a rematch`,'teal'); }
+        updateRematchStatus();
+      }
+      break;
+    case 'rematch_ready':
+      rooms[msg.room.id]=msg.room;
+      if(msg.room.id===myRoomId){
+        const overlay=document.getElementById('resultOverlay');
+        if(overlay)overlay.remove();
+        clearTurnTimer(); G=null; isReady=false;
+        isHost=(msg.room.host===myPlayerId);
+        showWaitingRoom(msg.room.id);
+        toast(isHost?'Rematch! Deal when everyone is ready':'Rematch! Waiting for the host to deal','gold');
+      }
+      break;
+    case 'server_notice':
+      showServerNotice(msg.text);
+      break;
+    case 'kicked':
+      // From a room by its host, or off the server by an admin
+      if(msg.reason){ sessionReplaced=true; toast(msg.reason==='banned'?'You are banned from this server':'Disconnected by an admin','red'); break; }
+      if(msg.roomId===myRoomId){ myRoomId=null; isHost=false; isReady=false; clearTurnTimer(); G=null; showScreen('homeScreen'); toast('You were kicked from the room','red'); }
+      break;
+    case 'room_closed':
+      if(msg.roomId===myRoomId){ myRoomId=null; isHost=false; isReady=false; isSpectator=false; clearTurnTimer(); G=null; showScreen('homeScreen'); toast('The room was closed by an admin','gold'); }
+      delete rooms[msg.roomId];
+      refreshRooms();
+      break;
+    case 'spectating':
+      rooms[msg.room.id]=msg.room;
+      myRoomId=msg.room.id; isHost=false; isReady=false; isSpectator=true;
+      replayChat(msg.chat);
+      if(msg.room.status!=='playing')showWaitingRoom(msg.room.id);
+      toast('Spectating '+msg.room.name,'teal');
+      break;
+    case 'game_state_restore':
+      // Back after a refresh or a dropped connection, or spectating mid-game: pick the table up from the server's view
+      if(msg.roomId===myRoomId){
+        replayChat(msg.chat);
+        restoreGame(msg.gameState, msg.commitment);
+        if(msg.seeded)announceSeeded();
+        if(!isSpectator)toast('Reconnected — back in the game','teal');
+      }
+      break;
+    case 'player_disconnected':
+      if(msg.room) rooms[msg.room.id]=msg.room;
+      if(msg.roomId===myRoomId||(msg.room&&msg.room.id===myRoomId)){
+        const p=G&&G.players.find(p=>p.id===msg.playerId);
+        if(p){ p.disconnectedUntil=Date.now()+(msg.gracePeriod||0); addLog(`${p.name} lost connection`,'system'); renderTablePlayers(); tickReconnectBadges(); }
+      }
+      break;
+    case 'player_reconnected':
+      if(msg.room) rooms[msg.room.id]=msg.room;
+      if(msg.room&&msg.room.id===myRoomId&&G){
+        const p=G.players.find(p=>p.id===msg.playerId);
+        if(p&&msg.playerId!==myPlayerId){ delete p.disconnectedUntil; addLog(`${p.name} reconnected`,'system'); renderTablePlayers(); }
+      }
+      break;
+    case 'player_timeout':
+    case 'player_left':
+      if(msg.roomId===myRoomId&&G)removeSeat(msg.playerId, msg.view, msg.reason||'timeout');
       break;
   }
 }
 
+renderEmoteBar();
+
 // Start websocket connection
 connectToServer();
 
@@ -191,11 +566,14 @@ function lobbyTab(tab,el){
   document.getElementById('lobbyBrowse').style.display=tab==='browse'?'block':'none';
   document.getElementById('lobbyCreate').style.display=tab==='create'?'block':'none';
   document.getElementById('lobbyJoin').style.display=tab==='join'?'block':'none';
+  document.getElementById('lobbyRanked').style.display=tab==='ranked'?'block':'none';
+  document.getElementById('lobbyTournaments').style.display=tab==='tournaments'?'block':'none';
+  if(tab==='tournaments')requestTournaments();
 }
 
 function refreshRooms(){
   const list=document.getElementById('roomList');
-  const waitingRooms=Object.values(rooms).filter(r=>!r.private&&r.status==='waiting'&&r.host!==myPlayerId);
+  const waitingRooms=Object.values(rooms).filter(r=>!r.private&&(r.status==='waiting'||r.status==='playing')&&r.host!==myPlayerId);
   document.getElementById('roomCountLabel').textContent=waitingRooms.length+' public rooms available';
   list.innerHTML='';
   if(!waitingRooms.length){list.innerHTML='<div style="color:var(--text3);text-align:center;padding:20px">No open rooms. Create one!</div>';return;}
@@ -205,10 +583,11 @@ function refreshRooms(){
     el.innerHTML=`
       <div>
         <div class="name">${esc(room.name)}</div>
-        <div class="info">${room.players.length}/${room.maxPlayers} players · ${room.bots.length} bots</div>
+        <div class="info">${room.players.length}/${room.maxPlayers} players · ${room.bots.length} bots${room.spectatorCount?` · 👁 ${room.spectatorCount}`:''}</div>
       </div>
       <span class="badge badge-${room.status}">${room.status}</span>
-      <button class="btn btn-secondary btn-sm" onclick="joinRoom('${room.id}',event)">Join</button>`;
+      ${room.status==='waiting'?`<button class="btn btn-secondary btn-sm" onclick="joinRoom('${room.id}',event)">Join</button>`:''}
+      <button class="btn btn-secondary btn-sm" onclick="spectateRoom('${room.id}',event)">Watch</button>`;
     list.appendChild(el);
   });
 }
@@ -219,9 +598,20 @@ function createRoom(){
   const botSlots=+document.getElementById('createBotSlots').value;
   const priv=document.getElementById('privToggle').classList.contains('on');
   const pwd=priv?document.getElementById('createRoomPwd').value:null;
+  const turnDuration=+document.getElementById('createTurnTime').value;
+  const rules={
+    decks:+document.getElementById('createDecks').value,
+    rankMode:document.getElementById('createRankMode').value,
+    maxCardsPerPlay:+document.getElementById('createMaxCards').value,
+    wrongCheckPenalty:+document.getElementById('createCheckPenalty').value
+  };
+  const seed=document.getElementById('createSeed').value.trim()||undefined;
+  if(seed&&!/^[a-zA-Z0-9_-]{1,64}$/.test(seed))return toast('Seed: letters, digits, _ or - only','red');
   // If connected to server, request room creation there
   if(ws && ws.readyState===1){
-    ws.send(JSON.stringify({type:'create_room', payload:{name, maxPlayers:maxP, botSlots, private:priv, password:pwd, ownerId:myPlayerId, ownerName:settings.name, avatar:settings.avatar}}));
+    const spectatorReveal=document.getElementById('spectatorRevealToggle').classList.contains('on');
+    const seriesLength=+document.getElementById('createSeries').value;
+    ws.send(JSON.stringify({type:'create_room', payload:{name, maxPlayers:maxP, botSlots, private:priv, password:pwd, turnDuration, rules, seed, spectatorReveal, seriesLength, ownerId:myPlayerId, ownerName:settings.name, avatar:settings.avatar}}));
     toast('Creating room on server...','teal');
     return;
   }
@@ -233,7 +623,7 @@ function createRoom(){
     id,code,name,host:myPlayerId,
     maxPlayers:maxP,
     players:[{id:myPlayerId,name:settings.name,avatar:settings.avatar,isBot:false,ready:settings.autoReady},...bots],
-    status:'waiting',private:priv,password:pwd,bots
+    status:'waiting',private:priv,password:pwd,bots,seed,seeded:!!seed
   };
   myRoomId=id; isHost=true; isReady=settings.autoReady;
   showWaitingRoom(id);
@@ -256,6 +646,12 @@ function joinRoom(roomId,evt){
   showWaitingRoom(roomId);
 }
 
+function spectateRoom(roomId,evt){
+  if(evt)evt.stopPropagation();
+  if(!ws||ws.readyState!==1)return toast('Spectating needs a server connection','red');
+  ws.send(JSON.stringify({type:'spectate_room', payload:{roomId}}));
+}
+
 function joinByCode(){
   const code=document.getElementById('joinCode').value.toUpperCase().trim();
   // If connected to server, ask server to join by code
@@ -282,8 +678,10 @@ function showWaitingRoom(roomId){
   const room=rooms[roomId];
   document.getElementById('waitRoomName').textContent=room.name;
   document.getElementById('waitRoomCode').textContent=room.code;
+  document.getElementById('waitRoomRules').textContent=rulesSummary(room.rules||DEFAULT_RULES)+(room.series?' · best of '+room.series.length:'')+(room.seeded?' · preset seed':'');
   document.getElementById('startGameBtn').style.display=isHost?'flex':'none';
   document.getElementById('hostControls').style.display=isHost?'flex':'none';
+  document.getElementById('readyBtn').style.display=isSpectator?'none':'';
   document.getElementById('readyBtn').textContent=isReady?'✓ Ready':'○ Not Ready';
   document.getElementById('readyBtn').className=isReady?'btn btn-gold':'btn btn-secondary';
   renderSeats();
@@ -335,15 +733,36 @@ function renderSeats(){
 function renderWaitPlayers(){
   const list=document.getElementById('waitPlayerList');
   const room=rooms[myRoomId];
+  renderWaitSeries(room);
   if(!room){list.innerHTML='';return;}
-  list.innerHTML=room.players.map(p=>`
+  const muted=room.muted||[];
+  list.innerHTML=room.players.map(p=>{
+    const other=!p.isBot&&p.id!==myPlayerId&&ws&&ws.readyState===1;
+    return `
     <div class="pl-item${p.id===room.host?' active':''}">
       <span class="emoji">${AVATARS[p.avatar%AVATARS.length]}</span>
       <div class="info">
-        <div class="pname">${esc(p.name)}${p.isBot?' 🤖':''}${p.id===room.host?' 👑':''}</div>
+        <div class="pname">${esc(p.name)}${p.isBot?' 🤖':''}${p.id===room.host?' 👑':''}${muted.includes(p.id)?' 🔇':''}</div>
         <div class="pcards">${p.ready?'✅ Ready':'⏳ Waiting'}</div>
       </div>
-    </div>`).join('');
+      ${other&&isHost?`<button class="btn btn-secondary btn-xs" onclick="mutePlayer('${p.id}',${!muted.includes(p.id)})">${muted.includes(p.id)?'Unmute':'Mute'}</button>`:''}
+      ${other?`<button class="btn btn-secondary btn-xs" title="Report" onclick="reportPlayer('${p.id}')">🚩</button>`:''}
+    </div>`;
+  }).join('');
+}
+
+function mutePlayer(pid,muted){
+  if(!ws||ws.readyState!==1||!myRoomId)return;
+  ws.send(JSON.stringify({type:'mute_player', payload:{roomId:myRoomId, playerId:pid, muted}}));
+}
+
+function reportPlayer(pid){
+  if(!ws||ws.readyState!==1||!myRoomId)return;
+  const room=rooms[myRoomId];
+  const p=room&&room.players.find(p=>p.id===pid);
+  const reason=prompt(`Report ${p?p.name:'this player'}? Recent chat is sent with the report.\nReason (optional):`);
+  if(reason===null)return;
+  ws.send(JSON.stringify({type:'report_player', payload:{roomId:myRoomId, playerId:pid, reason}}));
 }
 
 function toggleReady(){
@@ -359,6 +778,19 @@ function toggleReady(){
   }
 }
 
+// Strategies registered on the server (custom ones too) as bot choices
+function addBotStrategies(list){
+  (list||[]).forEach(st=>{
+    [['botDiffSelect',' Bot'],['tournamentBotDiff','']].forEach(([id,suffix])=>{
+      const sel=document.getElementById(id);
+      if(!sel||[...sel.options].some(o=>o.value===st.name))return;
+      const opt=document.createElement('option');
+      opt.value=st.name; opt.textContent=st.label+suffix;
+      sel.appendChild(opt);
+    });
+  });
+}
+
 function hostAddBot(){
   const room=rooms[myRoomId];
   if(!room||room.players.length>=room.maxPlayers)return toast('Room is full','red');
@@ -402,6 +834,13 @@ function addWaitChat(who,msg,type='action'){
     gdiv.scrollTop = gdiv.scrollHeight;
   }
 }
+// Replace both chat panes with the room's history from the server
+function replayChat(history){
+  if(!Array.isArray(history))return;
+  document.getElementById('waitChat').innerHTML='';
+  document.getElementById('gameChat').innerHTML='';
+  history.forEach(m=>addWaitChat(m.from||'', m.text||'', 'action'));
+}
 function sendWaitChat(){
   const inp=document.getElementById('waitChatInput');
   if(!inp.value.trim())return;
@@ -428,6 +867,33 @@ function sendGameChat(){
   inp.value='';
 }
 
+function sendEmote(emote){
+  if(ws && ws.readyState===1 && myRoomId) ws.send(JSON.stringify({type:'emote', payload:{roomId:myRoomId, emote}}));
+}
+
+// Float an emote above the sender's seat (or post it in chat outside a game)
+function renderEmoteBar(){
+  document.getElementById('emoteBar').innerHTML=Object.entries(EMOTES)
+    .map(([id,text])=>`<button onclick="sendEmote('${id}')">${esc(text)}</button>`).join('');
+}
+
+function showEmote(playerId,emote){
+  const text=EMOTES[emote];
+  if(!text)return;
+  const seat=G&&document.querySelector(`#tablePlayers .table-player[data-player-id="${CSS.escape(playerId)}"]`);
+  if(!seat){
+    const p=(rooms[myRoomId]?.players||[]).find(p=>p.id===playerId);
+    addWaitChat(p?p.name:'', text, 'action');
+    return;
+  }
+  const bubble=document.createElement('div');
+  bubble.className='emote-bubble';
+  bubble.textContent=text;
+  bubble.style.left=seat.style.left; bubble.style.top=seat.style.top;
+  document.getElementById('tableFelt').appendChild(bubble);
+  setTimeout(()=>bubble.remove(),2500);
+}
+
 function copyRoomCode(){
   const code=document.getElementById('waitRoomCode').textContent;
   navigator.clipboard.writeText(code).catch(()=>{});
@@ -447,7 +913,9 @@ function startGame(){
     toast('Requesting server to start game...','teal');
     return;
   }
-  initGame(room.players);
+  // A preset seed deals the first game only
+  initGame(room.players,null,null,room.seed);
+  room.seed=null;room.seeded=false;
 }
 
 function leaveRoom(){
@@ -455,7 +923,7 @@ function leaveRoom(){
   if(ws && ws.readyState===1 && myRoomId){
     // Optimistically update UI for quick feedback; server will confirm
     ws.send(JSON.stringify({type:'leave_room', payload:{roomId:myRoomId, playerId:myPlayerId}}));
-    myRoomId=null; isHost=false; isReady=false; showScreen('homeScreen');
+    myRoomId=null; isHost=false; isReady=false; isSpectator=false; showScreen('homeScreen');
     return;
   }
   if(room){room.players=room.players.filter(p=>p.id!==myPlayerId);} 
@@ -482,21 +950,82 @@ function startSinglePlayer(){
 // ============================================================
 // GAME ENGINE
 // ============================================================
-function buildDeck(){
+// Same order and ids as createDeck in lib/rules.js, so a revealed seed re-deals the server's game
+function buildDeck(decks=1){
   const deck=[];
-  for(const suit of SUITS)for(const rank of RANKS)deck.push({rank,suit,id:rank+suit});
+  for(let d=0;d<decks;d++)for(const suit of SUITS)for(const rank of RANKS)deck.push({rank,suit,id:rank+suit+(d>0?'#'+d:'')});
   return deck;
 }
-function shuffle(arr){
-  for(let i=arr.length-1;i>0;i--){const j=Math.floor(Math.random()*(i+1));[arr[i],arr[j]]=[arr[j],arr[i]];}
+function shuffle(arr,random=Math.random){
+  for(let i=arr.length-1;i>0;i--){const j=Math.floor(random()*(i+1));[arr[i],arr[j]]=[arr[j],arr[i]];}
   return arr;
 }
+
+// ---- Seeded RNG (same generator as lib/rng.js): offline deals and bots replay from G.rng.seed ----
+function createSeed(){return Array.from(crypto.getRandomValues(new Uint8Array(16)),b=>b.toString(16).padStart(2,'0')).join('');}
+function createRng(seed){
+  seed=String(seed);
+  let h1=1779033703,h2=3144134277,h3=1013904242,h4=2773480762;
+  for(let i=0;i<seed.length;i++){
+    const k=seed.charCodeAt(i);
+    h1=h2^Math.imul(h1^k,597399067);h2=h3^Math.imul(h2^k,2869860233);
+    h3=h4^Math.imul(h3^k,951274213);h4=h1^Math.imul(h4^k,2716044179);
+  }
+  h1=Math.imul(h3^(h1>>>18),597399067);h2=Math.imul(h4^(h2>>>22),2869860233);
+  h3=Math.imul(h1^(h3>>>17),951274213);h4=Math.imul(h2^(h4>>>19),2716044179);
+  h1^=(h2^h3^h4);h2^=h1;h3^=h1;h4^=h1;
+  return {seed,state:[h1>>>0,h2>>>0,h3>>>0,h4>>>0]};
+}
+function rngNext(rng){
+  const s=rng.state;
+  const t=(((s[0]+s[1])>>>0)+s[3])>>>0;
+  s[3]=(s[3]+1)>>>0;
+  s[0]=(s[1]^(s[1]>>>9))>>>0;
+  s[1]=(s[2]+(s[2]<<3))>>>0;
+  s[2]=(s[2]<<21)|(s[2]>>>11);
+  s[2]=(s[2]+t)>>>0;
+  return t/4294967296;
+}
 function dealCards(deck,n){
   const hands=Array.from({length:n},()=>[]);
   deck.forEach((c,i)=>hands[i%n].push(c));
   return hands;
 }
 function nextRank(r){return RANKS[(RANKS.indexOf(r)+1)%RANKS.length];}
+function prevRank(r){return RANKS[(RANKS.indexOf(r)+RANKS.length-1)%RANKS.length];}
+
+// Ranks the current player may claim (mirrors getAllowedRanks in lib/rules.js)
+// last: the claim being followed (defaults to the round's)
+function allowedRanks(last=G.roundRank){
+  if(last===null)return RANKS;
+  switch(G.rules.rankMode){
+    case 'sequential': return [nextRank(last)];
+    case 'updown': return [prevRank(last),last,nextRank(last)];
+    default: return [last];
+  }
+}
+
+// Scoreboard table for a best-of-N series summary from the server
+function seriesBoardHtml(series){
+  return `<table class="series-table">
+    <thead><tr><th>Player</th><th>Wins</th><th>Points</th></tr></thead>
+    <tbody>${series.standings.map(s=>`<tr class="${s.id===series.winner?'series-winner':''}${s.id===myPlayerId?' me':''}"><td>${esc(s.name)}</td><td>${s.wins}</td><td>${s.points}</td></tr>`).join('')}</tbody>
+  </table>`;
+}
+
+function renderWaitSeries(room){
+  const el=document.getElementById('waitSeries');
+  const series=room&&room.series;
+  if(!series||!series.gamesPlayed){ el.style.display='none'; return; }
+  el.style.display='block';
+  el.innerHTML=`<div class="series-head">Best of ${series.length} · game ${series.gamesPlayed+1} next · first to ${series.winsNeeded} wins</div>${seriesBoardHtml(series)}`;
+}
+
+function rulesSummary(rules){
+  const parts=[rules.decks+' deck'+(rules.decks>1?'s':''), RANK_MODE_LABELS[rules.rankMode]||rules.rankMode, 'max '+rules.maxCardsPerPlay+' per play'];
+  if(rules.wrongCheckPenalty>0)parts.push('wrong check +'+rules.wrongCheckPenalty);
+  return parts.join(' · ');
+}
 
 // Sort a hand array by rank (A,2,3...K) then by suit (♠♥♦♣)
 function sortHand(hand){
@@ -508,23 +1037,30 @@ function sortHand(hand){
   });
 }
 
-function initGame(players, starterId, handsMap){
-  // If server provided handsMap, use it (authoritative). Otherwise, build & deal locally.
-  let hands = null;
-  if(handsMap){
-    hands = players.map(p => (handsMap[p.id]||[]));
+function initGame(players, starterId, view, seed){
+  // If server provided our private view, use it (authoritative). Otherwise, build & deal locally.
+  let hands = null, counts = null, rng = null;
+  if(view){
+    hands = players.map(p => viewHand(view, p.id));
+    counts = players.map(p => view.handCounts[p.id]||0);
   } else {
-    const deck=shuffle(buildDeck());
+    rng=createRng(seed||createSeed());
+    const deck=shuffle(buildDeck(),()=>rngNext(rng));
     hands=dealCards(deck,players.length);
+    counts=hands.map(h=>h.length);
   }
   G = {
-    players: players.map((p,i)=>({...p,hand:sortHand(hands[i]),handCount:hands[i].length})),
+    players: players.map((p,i)=>({...p,hand:sortHand(hands[i]),handCount:counts[i]})),
     // pile: accumulated face-down plays this round [{playerId,cards,claimedRank,count}]
     pile: [],
     // pileCards: flat list of all cards in the pile (for count display)
     pileCards: [],
     currentPlayerIdx: 0,
-    // roundRank: the locked rank for the current round (null = round start, free choice)
+    // rules: room rule variants (see lib/rules.js)
+    rules: (view&&view.rules)||DEFAULT_RULES,
+    // rng: offline games' generator; its seed regenerates the deal (the server keeps its own)
+    rng,
+    // roundRank: the last claimed rank this round (null = round start, free choice)
     roundRank: null,
     // lastContributorIdx: index of last player who actually played cards this round
     lastContributorIdx: null,
@@ -538,8 +1074,12 @@ function initGame(players, starterId, handsMap){
     paused: false,
     winner: null,
     turnTimer: TIMER_DURATION,
+    // turnDuration/turnEndsAt: server-enforced deadline (seconds / local ms); null when offline
+    turnDuration: TIMER_DURATION,
+    turnEndsAt: null,
     timerInterval: null,
   };
+  if(view)syncTurnClock(view); else initBotMemory();
   // If server provided a starterId, set currentPlayerIdx accordingly
   if(starterId){
     const idx = players.findIndex(p=>p.id===starterId);
@@ -551,6 +1091,106 @@ function initGame(players, starterId, handsMap){
   startTurn();
 }
 
+// Hand known for a player in a server view: only our own is ever sent
+function viewHand(view, playerId){
+  return playerId===myPlayerId?(view.hand||[]):[];
+}
+
+// Rejoining or spectating mid-game: rebuild the table from the server's view
+// (view.players also lists seats held for disconnected players)
+function restoreGame(view, commitment){
+  const overlay=document.getElementById('resultOverlay');
+  if(overlay)overlay.remove();
+  clearTurnTimer();
+  const players=view.order.map(id=>view.players.find(p=>p.id===id)).filter(Boolean);
+  initGame(players, view.currentTurn, view);
+  const idxOf=id=>G.players.findIndex(p=>p.id===id);
+  G.roundRank=view.currentRank||null;
+  G.pileCards=new Array(view.pileCount||0).fill(null);
+  G.consecutivePasses=view.consecutivePasses||0;
+  G.lastContributorIdx=view.lastContributorId?idxOf(view.lastContributorId):null;
+  G.lastPlay=view.lastPlay?{...view.lastPlay, cards:[], playerIdx:idxOf(view.lastPlay.playerId)}:null;
+  G.revealedHands=view.revealedHands||null;
+  G.players.forEach(p=>{ if(p.disconnected)p.disconnectedUntil=Date.now()+p.reconnectRemaining; });
+  // Our opening hand isn't known any more, so at game_over only the seed's commitment is checked
+  if(commitment)G.fairness={commitment,seats:view.order.slice(),decks:G.rules.decks,hand:[],status:null};
+  renderGame();
+  tickReconnectBadges();
+}
+
+// The host preset this deal's seed, so they could know every hand: everyone at the table is told
+function announceSeeded(){
+  G.seeded=true;
+  addLog('This deal comes from a seed the host set — they could know every hand','system');
+  toast('Preset deal: the host set this game\'s seed','gold');
+}
+
+// A player who left, was kicked or didn't come back in time loses their seat; the server's view has the new order and turn
+const SEAT_REMOVED={timeout:'timed out and left the game',left:'left the game',kicked:'was kicked from the game'};
+function removeSeat(playerId, view, reason='timeout'){
+  const idx=G.players.findIndex(p=>p.id===playerId);
+  if(idx===-1)return;
+  const name=G.players[idx].name;
+  const turnWas=G.players[G.currentPlayerIdx]&&G.players[G.currentPlayerIdx].id;
+  G.players.splice(idx,1);
+  const idxOf=id=>G.players.findIndex(p=>p.id===id);
+  if(view){
+    G.currentPlayerIdx=Math.max(0,idxOf(view.currentTurn));
+    G.lastContributorIdx=view.lastContributorId?idxOf(view.lastContributorId):null;
+    G.consecutivePasses=view.consecutivePasses||0;
+    syncHands(view);
+    syncTurnClock(view);
+  } else if(G.currentPlayerIdx>=G.players.length){
+    G.currentPlayerIdx=0;
+  }
+  if(G.roundStarterIdx>idx)G.roundStarterIdx--;
+  if(G.roundStarterIdx>=G.players.length)G.roundStarterIdx=0;
+  // The server drops a removed seat's play from checking
+  if(view&&!view.lastPlay)G.lastPlay=null;
+  if(G.lastPlay)G.lastPlay.playerIdx=idxOf(G.lastPlay.playerId);
+  addLog(`${name} ${SEAT_REMOVED[reason]||SEAT_REMOVED.left}`,'system');
+  if(turnWas===playerId)startTurn(); else renderGame();
+}
+
+// "Waiting for X to reconnect" countdowns on held seats
+let reconnectTicker=null;
+function reconnectBadgeText(p){
+  return `⏳ ${Math.max(0,Math.ceil((p.disconnectedUntil-Date.now())/1000))}s`;
+}
+function tickReconnectBadges(){
+  if(reconnectTicker)return;
+  reconnectTicker=setInterval(()=>{
+    const waiting=G?G.players.filter(p=>p.disconnectedUntil):[];
+    waiting.forEach(p=>{
+      const el=document.querySelector(`.table-player[data-player-id="${CSS.escape(p.id)}"] .tp-reconnect`);
+      if(el)el.textContent=reconnectBadgeText(p);
+    });
+    if(!waiting.length){ clearInterval(reconnectTicker); reconnectTicker=null; }
+  },1000);
+}
+
+// Convert the server's remaining turn time into a local deadline
+function syncTurnClock(view){
+  if(!G||!view||view.turnRemaining===null||view.turnRemaining===undefined)return;
+  G.turnDuration=Math.round((view.turnDuration||TIMER_DURATION*1000)/1000);
+  G.turnEndsAt=Date.now()+view.turnRemaining;
+}
+
+// Seconds left on the current turn
+function turnSecondsLeft(){
+  if(G.turnEndsAt===null)return G.turnTimer;
+  return Math.max(0,Math.ceil((G.turnEndsAt-Date.now())/1000));
+}
+
+// Refresh hands and card counts from the server's private view
+function syncHands(view){
+  if(!G||!view)return;
+  G.players.forEach(p=>{
+    p.hand=sortHand(viewHand(view, p.id));
+    if(view.handCounts[p.id]!==undefined)p.handCount=view.handCounts[p.id];
+  });
+}
+
 function renderGame(){
   if(!G)return;
   renderTablePlayers();
@@ -580,7 +1220,9 @@ function renderTablePlayers(){
     const isMe=p.id===myPlayerId;
     const isActive=i===G.currentPlayerIdx;
     const div=document.createElement('div');
-    div.className='table-player';
+    div.className='table-player'+(p.disconnectedUntil?' disconnected':'');
+    div.dataset.playerId=p.id;
+    if(p.disconnectedUntil)div.title=`Waiting for ${p.name} to reconnect`;
     div.style.left=x+'px'; div.style.top=y+'px';
     div.innerHTML=`
       <div class="tp-avatar${isActive?' active-turn':''}${isMe?' me':''}">
@@ -588,6 +1230,7 @@ function renderTablePlayers(){
         <span class="card-count-badge">${p.handCount}</span>
       </div>
       <div class="tp-name">${esc(p.name)}${p.isBot?'🤖':''}</div>
+      ${p.disconnectedUntil?`<div class="tp-reconnect">${reconnectBadgeText(p)}</div>`:''}
       <div class="tp-cards">${[...Array(Math.min(p.handCount,8))].map(()=>'<div class="tp-card-back"></div>').join('')}</div>`;
     el.appendChild(div);
   });
@@ -595,23 +1238,29 @@ function renderTablePlayers(){
 
 function renderHand(){
   const me=G.players.find(p=>p.id===myPlayerId);
-  if(!me){document.getElementById('handCards').innerHTML='';return;}
+  // Only seated players can send emotes
+  document.getElementById('emoteBar').style.display=me?'':'none';
+  if(!me){
+    document.getElementById('handCards').innerHTML=isSpectator?'<div class="spectator-note">👁 Spectating</div>':'';
+    document.getElementById('handActions').style.display='none';
+    return;
+  }
   document.getElementById('myHandCount').textContent=me.hand.length;
   const isMyTurn=G.players[G.currentPlayerIdx].id===myPlayerId;
   document.getElementById('myTurnBadge').style.display=isMyTurn?'block':'none';
   // Show play actions only on my turn
   document.getElementById('handActions').style.display=(isMyTurn)?'flex':'none';
-  // Rank select: free choice at round start, locked otherwise
+  // Rank select: free choice at round start, otherwise whatever the rank mode allows
   const sel=document.getElementById('rankSelect');
-  const isRoundStart=(G.roundRank===null);
-  if(isRoundStart){
-    sel.innerHTML=RANKS.map(r=>`<option value="${r}">${r}</option>`).join('');
+  const ranks=allowedRanks();
+  if(ranks.length>1){
+    sel.innerHTML=ranks.map(r=>`<option value="${r}">${r}</option>`).join('');
     sel.disabled=false;
-    sel.title='Choose the rank for this round';
+    sel.title=G.roundRank===null?'Choose the rank for this round':'Choose the rank to claim';
   } else {
-    sel.innerHTML=`<option value="${G.roundRank}">${G.roundRank} (locked)</option>`;
+    sel.innerHTML=`<option value="${ranks[0]}">${ranks[0]} (${G.rules.rankMode==='sequential'?'next':'locked'})</option>`;
     sel.disabled=true;
-    sel.title='Rank is locked for this round';
+    sel.title=G.rules.rankMode==='sequential'?'You must claim the next rank':'Rank is locked for this round';
   }
   const hc=document.getElementById('handCards');
   hc.innerHTML='';
@@ -631,7 +1280,8 @@ function toggleCardSelect(el,cardId,isMyTurn){
   if(!isMyTurn)return;
   const selected=document.querySelectorAll('.card.selected');
   if(el.classList.contains('selected')){el.classList.remove('selected');return;}
-  if(selected.length>=4)return toast('Max 4 cards per play','gold');
+  const max=G.rules.maxCardsPerPlay;
+  if(selected.length>=max)return toast(`Max ${max} card${max>1?'s':''} per play`,'gold');
   el.classList.add('selected');
 }
 
@@ -660,7 +1310,8 @@ function renderGamePlayers(){
       <span class="emoji">${AVATARS[p.avatar%AVATARS.length]}</span>
       <div class="info">
         <div class="pname">${esc(p.name)}${p.isBot?'🤖':''}</div>
-        <div class="pcards">${p.handCount} cards${i===G.currentPlayerIdx?' · Playing...':''}</div>
+        <div class="pcards">${p.handCount} cards${p.disconnectedUntil?' · waiting to reconnect':i===G.currentPlayerIdx?' · Playing...':''}</div>
+        ${G.revealedHands&&G.revealedHands[p.id]?`<div class="replay-cards">${G.revealedHands[p.id].map(replayCard).join('')}</div>`:''}
       </div>
     </div>`).join('');
 }
@@ -684,7 +1335,7 @@ function updateRoundStrip(){
   if(G.roundRank){
     strip.style.display='block';
     const contrib=G.lastContributorIdx!==null?G.players[G.lastContributorIdx].name:'—';
-    strip.textContent=`Round rank: ${G.roundRank}  ·  Last to play: ${contrib}  ·  Passes in a row: ${G.consecutivePasses}`;
+    strip.textContent=`${G.rules.rankMode==='locked'?'Round rank':'Last claim'}: ${G.roundRank}  ·  Last to play: ${contrib}  ·  Passes in a row: ${G.consecutivePasses}`;
   } else {
     strip.style.display='block';
     strip.textContent='New round — choose any rank to start';
@@ -698,7 +1349,7 @@ function updateTurnInfo(){
   if(!G)return;
   const p=G.players[G.currentPlayerIdx];
   const isMe=p.id===myPlayerId;
-  const rankLabel=G.roundRank?`Locked: <strong style="color:var(--gold)">${G.roundRank}</strong>`:`<strong style="color:var(--teal)">Free choice</strong>`;
+  const rankLabel=G.roundRank?`${G.rules.rankMode==='locked'?'Locked':'Claim'}: <strong style="color:var(--gold)">${allowedRanks().join(' / ')}</strong>`:`<strong style="color:var(--teal)">Free choice</strong>`;
   document.getElementById('turnInfo').innerHTML=`
     <span>Rank: ${rankLabel}</span>
     <span class="whose-turn">${isMe?'Your turn':p.name+"'s turn"}</span>
@@ -706,7 +1357,7 @@ function updateTurnInfo(){
       <svg width="28" height="28" viewBox="0 0 28 28">
         <circle cx="14" cy="14" r="11" fill="none" stroke="rgba(255,255,255,0.1)" stroke-width="3"/>
         <circle id="timerCircle" cx="14" cy="14" r="11" fill="none" stroke="${isMe?'var(--gold)':'var(--teal2)'}" stroke-width="3"
-          stroke-dasharray="${2*Math.PI*11}" stroke-dashoffset="${2*Math.PI*11*(1-G.turnTimer/TIMER_DURATION)}"/>
+          stroke-dasharray="${2*Math.PI*11}" stroke-dashoffset="${2*Math.PI*11*(1-G.turnTimer/G.turnDuration)}"/>
       </svg>
       <div class="timer-text" id="timerText">${G.turnTimer}</div>
     </div>`;
@@ -728,19 +1379,20 @@ function updateTurnInfo(){
 function startTurn(){
   if(!G||G.winner)return;
   clearTurnTimer();
-  G.turnTimer=TIMER_DURATION;
+  G.turnTimer=G.turnEndsAt!==null?turnSecondsLeft():TIMER_DURATION;
   const p=G.players[G.currentPlayerIdx];
   renderGame();
   G.timerInterval=setInterval(()=>{
     if(!G||G.paused)return;
-    G.turnTimer--;
+    G.turnTimer=G.turnEndsAt!==null?turnSecondsLeft():G.turnTimer-1;
     const circle=document.getElementById('timerCircle');
     const text=document.getElementById('timerText');
-    if(circle)circle.style.strokeDashoffset=2*Math.PI*11*(1-G.turnTimer/TIMER_DURATION);
+    if(circle)circle.style.strokeDashoffset=2*Math.PI*11*(1-G.turnTimer/G.turnDuration);
     if(text)text.textContent=G.turnTimer;
     if(G.turnTimer<=0){clearTurnTimer();autoPlay();}
   },1000);
-  if(p.isBot){
+  // Online games run bots on the server; only drive them locally when offline
+  if(p.isBot && !(ws && ws.readyState===1 && myRoomId)){
     const delay=1000+Math.random()*2500;
     setTimeout(()=>{if(G&&!G.winner&&G.currentPlayerIdx===G.players.indexOf(p))botTakeTurn(G.currentPlayerIdx);},delay);
   }
@@ -752,6 +1404,8 @@ function clearTurnTimer(){
 
 function autoPlay(){
   // Auto-pass if timer expires and there's a pile; else play a card
+  // Online, the server enforces the deadline and acts for us
+  if(ws && ws.readyState===1 && myRoomId)return;
   const p=G.players[G.currentPlayerIdx];
   if(p.id!==myPlayerId)return;
   if(G.pileCards.length>0){
@@ -772,15 +1426,13 @@ function playCards(){
   if(p.id!==myPlayerId)return;
   const selected=[...document.querySelectorAll('.card.selected')].map(el=>el.dataset.id);
   if(selected.length===0)return toast('Select at least 1 card','gold');
-  const rank=G.roundRank||document.getElementById('rankSelect').value;
+  const rank=document.getElementById('rankSelect').value;
   executePlay(G.currentPlayerIdx, selected.map(id=>p.hand.find(c=>c.id===id)), rank);
 }
 
 function executePlay(idx, cards, claimedRank){
   if(!G)return;
   const p=G.players[idx];
-  // Lock the round rank on first play
-  if(G.roundRank===null) G.roundRank=claimedRank;
   // Send play to server (server will broadcast to room)
   const cardIds = cards.map(c=>c.id);
   if(ws && ws.readyState===1 && myRoomId){
@@ -794,32 +1446,51 @@ function executePlay(idx, cards, claimedRank){
 }
 
 // Apply a play (used when server broadcasts or offline mode)
-function applyPlay(playerId, cardIds, claimedRank){
+// outcome: server result {nextTurn, winner}; when present it decides turn order and wins
+function applyPlay(playerId, cardIds, claimedRank, outcome){
   if(!G)return;
   const idx = G.players.findIndex(p=>p.id===playerId);
   if(idx===-1) return;
   const p = G.players[idx];
-  // Lock the round rank on first play
-  if(G.roundRank===null) G.roundRank=claimedRank;
-  // Remove cards from hand
+  // The last claim sets the rank(s) the next player may claim
+  G.roundRank=claimedRank;
   const removed = [];
-  cardIds.forEach(id=>{
-    const card = p.hand.find(h=>h.id===id);
-    if(card){ p.hand = p.hand.filter(h=>h.id!==id); removed.push(card); }
-  });
-  p.handCount = p.hand.length;
-  // Add to pile
-  G.pileCards.push(...removed);
-  const entry={playerId: p.id, playerIdx: idx, cards: removed, claimedRank, count: removed.length};
+  let count;
+  if(outcome){
+    // Online: played cards stay face-down, so the pile only holds placeholders
+    count = outcome.count;
+    syncHands(outcome.view);
+    G.pileCards.push(...Array(count).fill(null));
+  } else {
+    // Remove cards from hand
+    cardIds.forEach(id=>{
+      const card = p.hand.find(h=>h.id===id);
+      if(card){ p.hand = p.hand.filter(h=>h.id!==id); removed.push(card); }
+    });
+    p.handCount = p.hand.length;
+    count = removed.length;
+    // Add to pile
+    G.pileCards.push(...removed);
+  }
+  const entry={playerId: p.id, playerIdx: idx, cards: removed, claimedRank, count};
   G.pile.push(entry);
   G.lastPlay = entry;
   G.lastContributorIdx = idx;
   G.consecutivePasses = 0;
-  addLog(`${p.name} played ${removed.length} card${removed.length>1?'s':''} claiming "${claimedRank}"`, 'action');
+  if(!outcome)botObserve({type:'play',playerId:p.id,claimedRank,count});
+  addLog(`${p.name} played ${count} card${count>1?'s':''} claiming "${claimedRank}"`, 'action');
 
   // Animate cards; then advance
-  animateCardsToFile(idx, removed.length, ()=>{
-    if(!G)return;
+  animateCardsToFile(idx, count, ()=>{
+    if(!G||G.winner)return;
+    if(outcome){
+      // Server announces the winner via game_over
+      if(outcome.winner)return;
+      G.currentPlayerIdx = G.players.findIndex(x=>x.id===outcome.nextTurn);
+      renderGame();
+      startTurn();
+      return;
+    }
     if(p.hand.length===0){ endGame(idx); return; }
     G.currentPlayerIdx = (idx+1)%G.players.length;
     renderGame();
@@ -827,40 +1498,46 @@ function applyPlay(playerId, cardIds, claimedRank){
   });
 }
 
-function resolveCheck(checkerId){
-  if(!G||!G.lastPlay)return;
-  const lp=G.lastPlay;
+// outcome: server result {checkedPlayerId, cards, claimedRank, wasLie, takerId, nextTurn}
+function resolveCheck(checkerId, outcome){
+  if(!G||(!G.lastPlay&&!outcome))return;
+  const lp=outcome?{playerId:outcome.checkedPlayerId,cards:outcome.cards,claimedRank:outcome.claimedRank}:G.lastPlay;
   const checkedPlayer=G.players.find(p=>p.id===lp.playerId);
   const checker=G.players.find(p=>p.id===checkerId);
-  const wasLie=lp.cards.some(c=>c.rank!==lp.claimedRank);
+  if(!checkedPlayer||!checker)return;
+  const wasLie=outcome?outcome.wasLie:lp.cards.some(c=>c.rank!==lp.claimedRank);
 
   addLog(`🔍 ${checker.name} checks ${checkedPlayer.name}'s last play!`,'action');
   const revealStr=lp.cards.map(c=>c.rank+c.suit).join(', ');
   addLog(`Revealed: ${revealStr} (claimed "${lp.claimedRank}")`, wasLie?'bluff-caught':'bluff-wrong');
 
+  const pileCount=outcome?outcome.pileCount:G.pileCards.length;
+  if(!outcome)botObserve({type:'check',checkerId,checkedPlayerId:lp.playerId,cards:lp.cards,claimedRank:lp.claimedRank,wasLie,takerId:wasLie?lp.playerId:checkerId});
   let takerIdx, newStarterIdx, msg, type;
   if(wasLie){
     takerIdx=G.players.indexOf(checkedPlayer);
     newStarterIdx=G.players.indexOf(checker);
-    msg=`🎯 CAUGHT! ${checkedPlayer.name} lied! They take ${G.pileCards.length} cards. ${checker.name} starts the new round.`;
+    msg=`🎯 CAUGHT! ${checkedPlayer.name} lied! They take ${pileCount} cards. ${checker.name} starts the new round.`;
     type='bluff-caught';
   } else {
     takerIdx=G.players.indexOf(checker);
     newStarterIdx=G.players.indexOf(checkedPlayer);
-    msg=`❌ Honest! ${checkedPlayer.name} told the truth! ${checker.name} takes ${G.pileCards.length} cards. ${checkedPlayer.name} starts the new round.`;
+    msg=`❌ Honest! ${checkedPlayer.name} told the truth! ${checker.name} takes ${pileCount} cards. ${checkedPlayer.name} starts the new round.`;
     type='bluff-wrong';
   }
   addLog(msg,type);
 
-  const pileCount=G.pileCards.length;
-
   // Show reveal animation first
   showRevealAnimation(lp.cards, lp.claimedRank, wasLie, checker.name, checkedPlayer.name, ()=>{
     if(!G)return;
     // Give pile to taker
-    G.players[takerIdx].hand.push(...G.pileCards);
-    G.players[takerIdx].hand=sortHand(G.players[takerIdx].hand);
-    G.players[takerIdx].handCount=G.players[takerIdx].hand.length;
+    if(outcome){
+      syncHands(outcome.view);
+    } else {
+      G.players[takerIdx].hand.push(...G.pileCards);
+      G.players[takerIdx].hand=sortHand(G.players[takerIdx].hand);
+      G.players[takerIdx].handCount=G.players[takerIdx].hand.length;
+    }
 
     // Animate penalty cards flying to taker
     animatePenaltyCards(takerIdx, pileCount, ()=>{
@@ -1031,7 +1708,8 @@ function callPass(){
   executePass(myIdx);
 }
 
-function executePass(idx){
+// outcome: server result {pileDiscarded, nextTurn}; when present it replaces the local all-pass check
+function executePass(idx, outcome){
   if(!G)return;
   const p=G.players[idx];
   G.consecutivePasses++;
@@ -1041,11 +1719,14 @@ function executePass(idx){
   // the player passing right now is the last contributor (they chose to pass too).
   // This means every player including the last contributor has passed once.
   const n=G.players.length;
-  if(G.consecutivePasses>=n && G.lastContributorIdx!==null){
-    const contributorIdx=G.lastContributorIdx; // capture before reset
+  const allPassed=outcome?outcome.pileDiscarded:(G.consecutivePasses>=n && G.lastContributorIdx!==null);
+  if(allPassed){
+    // capture before reset
+    const contributorIdx=outcome?G.players.findIndex(x=>x.id===outcome.nextTurn):G.lastContributorIdx;
     const contributor=G.players[contributorIdx];
     addLog(`All players passed! Pile of ${G.pileCards.length} cards discarded. ${contributor.name} starts the new round.`,'system');
     toast(`Pile discarded — ${contributor.name} starts new round`,'gold');
+    if(!outcome)botObserve({type:'discard'});
     // Reset round
     G.pileCards=[];
     G.pile=[];
@@ -1061,7 +1742,7 @@ function executePass(idx){
   }
 
   // Advance turn
-  G.currentPlayerIdx=(idx+1)%G.players.length;
+  G.currentPlayerIdx=outcome?G.players.findIndex(x=>x.id===outcome.nextTurn):(idx+1)%n;
   renderGame();
   startTurn();
 }
@@ -1091,15 +1772,24 @@ function showResultOverlay(winner){
   overlay.className='result-overlay';
   overlay.id='resultOverlay';
   const isMe=winner.id===myPlayerId;
+  // Ranked and tournament tables don't rematch, and spectators have no seat to keep
+  const room=rooms[myRoomId];
+  const canReplay=!isSpectator&&!(room&&(room.ranked||room.tournamentId));
   overlay.innerHTML=`
     <div class="result-box">
       <div style="font-size:4rem;margin-bottom:12px">${isMe?'🏆':'🎯'}</div>
       <h2>${isMe?'You Win!':winner.name+' Wins!'}</h2>
       <div class="subtitle">${isMe?'Excellent bluffing skills!':'Better luck next time!'}</div>
+      ${G.series?seriesResultHtml(G.series):''}
       <div style="display:flex;gap:12px;justify-content:center;flex-wrap:wrap">
-        <button class="btn btn-primary" onclick="restartGame()">▶ Play Again</button>
-        <button class="btn btn-secondary" onclick="showScreen('homeScreen')">← Home</button>
+        ${canReplay?'<button class="btn btn-primary" id="rematchBtn" onclick="restartGame()">▶ Play Again</button>':''}
+        ${room&&room.tournamentId?`<button class="btn btn-gold" onclick="tournamentAction('tournament_status','${esc(room.tournamentId)}')">🏆 Bracket</button>`:''}
+        ${G.matchId?`<button class="btn btn-secondary" onclick="openReplay('${G.matchId}')">🎬 Watch Replay</button>`:''}
+        <button class="btn btn-secondary" onclick="leaveResult()">← Home</button>
       </div>
+      <div class="rematch-status" id="rematchStatus"></div>
+      ${G.rng?`<div style="font-size:0.75rem;color:var(--text2);margin-top:8px">Deal seed: <code>${esc(G.rng.seed)}</code></div>`:''}
+      ${G.fairness?`<div id="fairnessStatus" style="font-size:0.75rem;color:var(--text2);margin-top:8px">${fairnessHtml()}</div>`:''}
     </div>`;
   // Confetti
   for(let i=0;i<50;i++){
@@ -1111,15 +1801,84 @@ function showResultOverlay(winner){
   main.appendChild(overlay);
 }
 
+// ---- Provably fair dealing: the server commits to sha256('<seed>:<salt>') in start_game and reveals both at game_over ----
+async function verifyDeal(reveal){
+  const f=G&&G.fairness;
+  if(!f)return;
+  f.seed=reveal.seed;
+  try{
+    const digest=await crypto.subtle.digest('SHA-256',new TextEncoder().encode(reveal.seed+':'+reveal.salt));
+    let ok=Array.from(new Uint8Array(digest),b=>b.toString(16).padStart(2,'0')).join('')===f.commitment;
+    // Re-deal from the seed and compare with the hand we were given
+    if(ok&&f.hand.length){
+      const rng=createRng(reveal.seed);
+      const mine=shuffle(buildDeck(f.decks),()=>rngNext(rng)).filter((c,i)=>f.seats[i%f.seats.length]===myPlayerId).map(c=>c.id);
+      ok=mine.length===f.hand.length&&mine.every(id=>f.hand.includes(id));
+    }
+    // A seed the host chose can match its commitment and still be rigged, so it's never shown as verified
+    f.status=!ok?'mismatch':(reveal.seeded||G.seeded)?'preset':'verified';
+  }catch(e){
+    f.status='unverifiable'; // crypto.subtle needs https or localhost
+  }
+  const el=document.getElementById('fairnessStatus');
+  if(el)el.innerHTML=fairnessHtml();
+  if(f.status==='mismatch')toast('The revealed deal does not match the server\'s commitment!','red');
+}
+
+function fairnessHtml(){
+  const f=G&&G.fairness;
+  if(!f||!f.status)return 'Checking the deal…';
+  const seed=`<code>${esc(f.seed)}</code>`;
+  if(f.status==='verified')return `<span style="color:var(--green)">✔ Fair deal verified</span> · seed ${seed}`;
+  if(f.status==='preset')return `<span style="color:var(--gold)">Preset deal: the host chose the seed, so it can't be verified as fair</span> · seed ${seed}`;
+  if(f.status==='mismatch')return `<span style="color:var(--red)">✖ The deal does not match the commitment</span> · seed ${seed}`;
+  return `Seed ${seed} (this browser can't check the commitment)`;
+}
+
+function seriesResultHtml(series){
+  const winner=series.winner&&series.standings.find(s=>s.id===series.winner);
+  const head=winner
+    ?`🏆 ${winner.id===myPlayerId?'You win':esc(winner.name)+' wins'} the best of ${series.length}!`
+    :`Game ${series.gamesPlayed} of best of ${series.length} · first to ${series.winsNeeded} wins`;
+  return `<div class="series-board"><div class="series-head">${head}</div>${seriesBoardHtml(series)}</div>`;
+}
+
 function restartGame(){
+  // Online, the room has to agree: ask for (or accept) a rematch on the server
+  if(ws && ws.readyState===1 && myRoomId){
+    const type=G.rematch?'accept_rematch':'request_rematch';
+    ws.send(JSON.stringify({type, payload:{roomId:myRoomId}}));
+    return;
+  }
   const overlay=document.getElementById('resultOverlay');
   if(overlay)overlay.remove();
   const players=G.players;
   initGame(players);
 }
 
+function updateRematchStatus(){
+  const el=document.getElementById('rematchStatus');
+  if(!el||!G||!G.rematch)return;
+  const name=id=>{ const p=G.players.find(p=>p.id===id); return p?esc(p.name):'?'; };
+  const accepted=G.rematch.accepted.includes(myPlayerId);
+  const btn=document.getElementById('rematchBtn');
+  if(btn){
+    btn.textContent=accepted?'✓ Rematch Accepted':'✓ Accept Rematch';
+    btn.disabled=accepted;
+  }
+  el.innerHTML=`Rematch: ${G.rematch.accepted.map(name).join(', ')} in` +
+    (G.rematch.waitingFor.length?` · waiting for ${G.rematch.waitingFor.map(name).join(', ')}`:'');
+}
+
+// Leaving from the results screen gives up the seat, so a rematch isn't left waiting
+function leaveResult(){
+  if(ws && ws.readyState===1 && myRoomId){ G=null; leaveRoom(); return; }
+  showScreen('homeScreen');
+}
+
 function confirmLeaveGame(){
   clearTurnTimer();
+  if(isSpectator){ G=null; leaveRoom(); return; }
   if(G&&!G.winner&&confirm('Leave game? Progress will be lost.')){
     G=null;
     showScreen('homeScreen');
@@ -1128,140 +1887,94 @@ function confirmLeaveGame(){
 
 // ============================================================
 // BOT AI
+// Offline bots use the strategy interface of lib/bots.js, and BOT_STRATEGIES
+// holds the built-ins from lib/strategies: decide(view, memory) returns a play, pass or check
+// from a frozen view of what the bot may see; optional createMemory() and
+// observe(memory, event, botId) keep notes across the game.
 // ============================================================
+function copyFrozen(v){
+  if(v===null||typeof v!=='object')return v;
+  const copy=Array.isArray(v)?v.map(copyFrozen):{};
+  if(!Array.isArray(v))Object.keys(v).forEach(k=>{copy[k]=copyFrozen(v[k]);});
+  return Object.freeze(copy);
+}
+
+// What a bot may see (same shape as getBotView in lib/bots.js)
+function botView(bot){
+  const handCounts={};
+  G.players.forEach(p=>{if(p.id!==bot.id)handCounts[p.id]=p.handCount;});
+  const mem=G.botMemory&&G.botMemory[bot.id];
+  return copyFrozen({
+    playerId:bot.id,
+    order:G.players.map(p=>p.id),
+    hand:bot.hand,
+    handCounts,
+    roundRank:G.roundRank,
+    allowedRanks:allowedRanks(),
+    maxCards:G.rules.maxCardsPerPlay,
+    rankCount:4*G.rules.decks,
+    deckSize:52*G.rules.decks,
+    wrongCheckPenalty:G.rules.wrongCheckPenalty,
+    ownPile:G.pile.filter(e=>e.playerId===bot.id).flatMap(e=>e.cards),
+    claims:G.pile.map(e=>({playerId:e.playerId,claimedRank:e.claimedRank,count:e.count})),
+    lastPlay:G.lastPlay?{playerId:G.lastPlay.playerId,claimedRank:G.lastPlay.claimedRank,count:G.lastPlay.count}:null,
+    lastPlayRanks:allowedRanks(G.pile.length>1?G.pile[G.pile.length-2].claimedRank:null),
+    revealed:mem?mem.revealed:[],
+    random:G.rng?()=>rngNext(G.rng):Math.random
+  });
+}
+
 function botTakeTurn(idx){
   if(!G||G.winner||G.currentPlayerIdx!==idx)return;
   const p=G.players[idx];
   if(!p.isBot)return;
-  const diff=p.diff||'medium';
+  const strategy=BOT_STRATEGIES[p.diff]||BOT_STRATEGIES.medium;
+  if(!G.botMemory)initBotMemory();
+  const mem=G.botMemory[p.id]||(G.botMemory[p.id]={revealed:[],notes:strategy.createMemory?strategy.createMemory():null});
+  const action=strategy.decide(botView(p),mem.notes);
 
-  // ---- ROUND START: no pile yet, must play ----
-  if(G.pileCards.length===0||G.roundRank===null){
-    botPlayCards(p,diff,idx,true);
-    return;
-  }
-
-  // ---- MID-ROUND: decide check / pass / play ----
-  const canCheck=G.lastPlay&&G.lastPlay.playerId!==p.id;
-
-  if(canCheck&&botDecideCheck(p,diff)){
-    clearTurnTimer();
+  clearTurnTimer();
+  if(action.type==='check'){
     addLog(`${p.name} calls CHECK on ${G.players[G.lastPlay.playerIdx].name}!`,'action');
     setTimeout(()=>resolveCheck(p.id),700);
-    return;
-  }
-
-  // Decide: play cards or pass
-  const requiredRank=G.roundRank;
-  const matching=p.hand.filter(c=>c.rank===requiredRank);
-  const shouldPlay=botDecidePlay(p,diff,matching);
-
-  if(shouldPlay){
-    botPlayCards(p,diff,idx,false);
+  } else if(action.type==='play'){
+    executePlay(idx,p.hand.filter(c=>action.cardIds.includes(c.id)),action.claimedRank);
   } else {
-    clearTurnTimer();
     setTimeout(()=>executePass(idx),500);
   }
 }
 
-function botDecideCheck(bot,diff){
-  if(!G.lastPlay)return false;
-  const lp=G.lastPlay;
-  // Count how many of this rank are accounted for (in bot's hand + already seen)
-  const inHand=bot.hand.filter(c=>c.rank===lp.claimedRank).length;
-  // Total claimed across the pile for this rank
-  const totalClaimed=G.pile.filter(e=>e.claimedRank===lp.claimedRank).reduce((a,e)=>a+e.count,0);
-  const impossible=totalClaimed+inHand>4;
-  switch(diff){
-    case 'easy':  return Math.random()<0.08;
-    case 'medium':{
-      if(impossible)return true;
-      if(lp.count>=3&&Math.random()<0.35)return true;
-      return Math.random()<0.12;
-    }
-    case 'hard':{
-      if(impossible)return true;
-      // How many of this rank could realistically still exist?
-      const remaining=4-inHand-(totalClaimed-lp.count);
-      if(remaining<lp.count&&Math.random()<0.8)return true;
-      if(lp.count>=3&&Math.random()<0.5)return true;
-      return Math.random()<0.07;
-    }
-    default: return false;
-  }
-}
-
-function botDecidePlay(bot,diff,matching){
-  // If no cards left, must pass
-  if(bot.hand.length===0)return false;
-  switch(diff){
-    case 'easy':
-      // Easy bots only play if they have the real card, else pass
-      return matching.length>0;
-    case 'medium':
-      // Play 70% of the time regardless
-      return Math.random()<0.70;
-    case 'hard':
-      // Play if it helps get rid of cards, or bluff strategically
-      if(matching.length>0)return true; // always play honest cards
-      // Bluff if hand is large
-      return bot.hand.length>6?Math.random()<0.6:Math.random()<0.3;
-    default: return matching.length>0;
-  }
+// ---- Memory: every bot's view of the checks, plus its strategy's notes ----
+function initBotMemory(){
+  G.botMemory={};
+  G.players.filter(p=>p.isBot).forEach(p=>{
+    const strategy=BOT_STRATEGIES[p.diff]||BOT_STRATEGIES.medium;
+    G.botMemory[p.id]={revealed:[],notes:strategy.createMemory?strategy.createMemory():null};
+  });
 }
 
-function botPlayCards(bot,diff,idx,isRoundStart){
-  const requiredRank=isRoundStart?null:G.roundRank;
-  let chosenRank, cardsToPlay;
-
-  if(isRoundStart){
-    // Choose a rank we have the most of
-    const rankGroups={};
-    bot.hand.forEach(c=>{rankGroups[c.rank]=rankGroups[c.rank]||[];rankGroups[c.rank].push(c);});
-    const best=Object.values(rankGroups).sort((a,b)=>b.length-a.length)[0]||[bot.hand[0]];
-    chosenRank=best[0].rank;
-    const count=Math.min(best.length,1+Math.floor(Math.random()*(diff==='hard'?3:2)));
-    cardsToPlay=best.slice(0,count);
-  } else {
-    chosenRank=requiredRank;
-    const matching=bot.hand.filter(c=>c.rank===requiredRank);
-    switch(diff){
-      case 'easy':{
-        cardsToPlay=matching.length>0?[matching[0]]:[bot.hand[0]];
-        // Easy always claims the correct rank even if lying card-wise
-        break;
+// event: {type:'play',playerId,claimedRank,count} | {type:'discard'} | {type:'check',checkerId,checkedPlayerId,cards,claimedRank,wasLie,takerId}
+// Called before the round is reset, so G.pile still holds its plays
+function botObserve(event){
+  if(!G||!G.botMemory)return;
+  Object.entries(G.botMemory).forEach(([botId,mem])=>{
+    let seen=event;
+    if(event.type!=='play'){
+      const ownCards=G.pile.filter(e=>e.playerId===botId).flatMap(e=>e.cards);
+      seen={...event,count:G.pileCards.length,ownCards};
+      if(event.type==='check'){
+        seen.pile=event.takerId===botId?G.pile.map(e=>({playerId:e.playerId,claimedRank:e.claimedRank,cards:e.cards})):null;
+        mem.revealed.push(seen);
       }
-      case 'medium':{
-        const shouldBluff=matching.length===0||(Math.random()<0.25&&bot.hand.length>7);
-        if(!shouldBluff&&matching.length){
-          cardsToPlay=matching.slice(0,Math.min(matching.length,1+Math.floor(Math.random()*2)));
-        } else {
-          const non=bot.hand.filter(c=>c.rank!==requiredRank);
-          cardsToPlay=(non.length?non:bot.hand).slice(0,1+Math.floor(Math.random()*2));
-        }
-        break;
-      }
-      case 'hard':{
-        if(matching.length>=2){
-          cardsToPlay=matching.slice(0,Math.min(matching.length,2+Math.floor(Math.random()*2)));
-        } else if(matching.length===1&&Math.random()<0.85){
-          cardsToPlay=[matching[0]];
-        } else {
-          const rankGroups={};
-          bot.hand.forEach(c=>{rankGroups[c.rank]=rankGroups[c.rank]||[];rankGroups[c.rank].push(c);});
-          const best=Object.values(rankGroups).sort((a,b)=>b.length-a.length)[0]||bot.hand;
-          cardsToPlay=best.slice(0,Math.min(best.length,1+Math.floor(Math.random()*2)));
-        }
-        break;
-      }
-      default: cardsToPlay=matching.length?[matching[0]]:[bot.hand[0]];
     }
-  }
-  if(!cardsToPlay||!cardsToPlay.length)cardsToPlay=[bot.hand[0]];
-  clearTurnTimer();
-  executePlay(idx,cardsToPlay,chosenRank);
+    const strategy=BOT_STRATEGIES[G.players.find(p=>p.id===botId).diff]||BOT_STRATEGIES.medium;
+    if(strategy.observe)strategy.observe(mem.notes,copyFrozen(seen),botId);
+  });
 }
 
+// ---- The built-in strategies: lib/strategies, served as /strategies.js ----
+const BOT_STRATEGIES=window.CardArenaBots.strategies;
+
 // ============================================================
 // TOAST
 // ============================================================
@@ -1273,6 +1986,99 @@ function toast(msg,type='teal'){
   setTimeout(()=>el.remove(),2500);
 }
 
+// ============================================================
+// REPLAY VIEWER
+// Steps through a finished match log from GET /matches/:id, all hands revealed
+// ============================================================
+let replay=null; // {match, pos, timer, returnTo}
+
+// HTTP endpoint on the same server as the WebSocket
+function httpUrl(path){return WS_URL.replace(/^ws/,'http').replace(/\/$/,'')+path;}
+
+function openReplay(matchId){
+  fetch(httpUrl('/matches/'+encodeURIComponent(matchId)))
+    .then(r=>r.ok?r.json():Promise.reject(r.status))
+    .then(match=>{
+      const active=document.querySelector('.screen.active');
+      replay={match,pos:0,timer:null,returnTo:active&&active.id!=='replayScreen'?active.id:'homeScreen'};
+      document.getElementById('replayTitle').textContent=`Replay — ${match.roomName||'Match'}`;
+      showScreen('replayScreen');
+      renderReplay();
+    })
+    .catch(()=>toast('Replay not available','red'));
+}
+
+function closeReplay(){
+  stopReplayAuto();
+  const back=replay?replay.returnTo:'homeScreen';
+  replay=null;
+  if(location.hash.startsWith('#replay='))history.replaceState(null,'',location.pathname);
+  showScreen(back);
+}
+
+// Card ids are rank+suit, with '#n' appended for extra decks
+function replayCard(id){
+  const base=id.split('#')[0];
+  const suit=base.slice(-1);
+  return `<span class="replay-card ${RED_SUITS.includes(suit)?'red':'black'}">${esc(base.slice(0,-1))}${suit}</span>`;
+}
+
+function describeReplayEvent(ev){
+  const name=id=>{const p=replay.match.players.find(p=>p.id===id);return p?esc(p.name):'?';};
+  switch(ev.type){
+    case 'deal': return `Cards dealt — ${name(ev.starterId)} starts`;
+    case 'play':{
+      const honest=ev.cards.every(id=>id.split('#')[0].slice(0,-1)===ev.claimedRank);
+      return `${name(ev.playerId)} played ${ev.cards.length} claiming "${esc(ev.claimedRank)}": ${ev.cards.map(replayCard).join(' ')} <strong style="color:${honest?'var(--green)':'var(--red)'}">${honest?'honest':'bluff'}</strong>`;
+    }
+    case 'pass': return `${name(ev.playerId)} passed${ev.pileDiscarded?' — everyone passed, pile discarded':''}`;
+    case 'check': return `${name(ev.playerId)} checked ${name(ev.checkedPlayerId)}: ${ev.cards.map(replayCard).join(' ')} — ${ev.wasLie?'<strong style="color:var(--red)">a lie</strong>':'<strong style="color:var(--green)">honest</strong>'}, ${name(ev.takerId)} takes the pile${ev.penaltyCards?` (+${ev.penaltyCards} penalty)`:''}`;
+    case 'turn_expired': return `${name(ev.playerId)} ran out of time`;
+    case 'player_removed': return `${name(ev.playerId)} left the game`;
+    case 'game_over': return `🏆 ${name(ev.winner)} wins the game!`;
+    default: return esc(ev.type);
+  }
+}
+
+function renderReplay(){
+  if(!replay)return;
+  const events=replay.match.events;
+  const ev=events[replay.pos];
+  document.getElementById('replayPos').textContent=`${replay.pos+1} / ${events.length}`+(replay.match.seed?` · seed ${replay.match.seed}`:'');
+  document.getElementById('replayEvent').innerHTML=`${describeReplayEvent(ev)}<div style="font-size:0.75rem;color:var(--text2);margin-top:4px">Pile: ${ev.pileCount} card${ev.pileCount!==1?'s':''}</div>`;
+  document.getElementById('replaySeats').innerHTML=replay.match.players.filter(p=>ev.hands[p.id]).map(p=>{
+    const hand=sortHand(ev.hands[p.id].map(id=>({id,rank:id.split('#')[0].slice(0,-1),suit:id.split('#')[0].slice(-1)})));
+    return `<div class="replay-seat${ev.currentTurn===p.id?' active':''}">
+      <div class="name">${AVATARS[p.avatar%AVATARS.length]||'🤖'} ${esc(p.name)}<div style="font-size:0.7rem;color:var(--text2);font-weight:400">${hand.length} card${hand.length!==1?'s':''}</div></div>
+      <div class="replay-cards">${hand.map(c=>replayCard(c.id)).join('')}</div>
+    </div>`;
+  }).join('');
+}
+
+function replayStep(delta){
+  if(!replay)return;
+  const last=replay.match.events.length-1;
+  replay.pos=Math.max(0,Math.min(last,replay.pos+delta));
+  if(replay.pos===last)stopReplayAuto();
+  renderReplay();
+}
+
+function toggleReplayAuto(){
+  if(!replay)return;
+  if(replay.timer)return stopReplayAuto();
+  if(replay.pos===replay.match.events.length-1)replay.pos=0;
+  replay.timer=setInterval(()=>replayStep(1),1200);
+  document.getElementById('replayAutoBtn').textContent='⏸ Pause';
+}
+
+function stopReplayAuto(){
+  if(replay&&replay.timer){clearInterval(replay.timer);replay.timer=null;}
+  document.getElementById('replayAutoBtn').textContent='▶ Auto';
+}
+
+// Shared replay links: index.html#replay=<matchId>
+if(location.hash.startsWith('#replay='))openReplay(decodeURIComponent(location.hash.slice(8)));
+
 // ============================================================
 // UTILS
 // ============================================================
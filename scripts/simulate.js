@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+/**
+ * Headless bot-vs-bot simulation
+ *
+ *   node scripts/simulate.js --bots expert,hard,medium,easy --games 5000 --seed 42 --format csv
+ *
+ * Options:
+ *   --bots        strategy per seat, comma-separated (default: expert,hard)
+ *   --games       games to play (default: 1000)
+ *   --seed        base seed; game i is dealt from '<seed>-<i>' (default: random, echoed in the report)
+ *   --decks, --rank-mode, --max-cards, --penalty   room rules (default: the game's defaults)
+ *   --max-turns   turns before a game counts as unfinished (default: 2000)
+ *   --format      json | csv (default: json)
+ */
+
+const config = require('../lib/config');
+const rng = require('../lib/rng');
+const validators = require('../lib/validators');
+const simulator = require('../lib/simulator');
+
+const USAGE = 'Usage: node scripts/simulate.js [--bots a,b,...] [--games N] [--seed S] [--decks N] ' +
+  '[--rank-mode mode] [--max-cards N] [--penalty N] [--max-turns N] [--format json|csv]';
+
+function fail(message) {
+  console.error(message);
+  console.error(USAGE);
+  process.exit(1);
+}
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const match = /^--([a-z-]+)(?:=(.*))?$/.exec(argv[i]);
+    if (!match) fail('Unexpected argument: ' + argv[i]);
+    if (match[1] === 'help') {
+      console.log(USAGE);
+      process.exit(0);
+    }
+    args[match[1]] = match[2] !== undefined ? match[2] : argv[++i];
+    if (args[match[1]] === undefined) fail('Missing value for --' + match[1]);
+  }
+  return args;
+}
+
+function toInt(args, name, fallback) {
+  if (args[name] === undefined) return fallback;
+  const n = Number(args[name]);
+  if (!Number.isInteger(n)) fail('--' + name + ' must be a whole number');
+  return n;
+}
+
+const args = parseArgs(process.argv.slice(2));
+
+const lineup = (args.bots || 'expert,hard').split(',').map(s => s.trim()).filter(Boolean);
+const unknown = lineup.filter(name => !config.BOT_STRATEGIES[name]);
+if (unknown.length) fail('Unknown bot strategy: ' + unknown.join(', ') + ' (registered: ' + config.VALID_DIFFICULTIES.join(', ') + ')');
+if (lineup.length < config.MIN_PLAYERS || lineup.length > config.MAX_PLAYERS) {
+  fail('--bots needs ' + config.MIN_PLAYERS + '-' + config.MAX_PLAYERS + ' seats');
+}
+
+const ruleOptions = {
+  decks: toInt(args, 'decks', undefined),
+  rankMode: args['rank-mode'],
+  maxCardsPerPlay: toInt(args, 'max-cards', undefined),
+  wrongCheckPenalty: toInt(args, 'penalty', undefined)
+};
+const rulesError = validators.validateRoomRules(ruleOptions);
+if (rulesError) fail('Invalid rules: ' + rulesError);
+
+const games = toInt(args, 'games', 1000);
+if (games < 1) fail('--games must be at least 1');
+const maxTurns = toInt(args, 'max-turns', simulator.DEFAULT_MAX_TURNS);
+if (maxTurns < 1) fail('--max-turns must be at least 1');
+const seed = args.seed === undefined ? rng.createSeed() : args.seed;
+if (!validators.isValidSeed(seed)) fail('--seed must be 1-' + config.MAX_SEED_LENGTH + ' letters, digits, _ or -');
+const format = args.format || 'json';
+if (format !== 'json' && format !== 'csv') fail('--format must be json or csv');
+
+const report = simulator.simulate({ lineup, games, seed, rules: ruleOptions, maxTurns });
+process.stdout.write(format === 'csv' ? simulator.toCsv(report) : JSON.stringify(report, null, 2) + '\n');
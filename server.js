@@ -5,6 +5,12 @@ const path = require('path');
 const gameHandler = require('./lib/game-handler');
 const logger = require('./lib/logger');
 const maintenance = require('./lib/maintenance');
+const persistence = require('./lib/persistence');
+const cluster = require('./lib/cluster');
+const admin = require('./lib/admin');
+const matchLog = require('./lib/match-log');
+const browserStrategies = require('./lib/browser-strategies');
+const { isValidId } = require('./lib/validators');
 
 const PORT = process.env.PORT || 3000;
 const CONTEXT = 'Server';
@@ -16,25 +22,43 @@ app.get('/', (req, res) => {
   res.redirect('/index.html');
 });
 
+// The built-in bot strategies, for offline games in the browser
+app.get('/strategies.js', (req, res) => {
+  res.type('application/javascript').send(browserStrategies.getScript());
+});
+
 app.use(express.static(path.join(__dirname, 'public')));
 
 // Health check endpoint
 app.get('/health', (req, res) => {
-  res.json({ status: 'ok', uptime: process.uptime() });
+  res.json({ status: 'ok', uptime: process.uptime(), instanceId: cluster.getInstanceId() });
 });
 
-// Stats endpoint (monitoring)
+// Stats endpoint (monitoring) - counts only; sessions are on the admin API
 app.get('/stats', (req, res) => {
   const stats = maintenance.getStats(gameHandler);
   res.json(stats);
 });
 
-// Debug endpoint (internal use only)
-app.get('/debug/cleanup', (req, res) => {
-  const stats = maintenance.cleanupNow(gameHandler);
-  res.json({ message: 'Cleanup triggered', stats });
+// Finished match log, with every hand revealed (used by the replay viewer)
+app.get('/matches/:id', (req, res) => {
+  const match = isValidId(req.params.id) ? matchLog.getMatch(req.params.id) : null;
+  if (!match) {
+    res.status(404).json({ error: 'match_not_found' });
+    return;
+  }
+  res.json(match);
 });
 
+// Admin API (requires ADMIN_SECRET); the page itself is public/admin.html
+app.use('/admin/api', admin.createAdminRouter(gameHandler));
+
+// Restore rooms and games saved before the last shutdown/crash
+persistence.init();
+gameHandler.restoreRooms(persistence.loadRooms(s => cluster.ownsRoom(s.room)));
+gameHandler.restoreTournaments(persistence.loadTournaments(t => cluster.ownsRoom(t)));
+cluster.init();
+
 const server = http.createServer(app);
 const wss = new WebSocket.Server({ server });
 
@@ -42,11 +66,13 @@ server.listen(PORT, () => {
   logger.info(CONTEXT, 'CardArena server started', { port: PORT, type: 'static + WebSocket' });
   gameHandler.startHeartbeat();
   maintenance.startMaintenance(gameHandler);
+  persistence.startSnapshots(gameHandler);
+  cluster.start(gameHandler);
 });
 
 // WebSocket connection handling using shared game-handler
-wss.on('connection', (ws) => {
-  gameHandler.handleConnection(ws);
+wss.on('connection', (ws, req) => {
+  gameHandler.handleConnection(ws, admin.getClientIp(req));
 
   ws.on('message', (raw) => {
     let msg;
@@ -72,6 +98,8 @@ process.on('SIGINT', () => {
   logger.info(CONTEXT, 'Shutting down server');
   maintenance.stopMaintenance();
   gameHandler.stopHeartbeat();
+  cluster.stop();
+  persistence.stop(gameHandler);
   server.close(() => {
     logger.info(CONTEXT, 'Server closed');
     process.exit(0);
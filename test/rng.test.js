@@ -0,0 +1,59 @@
+/**
+ * Seeded dealing tests (node --test)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const rng = require('../lib/rng');
+const rules = require('../lib/rules');
+
+const PLAYERS = [{ id: 'a' }, { id: 'b' }, { id: 'c' }];
+
+function deal(seed) {
+  const gameRng = rng.createRng(seed);
+  return rules.dealCards(rules.shuffleDeck(rules.createDeck(), rng.randomFor(gameRng)), PLAYERS);
+}
+
+const ids = hands => Object.values(hands).map(hand => hand.map(c => c.id));
+
+test('the same seed deals the same hands', () => {
+  assert.deepStrictEqual(ids(deal('replay-42')), ids(deal('replay-42')));
+});
+
+test('different seeds deal different hands', () => {
+  assert.notDeepStrictEqual(ids(deal('replay-42')), ids(deal('replay-43')));
+});
+
+test('a deal hands out the whole deck once, round the table', () => {
+  const hands = deal(rng.createSeed());
+  const all = Object.values(hands).flat().map(c => c.id);
+  assert.strictEqual(all.length, 52);
+  assert.strictEqual(new Set(all).size, 52);
+  assert.deepStrictEqual(Object.values(hands).map(hand => hand.length), [18, 17, 17]);
+});
+
+test('the generator carries on from where a snapshot left it', () => {
+  const gameRng = rng.createRng('snapshot');
+  rng.next(gameRng);
+  const restored = JSON.parse(JSON.stringify(gameRng));
+  assert.strictEqual(rng.next(restored), rng.next(gameRng));
+});
+
+test('wrong-check penalties draw from the game\'s generator', () => {
+  const penalised = () => {
+    const hands = deal('penalty');
+    const state = rules.createGameState(PLAYERS, hands, 'a', { wrongCheckPenalty: 3 }, rng.createRng('penalty'));
+    const honest = state.hands.a.find(c => c.rank === state.hands.a[0].rank);
+    rules.playCards(state, 'a', [honest.id], honest.rank);
+    rules.check(state, 'b');
+    return state.hands.b.map(c => c.id);
+  };
+  assert.deepStrictEqual(penalised(), penalised());
+});
+
+test('a commitment matches its seed and salt only', () => {
+  const { salt, commitment } = rng.commitSeed('42');
+  assert.strictEqual(rng.commitSeed('42', salt).commitment, commitment);
+  assert.notStrictEqual(rng.commitSeed('43', salt).commitment, commitment);
+  assert.notStrictEqual(rng.commitSeed('42').commitment, commitment);
+});
@@ -0,0 +1,199 @@
+/**
+ * Rules engine tests (node --test)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const rules = require('../lib/rules');
+
+/**
+ * A game with fixed hands: hands is { playerId: ['A♠', ...] }, seated in key order
+ */
+function makeState(hands, ruleOverrides = {}) {
+  const cards = {};
+  Object.keys(hands).forEach(id => {
+    cards[id] = hands[id].map(cardId => ({ id: cardId, rank: cardId.slice(0, -1), suit: cardId.slice(-1) }));
+  });
+  const players = Object.keys(hands).map(id => ({ id }));
+  return rules.createGameState(players, cards, players[0].id, ruleOverrides);
+}
+
+// ============================================================
+// PLAY, PASS AND CHECK
+// ============================================================
+
+test('a play moves the turn on and records the claim', () => {
+  const state = makeState({ a: ['2♠', '3♠'], b: ['4♠', '5♠'] });
+  const played = rules.playCards(state, 'a', ['2♠'], '2');
+  assert.strictEqual(played.nextTurn, 'b');
+  assert.strictEqual(state.currentRank, '2');
+  assert.strictEqual(state.lastContributorId, 'a');
+  assert.strictEqual(rules.getPileCount(state), 1);
+});
+
+test('playing the last card wins', () => {
+  const state = makeState({ a: ['2♠'], b: ['4♠'] });
+  const played = rules.playCards(state, 'a', ['2♠'], '2');
+  assert.strictEqual(played.winner, 'a');
+  assert.strictEqual(rules.validatePass(state, 'b'), 'game_over');
+});
+
+test('once everyone has passed, the pile is discarded and the last contributor starts', () => {
+  const state = makeState({ a: ['2♠', '3♠'], b: ['4♠', '5♠'], c: ['6♠', '7♠'] });
+  rules.playCards(state, 'a', ['2♠'], '2');
+  assert.strictEqual(rules.pass(state, 'b').pileDiscarded, false);
+  assert.strictEqual(rules.pass(state, 'c').pileDiscarded, false);
+  const passed = rules.pass(state, 'a');
+  assert.strictEqual(passed.pileDiscarded, true);
+  assert.strictEqual(passed.nextTurn, 'a');
+  assert.strictEqual(state.pile.length, 0);
+});
+
+test('a caught lie gives the pile to the liar and the turn to the checker', () => {
+  const state = makeState({ a: ['2♠', '3♠'], b: ['4♠', '5♠'] });
+  rules.playCards(state, 'a', ['2♠'], '9');
+  const checked = rules.check(state, 'b');
+  assert.strictEqual(checked.wasLie, true);
+  assert.strictEqual(checked.takerId, 'a');
+  assert.strictEqual(checked.nextTurn, 'b');
+  assert.strictEqual(state.hands.a.length, 2);
+});
+
+test('a wrong check gives the pile to the checker and the turn to the honest player', () => {
+  const state = makeState({ a: ['2♠', '3♠'], b: ['4♠', '5♠'] });
+  rules.playCards(state, 'a', ['2♠'], '2');
+  const checked = rules.check(state, 'b');
+  assert.strictEqual(checked.wasLie, false);
+  assert.strictEqual(checked.takerId, 'b');
+  assert.strictEqual(checked.nextTurn, 'a');
+  assert.strictEqual(state.hands.b.length, 3);
+});
+
+test('validation refuses moves out of turn, passes on an empty pile and checks of your own play', () => {
+  const state = makeState({ a: ['2♠', '3♠'], b: ['4♠', '5♠'] });
+  assert.strictEqual(rules.validatePlay(state, 'b', ['4♠'], '4'), 'not_your_turn');
+  assert.strictEqual(rules.validatePlay(state, 'a', ['4♠'], '4'), 'card_not_in_hand');
+  assert.strictEqual(rules.validatePass(state, 'a'), 'pile_empty');
+  assert.strictEqual(rules.validateCheck(state, 'a'), 'nothing_to_check');
+  rules.playCards(state, 'a', ['2♠'], '2');
+  rules.pass(state, 'b');
+  assert.strictEqual(rules.validateCheck(state, 'a'), 'cannot_check_own_play');
+});
+
+// ============================================================
+// SEAT REMOVAL
+// ============================================================
+
+test('removing the player holding the turn passes it on', () => {
+  const state = makeState({ a: ['2♠', '3♠'], b: ['4♠', '5♠'], c: ['6♠', '7♠'] });
+  rules.removePlayer(state, 'a');
+  assert.deepStrictEqual(state.order, ['b', 'c']);
+  assert.strictEqual(state.currentTurn, 'b');
+  assert.strictEqual(state.hands.a, undefined);
+});
+
+test('a removed player\'s last play can no longer be checked', () => {
+  const state = makeState({ a: ['2♠', '3♠'], b: ['4♠', '5♠'], c: ['6♠', '7♠'] });
+  rules.playCards(state, 'a', ['2♠'], '2');
+  rules.removePlayer(state, 'a');
+  assert.strictEqual(rules.validateCheck(state, 'b'), 'nothing_to_check');
+  // The round carries on: their cards stay on the pile
+  assert.strictEqual(rules.getPileCount(state), 1);
+  assert.strictEqual(rules.validatePass(state, 'b'), null);
+});
+
+test('when the last contributor leaves, the next seat takes over and passes still clear the pile', () => {
+  const state = makeState({ a: ['2♠', '3♠'], b: ['4♠', '5♠'], c: ['6♠', '7♠'] });
+  rules.playCards(state, 'a', ['2♠'], '2');
+  rules.removePlayer(state, 'a');
+  assert.strictEqual(state.lastContributorId, 'b');
+  rules.pass(state, 'b');
+  const passed = rules.pass(state, 'c');
+  assert.strictEqual(passed.pileDiscarded, true);
+  assert.strictEqual(passed.nextTurn, 'b');
+  assert.strictEqual(rules.validatePlay(state, 'b', ['4♠'], '4'), null);
+});
+
+test('an earlier play stays checkable after a later seat leaves', () => {
+  const state = makeState({ a: ['2♠', '3♠'], b: ['4♠', '5♠'], c: ['6♠', '7♠'] });
+  rules.playCards(state, 'a', ['2♠'], '2');
+  rules.removePlayer(state, 'c');
+  assert.strictEqual(state.currentTurn, 'b');
+  const checked = rules.check(state, 'b');
+  assert.strictEqual(checked.nextTurn, 'a');
+  assert.ok(state.order.includes(state.currentTurn));
+});
+
+test('a new round never starts with a seat that has left', () => {
+  const state = makeState({ a: ['2♠', '3♠'], b: ['4♠', '5♠'], c: ['6♠', '7♠'] });
+  state.order = ['b', 'c'];
+  delete state.hands.a;
+  rules.playCards(state, 'b', ['4♠'], '4');
+  state.lastContributorId = 'a';
+  rules.pass(state, 'c');
+  const passed = rules.pass(state, 'b');
+  assert.strictEqual(passed.pileDiscarded, true);
+  assert.ok(state.order.includes(state.currentTurn));
+});
+
+// ============================================================
+// RULE VARIANTS
+// ============================================================
+
+test('rules fill in defaults for what the host left out', () => {
+  assert.deepStrictEqual(rules.resolveRules({ decks: 2 }), { ...rules.DEFAULT_RULES, decks: 2 });
+  assert.deepStrictEqual(rules.resolveRules(null), rules.DEFAULT_RULES);
+});
+
+test('locked mode keeps the round on its first claim', () => {
+  const state = makeState({ a: ['2♠', '3♠'], b: ['4♠', '5♠'] });
+  assert.strictEqual(rules.getAllowedRanks(state).length, 13);
+  rules.playCards(state, 'a', ['2♠'], '7');
+  assert.deepStrictEqual(rules.getAllowedRanks(state), ['7']);
+  assert.strictEqual(rules.validatePlay(state, 'b', ['4♠'], '8'), 'rank_mismatch');
+});
+
+test('sequential mode claims the next rank each time, K wrapping to A', () => {
+  const state = makeState({ a: ['2♠', '3♠'], b: ['4♠', '5♠'] }, { rankMode: 'sequential' });
+  rules.playCards(state, 'a', ['2♠'], 'K');
+  assert.deepStrictEqual(rules.getAllowedRanks(state), ['A']);
+  assert.strictEqual(rules.validatePlay(state, 'b', ['4♠'], 'K'), 'rank_mismatch');
+  assert.strictEqual(rules.validatePlay(state, 'b', ['4♠'], 'A'), null);
+});
+
+test('up-down mode allows the same rank or one either side', () => {
+  const state = makeState({ a: ['2♠', '3♠'], b: ['4♠', '5♠'] }, { rankMode: 'updown' });
+  rules.playCards(state, 'a', ['2♠'], 'A');
+  assert.deepStrictEqual(rules.getAllowedRanks(state), ['K', 'A', '2']);
+  assert.strictEqual(rules.validatePlay(state, 'b', ['4♠'], '3'), 'rank_mismatch');
+});
+
+test('plays are capped at maxCardsPerPlay', () => {
+  const state = makeState({ a: ['2♠', '2♥', '2♦'], b: ['4♠'] }, { maxCardsPerPlay: 2 });
+  assert.strictEqual(rules.validatePlay(state, 'a', ['2♠', '2♥', '2♦'], '2'), 'too_many_cards');
+  assert.strictEqual(rules.validatePlay(state, 'a', ['2♠', '2♥'], '2'), null);
+  assert.strictEqual(rules.validatePlay(state, 'a', ['2♠', '2♠'], '2'), 'duplicate_cards');
+});
+
+test('extra decks get unique card ids', () => {
+  const deck = rules.createDeck(2);
+  assert.strictEqual(deck.length, 104);
+  assert.strictEqual(new Set(deck.map(c => c.id)).size, 104);
+});
+
+test('a wrong checker also takes the penalty from the honest hand', () => {
+  const state = makeState({ a: ['2♠', '3♠', '4♥', '5♥'], b: ['4♠', '5♠'] }, { wrongCheckPenalty: 2 });
+  rules.playCards(state, 'a', ['2♠'], '2');
+  const checked = rules.check(state, 'b');
+  assert.strictEqual(checked.penaltyCards, 2);
+  assert.strictEqual(state.hands.a.length, 1);
+  assert.strictEqual(state.hands.b.length, 5);
+});
+
+test('the penalty never takes the honest player\'s last card', () => {
+  const state = makeState({ a: ['2♠', '3♠'], b: ['4♠', '5♠'] }, { wrongCheckPenalty: 3 });
+  rules.playCards(state, 'a', ['2♠'], '2');
+  const checked = rules.check(state, 'b');
+  assert.strictEqual(checked.penaltyCards, 0);
+  assert.strictEqual(state.hands.a.length, 1);
+});